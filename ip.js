@@ -1,5 +1,5 @@
 /*! ip.js - Jamie Hoeks */
-/* global define, module, exports */
+/* global define, module, exports, Symbol, Uint8Array */
 ;(function (root, factory) {
 	if (typeof define === 'function' && define.amd) {
 		define('ip', [], factory);
@@ -16,21 +16,25 @@
 
 /**
  * IP address constructor. Can be given a number, another IP object, or a dotted
- *   or flat string in octal, decimal or hexadecimal formats.
+ *   or flat string in octal, decimal or hexadecimal formats. Instances are
+ *   frozen, so their value cannot be changed once created.
  * @module IP
  * @constructor
  * @param {Number|String|IP} [input=0] Value of this IP
+ * @param {Object} [options] Parsing options, see {@link IP.parse}
  * @example
  *
  * var localhost = IP('127.0.0.1');     // 'new' not required
  * var dns = new IP('010.010.010.010'); // input can be in base 8, 10 or 16
  * var mask = new IP(0xffffff00);       // input can also be a number
+ * var user = new IP(input, { strict: true }); // only allow dotted decimal
  */
-var IP = function IP (input) {
+var IP = function IP (input, options) {
 	if (!(this instanceof IP)) {
-		return new IP(input);
+		return new IP(input, options);
 	}
-	this.value = IP.parse(input || 0);
+	this.value = IP.parse(input === undefined ? 0 : input, options);
+	Object.freeze(this);
 };
 
 /**
@@ -49,34 +53,401 @@ IP.MIN_VALUE = 0;
  */
 IP.MAX_VALUE = 0xffffffff;
 
+/**
+ * The most IP objects {@link IP.of} keeps for sharing. The least recently used
+ *   are dropped first once there are more.
+ * @memberOf IP
+ * @static
+ * @type {Number}
+ */
+IP.INTERN_LIMIT = 0x10000;
+
+/**
+ * Error thrown when an IP or mask cannot be parsed. Describes which rule the
+ *   input broke and where.
+ * @module IPParseError
+ * @constructor
+ * @param {String} code Failure code, one of the keys of
+ *   {@link IPParseError.MESSAGES}
+ * @param {*} input Input that failed to parse
+ * @param {Number} [position=0] Index of the offending character in the input
+ * @example
+ *
+ * try {
+ *     IP('1.2.3.4.5', { throws: true });
+ * }
+ * catch (err) {
+ *     err.code;     // "TOO_MANY_PARTS"
+ *     err.position; // 8
+ * }
+ */
+var IPParseError = IP.ParseError = function IPParseError (code, input, position) {
+	if (!(this instanceof IPParseError)) {
+		return new IPParseError(code, input, position);
+	}
+	this.code = code;
+	this.input = input;
+	this.position = position || 0;
+	this.message = (IPParseError.MESSAGES[code] || 'Invalid input') +
+		' at position ' + this.position + ' of "' + input + '"';
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, IPParseError);
+	}
+	else {
+		this.stack = new Error(this.message).stack;
+	}
+};
+
+IPParseError.prototype = Object.create(Error.prototype);
+IPParseError.prototype.constructor = IPParseError;
+IPParseError.prototype.name = 'IPParseError';
+
+/**
+ * Messages for each failure code.
+ * @memberOf IPParseError
+ * @static
+ * @type {Object}
+ */
+IPParseError.MESSAGES = {
+	EMPTY: 'Input is empty',
+	NOT_A_NUMBER: 'Input is not a number',
+	INVALID_FORMAT: 'Input is not in a recognized format',
+	NEGATIVE: 'Value is negative',
+	OUT_OF_RANGE: 'Value is out of range',
+	TOO_MANY_PARTS: 'Too many parts',
+	PART_COUNT: 'Expected exactly four parts',
+	EMPTY_PART: 'Part is empty',
+	INVALID_DIGIT: 'Invalid digit',
+	LEADING_ZERO: 'Part has a leading zero',
+	PART_OUT_OF_RANGE: 'Part is out of range',
+	NOT_AN_INTEGER: 'Value is not an integer',
+	NON_CONTIGUOUS: 'Mask is not a contiguous run of ones'
+};
+
 /**
  * Parse an IP and get its raw value. Input can be another IP object, a number,
- *   or a string of one or more IP parts in decimal, hexadecimal or octal base.
+ *   an array of four bytes, a reverse DNS name, or a string of one or more IP
+ *   parts in decimal, hexadecimal or octal base. In strict mode strings must be
+ *   in canonical dotted decimal form, see {@link IP.checkStrict}.
  * @memberOf IP
  * @static
- * @param {Number|String|IP} input IP to parse
+ * @param {Number|String|IP|Number[]|Uint8Array} input IP to parse
+ * @param {Object} [options] Parsing options
+ * @param {Boolean} [options.strict=false] Reject shorthand and non-decimal
+ *   strings
+ * @param {Number|String} [options.radix] Read every part of a string in this
+ *   radix instead of detecting it from the part's prefix. Use 2 for binary.
+ * @param {Boolean} [options.littleEndian=false] Numbers and byte arrays are in
+ *   little-endian byte order
+ * @param {Boolean} [options.throws=false] Throw an {@link IPParseError}
+ *   instead of returning null
  * @return {?Number} Raw value
+ * @throws {IPParseError} If input is invalid and the 'throws' option is set
+ * @example
+ *
+ * IP.parse('1.0.0.127.in-addr.arpa');                      // 2130706433
+ * IP.parse('01111111.0.0.00000001', { radix: 2 });         // 2130706433
+ * IP.parse(new Uint8Array([127, 0, 0, 1]));                // 2130706433
+ * IP.parse(0x0100007f, { littleEndian: true });            // 2130706433
  */
-IP.parse = function (input) {
-	var value, parts, invalid;
-	if (typeof input === 'number') {
-		value = input;
+IP.parse = function (input, options) {
+	var value, parts;
+	var error = IP.validate(input, options);
+	var littleEndian = Boolean(options && options.littleEndian);
+	if (error !== null) {
+		if (options && options.throws) {
+			throw error;
+		}
+		return null;
+	}
+	if (IP.isByteArray(input)) {
+		value = IP.fromBytes(input, options).value;
+	}
+	else if (typeof input === 'number') {
+		value = Math.floor(input);
+		if (littleEndian) {
+			value = IP.fromBytes(IP.toBytes(value), options).value;
+		}
 	}
 	else if (input instanceof IP) {
 		value = input.value;
 	}
+	else if (IP.isPTR(input)) {
+		value = IP.parsePTR(input).value;
+	}
 	else {
-		input = String(input);
-		parts = IP.splitParts(input);
-		value = IP.addParts(parts);
+		var radix = IP.getOptionsRadix(options);
+		parts = IP.splitParts(input, radix);
+		value = IP.addParts(parts, radix);
 	}
-	invalid = (
-		value === null ||
-		isNaN(value) ||
-		value > IP.MAX_VALUE ||
-		value < IP.MIN_VALUE
+	return Math.floor(value);
+};
+
+/**
+ * Get the radix that every part of a string should be read in, according to
+ *   the given parsing options.
+ * @memberOf IP
+ * @static
+ * @param {Object} [options] Parsing options, see {@link IP.parse}
+ * @return {Number|undefined} Radix, or undefined if it should be detected from
+ *   the prefix of each part
+ */
+IP.getOptionsRadix = function (options) {
+	if (options && options.strict) {
+		return 10;
+	}
+	return (options && IP.parseRadix(options.radix)) || undefined;
+};
+
+/**
+ * Determine if a name is in the in-addr.arpa reverse DNS domain. The labels
+ *   before the domain are not checked, see {@link IP.parsePTR}.
+ * @memberOf IP
+ * @static
+ * @param {*} name Name to test
+ * @return {Boolean} True if the name ends with in-addr.arpa
+ */
+IP.isPTR = function (name) {
+	return typeof name === 'string' && /\.in-addr\.arpa\.?$/i.test(name);
+};
+
+/**
+ * Get the dotted forward address of a reverse DNS name by reversing its labels.
+ * @private
+ * @param {String} name Reverse DNS name
+ * @return {String} Dotted address, which may be invalid
+ */
+var reversePTR = function (name) {
+	return name.replace(/\.in-addr\.arpa\.?$/i, '').split('.').reverse().join('.');
+};
+
+/**
+ * Get the address of a reverse DNS name in the in-addr.arpa domain, e.g.
+ *   "4.3.2.1.in-addr.arpa" is 1.2.3.4. The name must have exactly four
+ *   decimal octets.
+ * @memberOf IP
+ * @static
+ * @param {String} name Reverse DNS name
+ * @return {?IP} Address. Null if the input is not a reverse DNS name for a
+ *   single address.
+ * @example
+ *
+ * IP.parsePTR('4.3.2.1.in-addr.arpa').toString(); // "1.2.3.4"
+ * IP.parsePTR('3.2.1.in-addr.arpa');              // null
+ */
+IP.parsePTR = function (name) {
+	if (!IP.isPTR(name)) {
+		return null;
+	}
+	var value = IP.parse(reversePTR(name), { strict: true });
+	return value === null ? null : new IP(value);
+};
+
+/**
+ * Determine if an input is an array of bytes, either a typed array (such as a
+ *   Node Buffer) or a plain array.
+ * @memberOf IP
+ * @static
+ * @param {*} input Value to test
+ * @return {Boolean} True if the input is a byte array
+ */
+IP.isByteArray = function (input) {
+	return Array.isArray(input) || (
+		typeof Uint8Array === 'function' && input instanceof Uint8Array
 	);
-	return invalid ? null : Math.floor(value);
+};
+
+/**
+ * Determine if a value is a single byte, an integer from 0 to 255.
+ * @memberOf IP
+ * @static
+ * @param {*} value Value to test
+ * @return {Boolean} True if the value is a byte
+ */
+IP.isByte = function (value) {
+	return typeof value === 'number' && value % 1 === 0 &&
+		value >= 0 && value <= 0xff;
+};
+
+/**
+ * Create an IP from an array of four bytes. Bytes are in network (big-endian)
+ *   order unless told otherwise.
+ * @memberOf IP
+ * @static
+ * @param {Number[]|Uint8Array} bytes Bytes of the address
+ * @param {Object} [options] Byte options
+ * @param {Boolean} [options.littleEndian=false] Bytes are in little-endian
+ *   order
+ * @return {?IP} IP address. Null if there are not four valid bytes.
+ * @example
+ *
+ * IP.fromBytes([192, 168, 0, 1]).toString();                         // "192.168.0.1"
+ * IP.fromBytes([1, 0, 168, 192], { littleEndian: true }).toString(); // "192.168.0.1"
+ */
+IP.fromBytes = function (bytes, options) {
+	var littleEndian = Boolean(options && options.littleEndian);
+	if (!bytes || bytes.length !== 4) {
+		return null;
+	}
+	var value = 0;
+	for (var i = 0; i < 4; i++) {
+		var byte = bytes[littleEndian ? 3 - i : i];
+		if (!IP.isByte(byte)) {
+			return null;
+		}
+		value = value * 0x100 + byte;
+	}
+	return new IP(value);
+};
+
+/**
+ * Get the four bytes of an IP. Bytes are in network (big-endian) order unless
+ *   told otherwise.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip Address to convert
+ * @param {Object} [options] Byte options
+ * @param {Boolean} [options.littleEndian=false] Get bytes in little-endian
+ *   order
+ * @return {?Uint8Array} Bytes of the address. A plain array where typed arrays
+ *   are not supported.
+ */
+IP.toBytes = function (ip, options) {
+	var bytes = IP.getParts(ip);
+	if (bytes === null) {
+		return null;
+	}
+	if (options && options.littleEndian) {
+		bytes.reverse();
+	}
+	return typeof Uint8Array === 'function' ? new Uint8Array(bytes) : bytes;
+};
+
+/**
+ * Validate an IP and get an error describing why it cannot be parsed. Accepts
+ *   the same input and options as {@link IP.parse}.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP|Number[]|Uint8Array} input IP to validate
+ * @param {Object} [options] Parsing options
+ * @param {Boolean} [options.strict=false] Reject shorthand and non-decimal
+ *   strings
+ * @param {Number|String} [options.radix] Read every part of a string in this
+ *   radix
+ * @return {?IPParseError} Error with the failure code and position. Null if the
+ *   input is valid.
+ * @example
+ *
+ * IP.validate('127.0.0.1');          // null
+ * IP.validate('1.2.3.4.5').code;     // "TOO_MANY_PARTS"
+ * IP.validate('1.2.3.456').code;     // "PART_OUT_OF_RANGE"
+ * IP.validate('1.2.3.456').position; // 6
+ */
+IP.validate = function (input, options) {
+	var strict = Boolean(options && options.strict);
+	var radix = IP.getOptionsRadix(options);
+	if (input instanceof IP) {
+		input = input.value;
+	}
+	if (input === null || input === undefined) {
+		return new IPParseError('EMPTY', input, 0);
+	}
+	if (IP.isByteArray(input)) {
+		if (input.length !== 4) {
+			return new IPParseError('PART_COUNT', input, 0);
+		}
+		for (var j = 0; j < 4; j++) {
+			if (!IP.isByte(input[j])) {
+				return new IPParseError('PART_OUT_OF_RANGE', input, j);
+			}
+		}
+		return null;
+	}
+	if (typeof input === 'number') {
+		if (isNaN(input)) {
+			return new IPParseError('NOT_A_NUMBER', input, 0);
+		}
+		if (input < IP.MIN_VALUE) {
+			return new IPParseError('NEGATIVE', input, 0);
+		}
+		if (input > IP.MAX_VALUE) {
+			return new IPParseError('OUT_OF_RANGE', input, 0);
+		}
+		return null;
+	}
+	input = String(input);
+	if (input === '') {
+		return new IPParseError('EMPTY', input, 0);
+	}
+	if (IP.isPTR(input)) {
+		var error = IP.validate(reversePTR(input), { strict: true });
+		return error && new IPParseError(error.code, input, 0);
+	}
+	var parts = input.split('.');
+	if (strict && parts.length !== 4) {
+		return new IPParseError('PART_COUNT', input, 0);
+	}
+	if (parts.length > 4) {
+		var fifth = parts.slice(0, 4).join('.').length + 1;
+		return new IPParseError('TOO_MANY_PARTS', input, fifth);
+	}
+	for (var i = 0, position = 0; i < parts.length; i++) {
+		var part = parts[i];
+		var invalidDigit = IP.findInvalidDigit(part, radix);
+		if (part === '') {
+			return new IPParseError('EMPTY_PART', input, position);
+		}
+		if (!strict && part.charAt(0) === '-') {
+			return new IPParseError('NEGATIVE', input, position);
+		}
+		if (invalidDigit > -1) {
+			return new IPParseError('INVALID_DIGIT', input, position + invalidDigit);
+		}
+		if (strict && part.length > 1 && part.charAt(0) === '0') {
+			return new IPParseError('LEADING_ZERO', input, position);
+		}
+		if (IP.parsePart(part, radix) > IP.getPartMax(i, parts.length)) {
+			return new IPParseError('PART_OUT_OF_RANGE', input, position);
+		}
+		position += part.length + 1;
+	}
+	return null;
+};
+
+/**
+ * Parse an IP in strict mode. Only canonical dotted decimal strings with four
+ *   parts are accepted.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} input IP to parse
+ * @return {?Number} Raw value
+ */
+IP.parseStrict = function (input) {
+	return IP.parse(input, { strict: true });
+};
+
+/**
+ * Check an input string against the rules of strict parsing and get the first
+ *   rule it breaks. The rules are:
+ *
+ * - PART_COUNT: there must be exactly four parts
+ * - EMPTY_PART: no part may be empty
+ * - INVALID_DIGIT: parts may only contain the digits 0-9
+ * - LEADING_ZERO: parts may not start with a zero, which would make them octal
+ * - PART_OUT_OF_RANGE: parts may not be greater than 255
+ * @memberOf IP
+ * @static
+ * @param {String} input String to check
+ * @return {?String} Name of the broken rule. Null if the input is valid.
+ * @example
+ *
+ * IP.checkStrict('127.0.0.1'); // null
+ * IP.checkStrict('0x7f.1');    // "PART_COUNT"
+ * IP.checkStrict('010.0.0.1'); // "LEADING_ZERO"
+ */
+IP.checkStrict = function (input) {
+	var error = IP.validate(String(input), { strict: true });
+	return error === null ? null : error.code;
 };
 
 /**
@@ -85,36 +456,44 @@ IP.parse = function (input) {
  * @memberOf IP
  * @static
  * @param {Number[]|String[]} parts IP parts to sum
- * @return {?Number} Total value. Null if any part is invalid or if there are
- *   more than 4 parts given.
+ * @param {Number} [radix] Radix of every part, see {@link IP.parsePart}
+ * @return {?Number} Total value. Null if any part is invalid or out of range,
+ *   or if there are more than 4 parts given.
  */
-IP.addParts = function (parts) {
+IP.addParts = function (parts, radix) {
 	var value = 0;
+	if (parts && parts.length <= 4) {
+		for (var i = 0, l = parts.length; i < l; i++) {
+			if (!IP.partIsValid(parts[i], IP.getPartMax(i, l), radix)) {
+				return null;
+			}
+		}
+	}
 	switch (parts && parts.length) {
 		// 0.0.0.0
 		case 0:
 			break;
 		// 0.0.0.A
 		case 1:
-			value += IP.parsePart(parts[0]);
+			value += IP.parsePart(parts[0], radix);
 			break;
 		// A.0.0.B
 		case 2:
-			value += IP.parsePart(parts[0]) * 0x01000000;
-			value += IP.parsePart(parts[1]);
+			value += IP.parsePart(parts[0], radix) * 0x01000000;
+			value += IP.parsePart(parts[1], radix);
 			break;
 		// A.B.0.C
 		case 3:
-			value += IP.parsePart(parts[0]) * 0x01000000;
-			value += IP.parsePart(parts[1]) * 0x00010000;
-			value += IP.parsePart(parts[2]);
+			value += IP.parsePart(parts[0], radix) * 0x01000000;
+			value += IP.parsePart(parts[1], radix) * 0x00010000;
+			value += IP.parsePart(parts[2], radix);
 			break;
 		// A.B.C.D
 		case 4:
-			value += IP.parsePart(parts[0]) * 0x01000000;
-			value += IP.parsePart(parts[1]) * 0x00010000;
-			value += IP.parsePart(parts[2]) * 0x00000100;
-			value += IP.parsePart(parts[3]);
+			value += IP.parsePart(parts[0], radix) * 0x01000000;
+			value += IP.parsePart(parts[1], radix) * 0x00010000;
+			value += IP.parsePart(parts[2], radix) * 0x00000100;
+			value += IP.parsePart(parts[3], radix);
 			break;
 		default:
 			return null;
@@ -123,15 +502,71 @@ IP.addParts = function (parts) {
 };
 
 /**
- * Determine if an IP part is valid. A valid part is a numeric value greater
- *   than 0.
+ * Get the maximum value a part of an IP address can have. Every part holds one
+ *   byte except the last, which holds all of the remaining bytes.
+ * @memberOf IP
+ * @static
+ * @param {Number} index Index of the part
+ * @param {Number} count Total number of parts
+ * @return {Number} Maximum value of the part
+ */
+IP.getPartMax = function (index, count) {
+	if (index < count - 1) {
+		return 0xff;
+	}
+	return Math.pow(0x100, 5 - count) - 1;
+};
+
+/**
+ * Find the first character of an IP part that is not a valid digit. Unless a
+ *   radix is given, the base is taken from the prefix of the part: "0x" for
+ *   hexadecimal, "0" for octal and decimal otherwise.
+ * @memberOf IP
+ * @static
+ * @param {String} part Part to search
+ * @param {Number} [radix] Only allow digits of this radix, without a prefix
+ * @return {Number} Index of the invalid character, or -1 if there is none
+ */
+IP.findInvalidDigit = function (part, radix) {
+	var start = 0;
+	part = String(part);
+	if (!radix && /^0[xX]/.test(part)) {
+		radix = 16;
+		start = 2;
+		if (part.length === start) {
+			return start;
+		}
+	}
+	else if (!radix) {
+		radix = part.charAt(0) === '0' ? 8 : 10;
+	}
+	var digits = '0123456789abcdef'.substring(0, radix);
+	for (var i = start; i < part.length; i++) {
+		if (digits.indexOf(part.charAt(i).toLowerCase()) === -1) {
+			return i;
+		}
+	}
+	return -1;
+};
+
+/**
+ * Determine if an IP part is valid. A valid part is a non-negative number, or a
+ *   string made only of valid digits for its base.
  * @memberOf IP
  * @static
  * @param {String} part Part to test
+ * @param {Number} [max] Maximum value the part can have
+ * @param {Number} [radix] Radix of the part, see {@link IP.parsePart}
  * @return {Boolean} The part is valid
  */
-IP.partIsValid = function (part) {
-	var valid = !(part === null || isNaN(part) || part < 0);
+IP.partIsValid = function (part, max, radix) {
+	var value = IP.parsePart(part, radix);
+	var valid = !(
+		value === null ||
+		isNaN(value) ||
+		value < 0 ||
+		value > max
+	);
 	return valid;
 };
 
@@ -140,14 +575,15 @@ IP.partIsValid = function (part) {
  * @memberOf IP
  * @static
  * @param {String} input String to split
+ * @param {Number} [radix] Radix of every part, see {@link IP.parsePart}
  * @return {?String[]} The input string split into parts. Null if any part is
  *   invalid.
  */
-IP.splitParts = function (input) {
+IP.splitParts = function (input, radix) {
 	input = String(input);
 	var parts = input.split('.');
 	for (var i = 0, l = parts.length; i < l; i++) {
-		if (!IP.partIsValid(parts[i])) {
+		if (!IP.partIsValid(parts[i], undefined, radix)) {
 			return null;
 		}
 	}
@@ -179,16 +615,25 @@ IP.getParts = function (input) {
  * @memberOf IP
  * @static
  * @param {Number|String|IP} part Part to parse
- * @return {Number} The raw value of the given part
+ * @param {Number} [radix] Radix of the part. Detected from its prefix if not
+ *   given.
+ * @return {?Number} The raw value of the given part. Null if it contains
+ *   invalid digits.
  */
-IP.parsePart = function (part) {
+IP.parsePart = function (part, radix) {
 	var result;
 	if (typeof part === 'number' || part instanceof IP) {
 		// pass through
 		return Number(part);
 	}
 	part = String(part);
-	if (part.charAt(0) === '0') {
+	if (part === '' || IP.findInvalidDigit(part, radix) > -1) {
+		return null;
+	}
+	if (radix) {
+		result = parseInt(part, radix);
+	}
+	else if (part.charAt(0) === '0') {
 		var ch = part.charAt(1);
 		if (ch === 'x' || ch === 'X') {
 			// hex
@@ -203,15 +648,12 @@ IP.parsePart = function (part) {
 		// dec
 		result = parseInt(part, 10);
 	}
-	if (result < 0) {
-		return null;
-	}
 	return result;
 };
 
 /**
  * Parse a given radix. Can be a numeric value or a string representing one of a
- *   octal, decimal or hexadecimal radix.
+ *   binary, octal, decimal or hexadecimal radix.
  * @memberOf IP
  * @static
  * @param {Number|String} rad Radix
@@ -220,7 +662,7 @@ IP.parsePart = function (part) {
 IP.parseRadix = function (rad) {
 	var numRad = Number(rad);
 	if (!isNaN(numRad)) {
-		if (numRad == 8 || numRad === 10 || numRad === 16) {
+		if (numRad === 2 || numRad == 8 || numRad === 10 || numRad === 16) {
 			return numRad;
 		}
 		return null;
@@ -228,6 +670,7 @@ IP.parseRadix = function (rad) {
 	rad = String(rad).toLowerCase();
 	var first = rad.charAt(0);
 	switch (first) {
+		case 'b': return 2;
 		case 'o': return 8;
 		case 'd': return 10;
 		case 'h': return 16;
@@ -236,22 +679,71 @@ IP.parseRadix = function (rad) {
 };
 
 /**
- * Takes an input value and an optional radix. Returns the dotted form of that
- *   IP.
+ * Parse formatting options. Can be an options object, or a radix on its own.
+ * @memberOf IP
+ * @static
+ * @param {Object|Number|String} [options] Formatting options or radix
+ * @return {Object} Options object with defaults filled in
+ */
+IP.parseFormatOptions = function (options) {
+	if (options === null || typeof options !== 'object') {
+		options = { radix: options };
+	}
+	var radix = IP.parseRadix(options.radix) || 10;
+	return {
+		radix: radix,
+		pad: options.pad === undefined ? radix === 2 : Boolean(options.pad),
+		flat: Boolean(options.flat),
+		ptr: Boolean(options.ptr),
+		mapped: Boolean(options.mapped),
+		bits: options.bits || 8
+	};
+};
+
+/**
+ * Takes an input value and an optional radix or options object. Returns the
+ *   formatted form of that IP, which is dotted by default.
  * @memberOf IP
  * @static
  * @param {Number|String|IP} input IP to format
- * @param {Number|String} [rad=10] Radix to use
+ * @param {Object|Number|String} [options] Formatting options, or radix to use
+ * @param {Number|String} [options.radix=10] Radix to use: 2, 8, 10 or 16
+ * @param {Boolean} [options.pad=false] Pad with zeros to a fixed width. Always
+ *   on for binary unless set to false.
+ * @param {Boolean} [options.flat=false] Format as a single number instead of
+ *   dotted parts
+ * @param {Boolean} [options.ptr=false] Format as a reverse DNS name in the
+ *   in-addr.arpa domain. Other options are ignored.
+ * @param {Boolean} [options.mapped=false] Format as an IPv4-mapped IPv6
+ *   address. Other options are ignored.
  * @return {?String} Formatted IP address
+ * @example
+ *
+ * IP.format('192.168.0.1', 16);                                // "0xc0.0xa8.0x0.0x1"
+ * IP.format('192.168.0.1', { radix: 2 });                      // "11000000.10101000.00000000.00000001"
+ * IP.format('192.168.0.1', { pad: true });                     // "192.168.000.001"
+ * IP.format('10.0.0.1', { radix: 16, flat: true, pad: true }); // "0x0a000001"
+ * IP.format('192.168.0.1', { ptr: true });                     // "1.0.168.192.in-addr.arpa"
+ * IP.format('192.168.0.1', { mapped: true });                  // "::ffff:192.168.0.1"
  */
-IP.format = function (input, rad) {
+IP.format = function (input, options) {
 	input = IP.parse(input);
 	if (isNaN(input) || input === null) {
 		return null;
 	}
-	rad = IP.parseRadix(rad) || 10;
+	options = IP.parseFormatOptions(options);
+	if (options.ptr) {
+		return IP.getParts(input).reverse().join('.') + '.in-addr.arpa';
+	}
+	if (options.mapped) {
+		return '::ffff:' + IP.getParts(input).join('.');
+	}
+	if (options.flat) {
+		options.bits = Mask.MAX_VALUE;
+		return IP.formatPart(input, options);
+	}
 	var parts = IP.getParts(input).map(function (part) {
-		return IP.formatPart(part, rad);
+		return IP.formatPart(part, options);
 	});
 	var result = parts.join('.');
 	return result;
@@ -262,19 +754,31 @@ IP.format = function (input, rad) {
  * @memberOf IP
  * @static
  * @param {Number|String} part Part to format
- * @param {Number|String} [rad=10] Radix to use
+ * @param {Object|Number|String} [options] Formatting options, or radix to use
+ * @param {Number|String} [options.radix=10] Radix to use
+ * @param {Boolean} [options.pad=false] Pad with zeros to the width of the
+ *   largest value the part can have
+ * @param {Number} [options.bits=8] Number of bits in the part
  * @return {?String} Formatted IP part
  */
-IP.formatPart = function (part, rad) {
+IP.formatPart = function (part, options) {
 	part = IP.parsePart(part);
 	if (part === null) {
 		return null;
 	}
-	rad = IP.parseRadix(rad) || 10;
-	switch (rad) {
-		case 8: return '0' + part.toString(8);
-		case 10: return part.toString();
-		case 16: return '0x' + part.toString(16);
+	options = IP.parseFormatOptions(options);
+	var digits = part.toString(options.radix);
+	if (options.pad) {
+		var width = (Math.pow(2, options.bits) - 1).toString(options.radix).length;
+		while (digits.length < width) {
+			digits = '0' + digits;
+		}
+	}
+	switch (options.radix) {
+		case 2: return digits;
+		case 8: return '0' + digits;
+		case 10: return digits;
+		case 16: return '0x' + digits;
 	}
 	return null;
 };
@@ -422,319 +926,6728 @@ IP.not = function (ip) {
 };
 
 /**
- * Generate a random dotted decimal IP address.
+ * Get the bitwise AND of two IPs. Useful for applying a netmask.
  * @memberOf IP
  * @static
- * @return {String} A randomly generated IP
+ * @param {Number|String|IP} left First IP
+ * @param {Number|String|IP} right Second IP
+ * @return {?IP} Result of the operation. Null if either IP is invalid.
+ * @example
+ *
+ * IP.and('192.168.1.77', '255.255.255.0').toString(); // "192.168.1.0"
  */
-IP.random = function () {
-	return IP.format(IP.MAX_VALUE * Math.random());
+IP.and = function (left, right) {
+	// jshint bitwise:false
+	left = IP.parse(left);
+	right = IP.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	return new IP((left & right) >>> 0);
 };
 
 /**
- * Get the address class of an IP.
+ * Get the bitwise OR of two IPs. Useful for setting host bits.
  * @memberOf IP
  * @static
- * @param {Number|String|IP} ip IP address
- * @return {String} The address class
+ * @param {Number|String|IP} left First IP
+ * @param {Number|String|IP} right Second IP
+ * @return {?IP} Result of the operation. Null if either IP is invalid.
  */
-IP.getClass = function (ip) {
+IP.or = function (left, right) {
 	// jshint bitwise:false
-	ip = IP.parse(ip);
-	if ((ip & 0x80000000) === 0) {
-		return 'A';
+	left = IP.parse(left);
+	right = IP.parse(right);
+	if (left === null || right === null) {
+		return null;
 	}
-	if ((ip & 0x40000000) === 0) {
-		return 'B';
+	return new IP((left | right) >>> 0);
+};
+
+/**
+ * Get the bitwise XOR of two IPs. Useful for finding the bits that differ.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} left First IP
+ * @param {Number|String|IP} right Second IP
+ * @return {?IP} Result of the operation. Null if either IP is invalid.
+ */
+IP.xor = function (left, right) {
+	// jshint bitwise:false
+	left = IP.parse(left);
+	right = IP.parse(right);
+	if (left === null || right === null) {
+		return null;
 	}
-	if ((ip & 0x20000000) === 0) {
-		return 'C';
+	return new IP((left ^ right) >>> 0);
+};
+
+/**
+ * Shift the bits of an IP towards the most significant bit. Bits shifted past
+ *   the most significant bit are discarded.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip Address to shift
+ * @param {Number} bits Number of bits to shift by
+ * @return {?IP} Shifted IP. Null if the IP or number of bits is invalid.
+ */
+IP.shiftLeft = function (ip, bits) {
+	ip = IP.parse(ip);
+	if (ip === null || !IP.isOffset(bits) || bits < 0) {
+		return null;
 	}
-	if ((ip & 0x10000000) === 0) {
-		return 'D';
+	if (bits >= Mask.MAX_VALUE) {
+		return new IP(0);
 	}
-	return 'E';
+	return new IP(ip * Math.pow(2, bits) % (IP.MAX_VALUE + 1));
 };
 
 /**
- * Determine if an input is a valid IP address
+ * Shift the bits of an IP towards the least significant bit. Bits shifted past
+ *   the least significant bit are discarded.
  * @memberOf IP
  * @static
- * @param {Number|String|IP} input IP address
- * @return {String} True if input is a valid IP address
+ * @param {Number|String|IP} ip Address to shift
+ * @param {Number} bits Number of bits to shift by
+ * @return {?IP} Shifted IP. Null if the IP or number of bits is invalid.
  */
-IP.isValid = function (input) {
-	var value = IP.parse(input);
-	var valid = !(value === null || isNaN(value));
-	return valid;
+IP.shiftRight = function (ip, bits) {
+	ip = IP.parse(ip);
+	if (ip === null || !IP.isOffset(bits) || bits < 0) {
+		return null;
+	}
+	return new IP(Math.floor(ip / Math.pow(2, bits)));
 };
 
 /**
- * Get the raw value of this IP address.
+ * Determine if a value can be used as an offset or bit count. Offsets must be
+ *   integers.
  * @memberOf IP
- * @return {Number} Raw value
- * @example
- *
- * var localhost = new IP('127.0.0.1');
- * localhost.valueOf(); // 2130706433
- * Number(localhost);   // 2130706433
+ * @static
+ * @param {Number} offset Value to test
+ * @return {Boolean} True if the value is an integer
  */
-IP.prototype.valueOf = function () {
-	return Number(this.value);
+IP.isOffset = function (offset) {
+	return typeof offset === 'number' && isFinite(offset) && Math.floor(offset) === offset;
 };
 
 /**
- * Get the string representation of this IP.
+ * Add an offset to an IP. The result must be within the range of valid
+ *   addresses unless wrapping is enabled.
  * @memberOf IP
- * @param {Number|String} [rad=10] Radix
- * @return {String} String representation
+ * @static
+ * @param {Number|String|IP} ip Address to operate on
+ * @param {Number} offset Number of addresses to add. Can be negative.
+ * @param {Object} [options] Arithmetic options
+ * @param {Boolean} [options.wrap=false] Wrap around from the max value to the
+ *   min value and vice-versa instead of overflowing
+ * @return {?IP} Resulting IP. Null if the result overflows or if the IP or
+ *   offset is invalid.
+ * @example
+ *
+ * IP.add('10.0.0.255', 1).toString();                      // "10.0.1.0"
+ * IP.add('255.255.255.255', 1);                            // null
+ * IP.add('255.255.255.255', 1, { wrap: true }).toString(); // "0.0.0.0"
+ */
+IP.add = function (ip, offset, options) {
+	ip = IP.parse(ip);
+	if (ip === null || !IP.isOffset(offset)) {
+		return null;
+	}
+	var result = ip + offset;
+	if (options && options.wrap) {
+		var size = IP.MAX_VALUE + 1;
+		result = ((result % size) + size) % size;
+	}
+	if (result < IP.MIN_VALUE || result > IP.MAX_VALUE) {
+		return null;
+	}
+	return new IP(result);
+};
+
+/**
+ * Subtract an offset from an IP. The result must be within the range of valid
+ *   addresses unless wrapping is enabled.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip Address to operate on
+ * @param {Number} offset Number of addresses to subtract. Can be negative.
+ * @param {Object} [options] Arithmetic options, see {@link IP.add}
+ * @return {?IP} Resulting IP. Null if the result overflows or if the IP or
+ *   offset is invalid.
+ */
+IP.subtract = function (ip, offset, options) {
+	if (!IP.isOffset(offset)) {
+		return null;
+	}
+	return IP.add(ip, -offset, options);
+};
+
+/**
+ * Get the number of addresses from one IP to another.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} left Address to start from
+ * @param {Number|String|IP} right Address to end at
+ * @return {?Number} Offset that can be added to 'left' to get 'right'. Negative
+ *   if 'right' is less than 'left'. Null if either IP is invalid.
+ */
+IP.distance = function (left, right) {
+	left = IP.parse(left);
+	right = IP.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	return right - left;
+};
+
+/**
+ * Get the length of the prefix two IPs have in common, as a mask. This is the
+ *   number of leading bits that are the same in both addresses.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} left First address
+ * @param {Number|String|IP} right Second address
+ * @return {?Mask} Common prefix length. Null if either IP is invalid.
+ * @example
+ *
+ * IP.commonPrefix('10.0.0.1', '10.0.0.7').valueOf();       // 29
+ * IP.commonPrefix('192.168.1.0', '192.168.2.0').valueOf(); // 22
+ * IP.commonPrefix('10.0.0.1', '10.0.0.1').valueOf();       // 32
+ */
+IP.commonPrefix = function (left, right) {
+	left = IP.parse(left);
+	right = IP.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	var bits = 0;
+	while (!IP.equal(IP.shiftRight(left, bits), IP.shiftRight(right, bits))) {
+		bits++;
+	}
+	return new Mask(Mask.MAX_VALUE - bits);
+};
+
+/**
+ * Get the smallest subnet that covers every address in a list, such as a
+ *   summary route for a set of networks. The list can hold addresses, subnets
+ *   and ranges.
+ * @memberOf IP
+ * @static
+ * @param {Array.<Number|String|IP|Subnet|Range>} list Addresses to cover
+ * @return {?Subnet} Covering subnet, at its network address. Null if the list
+ *   is empty or holds anything invalid.
+ * @example
+ *
+ * IP.supernet(['192.168.0.0/24', '192.168.3.0/24']).toString(); // "192.168.0.0/22"
+ * IP.supernet(['10.1.2.3', '10.1.2.200']).toString();           // "10.1.2.0/24"
+ */
+IP.supernet = function (list) {
+	var first = null;
+	var last = null;
+	if (!list || list.length === 0) {
+		return null;
+	}
+	for (var i = 0; i < list.length; i++) {
+		var range = Range.parse(list[i]);
+		if (range === null) {
+			return null;
+		}
+		if (first === null || IP.lt(range.first, first)) {
+			first = range.first;
+		}
+		if (last === null || IP.gt(range.last, last)) {
+			last = range.last;
+		}
+	}
+	var mask = IP.commonPrefix(first, last);
+	return new Subnet(Subnet.getNetwork(new Subnet(first, mask)), mask);
+};
+
+/**
+ * Find every IP address, CIDR subnet and address range in some text, such as
+ *   a log line, config file or email. By default only strict dotted decimal
+ *   addresses are found, see {@link IP.checkStrict}. Lenient mode follows the
+ *   same rules as {@link IP.parse}, so it also finds hexadecimal, octal and
+ *   shorthand addresses, at the cost of matching things like "1.5". Dotted
+ *   tokens with more than four parts, such as version numbers, are never
+ *   matched.
+ * @memberOf IP
+ * @static
+ * @param {String} text Text to search
+ * @param {Object} [options] Scanning options
+ * @param {Boolean} [options.strict=true] Only find strict dotted decimal
+ *   addresses
+ * @return {Object[]} Matches in the order found. Each has its 'type'
+ *   ("address", "subnet" or "range"), the matched 'text', its 'index' and
+ *   'length' in the input, and the parsed 'ip'. Subnets also have a 'mask'
+ *   and 'subnet', ranges have a 'range' with 'ip' as the first address.
+ * @example
+ *
+ * IP.scan('Blocked 10.0.0.7 and 192.168.0.0/24 (v1.2.3.4.5)');
+ * // [ { type: 'address', text: '10.0.0.7', index: 8, length: 8, ip: ... },
+ * //   { type: 'subnet', text: '192.168.0.0/24', index: 21, length: 14, ... } ]
+ */
+IP.scan = function (text, options) {
+	var strict = !(options && options.strict === false);
+	var address = /[0-9a-z]+(?:\.[0-9a-z]+)+/gi;
+	var mask = /^\/([0-9]{1,3}(?:\.[0-9]{1,3}){3}|[0-9]{1,2})(?![0-9a-z]|\.[0-9a-z])/i;
+	var last = /^\s*-\s*([0-9a-z]+(?:\.[0-9a-z]+)+)/i;
+	var isAddress = function (token) {
+		return IP.validate(token, { strict: strict }) === null;
+	};
+	var matches = [];
+	var match;
+	text = String(text);
+	while ((match = address.exec(text)) !== null) {
+		var start = match.index;
+		var end = start + match[0].length;
+		if (text.charAt(start - 1) === '.' || !isAddress(match[0])) {
+			continue;
+		}
+		var result = {
+			type: 'address',
+			text: match[0],
+			index: start,
+			length: match[0].length,
+			ip: new IP(match[0])
+		};
+		var suffix = text.substring(end);
+		var maskMatch = mask.exec(suffix);
+		var lastMatch = last.exec(suffix);
+		if (maskMatch !== null && Mask.parse(maskMatch[1], { version: 4 }) !== null) {
+			result.type = 'subnet';
+			result.length += maskMatch[0].length;
+			result.mask = new Mask(maskMatch[1], { version: 4 });
+			result.subnet = new Subnet(result.ip, result.mask);
+		}
+		else if (lastMatch !== null && isAddress(lastMatch[1]) && IP.lte(result.ip, lastMatch[1])) {
+			result.type = 'range';
+			result.length += lastMatch[0].length;
+			result.range = new Range(result.ip, lastMatch[1]);
+		}
+		result.text = text.substr(start, result.length);
+		address.lastIndex = start + result.length;
+		matches.push(result);
+	}
+	return matches;
+};
+
+/**
+ * Parse a list of IPs and get their raw values. The list can be an array, a
+ *   typed array such as a Uint32Array, or any other iterable.
+ * @memberOf IP
+ * @static
+ * @param {Array|Uint32Array|Iterable} list IPs to parse
+ * @return {?Number[]} Raw values in the order given. Null if the list or any
+ *   IP in it is invalid.
+ */
+IP.parseList = function (list) {
+	var values = [];
+	var value;
+	if (list === null || typeof list !== 'object') {
+		return null;
+	}
+	if (typeof list.length === 'number') {
+		for (var i = 0; i < list.length; i++) {
+			value = IP.parse(list[i]);
+			if (value === null) {
+				return null;
+			}
+			values.push(value);
+		}
+		return values;
+	}
+	if (typeof Symbol !== 'function' || typeof list[Symbol.iterator] !== 'function') {
+		return null;
+	}
+	var iterator = list[Symbol.iterator]();
+	for (var step = iterator.next(); !step.done; step = iterator.next()) {
+		value = IP.parse(step.value);
+		if (value === null) {
+			return null;
+		}
+		values.push(value);
+	}
+	return values;
+};
+
+/**
+ * Sort a list of IPs by address. Each IP is only parsed once, which is much
+ *   faster for large lists than sorting with {@link IP.compare}.
+ * @memberOf IP
+ * @static
+ * @param {Array|Uint32Array|Iterable} list IPs to sort, see {@link IP.parseList}
+ * @return {?IP[]} New sorted list. Null if the list or any IP in it is invalid.
+ * @example
+ *
+ * IP.sort(['10.0.0.10', '10.0.0.9', '9.255.255.255']).join(', ');
+ * // "9.255.255.255, 10.0.0.9, 10.0.0.10"
+ */
+IP.sort = function (list) {
+	var values = IP.parseList(list);
+	if (values === null) {
+		return null;
+	}
+	return values.sort(function (left, right) {
+		return left - right;
+	}).map(function (value) {
+		return new IP(value);
+	});
+};
+
+/**
+ * Remove duplicate IPs from a list. Addresses are compared by value, so
+ *   different ways of writing the same address are duplicates. The first of
+ *   each duplicate is kept, in the order given.
+ * @memberOf IP
+ * @static
+ * @param {Array|Uint32Array|Iterable} list IPs to process, see
+ *   {@link IP.parseList}
+ * @return {?IP[]} New list without duplicates. Null if the list or any IP in it
+ *   is invalid.
+ * @example
+ *
+ * IP.unique(['10.0.0.1', '10.1', '0x0a.0.0.2', '10.0.0.1']).join(', ');
+ * // "10.0.0.1, 10.0.0.2"
+ */
+IP.unique = function (list) {
+	var values = IP.parseList(list);
+	if (values === null) {
+		return null;
+	}
+	var seen = {};
+	return values.filter(function (value) {
+		if (seen.hasOwnProperty(value)) {
+			return false;
+		}
+		seen[value] = true;
+		return true;
+	}).map(function (value) {
+		return new IP(value);
+	});
+};
+
+/**
+ * Group a list of IPs by the subnet of a given mask they are in, e.g. by /24.
+ * @memberOf IP
+ * @static
+ * @param {Array|Uint32Array|Iterable} list IPs to group, see
+ *   {@link IP.parseList}
+ * @param {Number|String|IP|Mask} mask Mask of the subnets to group by
+ * @return {?Object[]} Groups sorted by subnet. Each has the 'subnet' and its
+ *   'addresses' in sorted order, including any duplicates. Null if the list,
+ *   any IP in it or the mask is invalid.
+ * @example
+ *
+ * var groups = IP.groupBy(['10.0.1.7', '10.0.0.1', '10.0.1.2'], 24);
+ * groups[0].subnet.toString();    // "10.0.0.0/24"
+ * groups[1].addresses.join(', '); // "10.0.1.2, 10.0.1.7"
+ */
+IP.groupBy = function (list, mask) {
+	var values = IP.parseList(list);
+	mask = Mask.parse(mask, { version: 4 });
+	if (values === null || mask === null) {
+		return null;
+	}
+	var size = Math.pow(2, Mask.MAX_VALUE - mask);
+	var groups = [];
+	var group = null;
+	values.sort(function (left, right) {
+		return left - right;
+	});
+	for (var i = 0; i < values.length; i++) {
+		var network = values[i] - values[i] % size;
+		if (group === null || group.subnet.ip.value !== network) {
+			group = {
+				subnet: new Subnet(network, mask),
+				addresses: []
+			};
+			groups.push(group);
+		}
+		group.addresses.push(new IP(values[i]));
+	}
+	return groups;
+};
+
+/**
+ * Generate a random dotted decimal IP address. Use {@link Random} for
+ *   reproducible or constrained addresses.
+ * @memberOf IP
+ * @static
+ * @return {String} A randomly generated IP
+ */
+IP.random = function () {
+	return IP.format(IP.MAX_VALUE * Math.random());
+};
+
+/**
+ * Get the address class of an IP.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {String} The address class
+ */
+IP.getClass = function (ip) {
+	// jshint bitwise:false
+	ip = IP.parse(ip);
+	if ((ip & 0x80000000) === 0) {
+		return 'A';
+	}
+	if ((ip & 0x40000000) === 0) {
+		return 'B';
+	}
+	if ((ip & 0x20000000) === 0) {
+		return 'C';
+	}
+	if ((ip & 0x10000000) === 0) {
+		return 'D';
+	}
+	return 'E';
+};
+
+/**
+ * The IANA IPv4 Special-Purpose Address Registry (RFC 6890). Each entry has the
+ *   'subnet' it covers as a string in CIDR notation, its name, the RFC that
+ *   defines it, a short type used by {@link IP.getType}, and whether
+ *   addresses in it are valid as a source or destination, forwardable,
+ *   globally reachable and reserved by protocol. Flags are null where the
+ *   registry lists them as not applicable.
+ * @memberOf IP
+ * @static
+ * @type {Object[]}
+ */
+IP.SPECIAL_PURPOSE = [
+	{
+		subnet: '0.0.0.0/8',
+		name: 'This network',
+		rfc: 'RFC 791, Section 3.2',
+		type: 'unspecified',
+		source: true,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '0.0.0.0/32',
+		name: 'This host on this network',
+		rfc: 'RFC 1122, Section 3.2.1.3',
+		type: 'unspecified',
+		source: true,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '10.0.0.0/8',
+		name: 'Private-Use',
+		rfc: 'RFC 1918',
+		type: 'private',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '100.64.0.0/10',
+		name: 'Shared Address Space',
+		rfc: 'RFC 6598',
+		type: 'sharedAddressSpace',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '127.0.0.0/8',
+		name: 'Loopback',
+		rfc: 'RFC 1122, Section 3.2.1.3',
+		type: 'loopback',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '169.254.0.0/16',
+		name: 'Link Local',
+		rfc: 'RFC 3927',
+		type: 'linkLocal',
+		source: true,
+		destination: true,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '172.16.0.0/12',
+		name: 'Private-Use',
+		rfc: 'RFC 1918',
+		type: 'private',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.0.0.0/24',
+		name: 'IETF Protocol Assignments',
+		rfc: 'RFC 6890, Section 2.1',
+		type: 'protocolAssignment',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.0.0.0/29',
+		name: 'IPv4 Service Continuity Prefix',
+		rfc: 'RFC 7335',
+		type: 'protocolAssignment',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.0.0.8/32',
+		name: 'IPv4 dummy address',
+		rfc: 'RFC 7600',
+		type: 'protocolAssignment',
+		source: true,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.0.0.9/32',
+		name: 'Port Control Protocol Anycast',
+		rfc: 'RFC 7723',
+		type: 'protocolAssignment',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: true,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.0.0.10/32',
+		name: 'Traversal Using Relays around NAT Anycast',
+		rfc: 'RFC 8155',
+		type: 'protocolAssignment',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: true,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.0.0.170/32',
+		name: 'NAT64/DNS64 Discovery',
+		rfc: 'RFC 8880, RFC 7050, Section 2.2',
+		type: 'protocolAssignment',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '192.0.0.171/32',
+		name: 'NAT64/DNS64 Discovery',
+		rfc: 'RFC 8880, RFC 7050, Section 2.2',
+		type: 'protocolAssignment',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '192.0.2.0/24',
+		name: 'Documentation (TEST-NET-1)',
+		rfc: 'RFC 5737',
+		type: 'documentation',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.31.196.0/24',
+		name: 'AS112-v4',
+		rfc: 'RFC 7535',
+		type: 'anycast',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: true,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.52.193.0/24',
+		name: 'AMT',
+		rfc: 'RFC 7450',
+		type: 'anycast',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: true,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.88.99.0/24',
+		name: 'Deprecated (6to4 Relay Anycast)',
+		rfc: 'RFC 7526',
+		type: 'anycast',
+		source: null,
+		destination: null,
+		forwardable: null,
+		globallyReachable: null,
+		reservedByProtocol: null
+	},
+	{
+		subnet: '192.168.0.0/16',
+		name: 'Private-Use',
+		rfc: 'RFC 1918',
+		type: 'private',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '192.175.48.0/24',
+		name: 'Direct Delegation AS112 Service',
+		rfc: 'RFC 7534',
+		type: 'anycast',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: true,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '198.18.0.0/15',
+		name: 'Benchmarking',
+		rfc: 'RFC 2544',
+		type: 'benchmarking',
+		source: true,
+		destination: true,
+		forwardable: true,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '198.51.100.0/24',
+		name: 'Documentation (TEST-NET-2)',
+		rfc: 'RFC 5737',
+		type: 'documentation',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '203.0.113.0/24',
+		name: 'Documentation (TEST-NET-3)',
+		rfc: 'RFC 5737',
+		type: 'documentation',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: false
+	},
+	{
+		subnet: '240.0.0.0/4',
+		name: 'Reserved',
+		rfc: 'RFC 1112, Section 4',
+		type: 'reserved',
+		source: false,
+		destination: false,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	},
+	{
+		subnet: '255.255.255.255/32',
+		name: 'Limited Broadcast',
+		rfc: 'RFC 8190, RFC 919, Section 7',
+		type: 'broadcast',
+		source: false,
+		destination: true,
+		forwardable: false,
+		globallyReachable: false,
+		reservedByProtocol: true
+	}
+];
+
+/**
+ * The multicast address block (RFC 5771) in CIDR notation. This is not part
+ *   of the special-purpose registry but is used by {@link IP.getType}.
+ * @memberOf IP
+ * @static
+ * @type {String}
+ */
+IP.MULTICAST = '224.0.0.0/4';
+
+/**
+ * First and last raw values of the special-purpose subnets, by CIDR string.
+ *   Filled in on first use, since Subnet is defined after this section.
+ * @private
+ * @type {Object}
+ */
+var specialPurposeBounds = {};
+
+/**
+ * Get the first and last raw values of a special-purpose subnet.
+ * @private
+ * @param {String|Subnet} subnet Subnet in CIDR notation
+ * @return {Number[]} First and last raw values
+ */
+var getSpecialPurposeBounds = function (subnet) {
+	subnet = String(subnet);
+	if (!specialPurposeBounds.hasOwnProperty(subnet)) {
+		specialPurposeBounds[subnet] = [
+			Number(Subnet.getNetwork(subnet)),
+			Number(Subnet.getBroadcast(subnet))
+		];
+	}
+	return specialPurposeBounds[subnet];
+};
+
+/**
+ * Determine if a raw IP value is within a special-purpose subnet.
+ * @private
+ * @param {String|Subnet} subnet Subnet in CIDR notation
+ * @param {Number} value Raw IP value
+ * @return {Boolean} True if the subnet contains the value
+ */
+var inSpecialPurposeSubnet = function (subnet, value) {
+	var bounds = getSpecialPurposeBounds(subnet);
+	return value >= bounds[0] && value <= bounds[1];
+};
+
+/**
+ * Get all of the special-purpose registry entries that contain an IP address,
+ *   from least to most specific.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Object[]} Matching registry entries
+ */
+IP.getSpecialPurposeEntries = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null) {
+		return [];
+	}
+	var entries = IP.SPECIAL_PURPOSE.filter(function (entry) {
+		return inSpecialPurposeSubnet(entry.subnet, ip);
+	});
+	return entries.sort(function (left, right) {
+		var leftBounds = getSpecialPurposeBounds(left.subnet);
+		var rightBounds = getSpecialPurposeBounds(right.subnet);
+		return (rightBounds[1] - rightBounds[0]) - (leftBounds[1] - leftBounds[0]);
+	});
+};
+
+/**
+ * Get the most specific special-purpose registry entry that contains an IP
+ *   address.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {?Object} Registry entry. Null if the address is not special-purpose.
+ * @example
+ *
+ * IP.getSpecialPurpose('192.168.1.1').name; // "Private-Use"
+ * IP.getSpecialPurpose('192.168.1.1').rfc;  // "RFC 1918"
+ * IP.getSpecialPurpose('8.8.8.8');          // null
+ */
+IP.getSpecialPurpose = function (ip) {
+	var entries = IP.getSpecialPurposeEntries(ip);
+	return entries.length ? entries[entries.length - 1] : null;
+};
+
+/**
+ * Get the type of an IP address. This is the type of the most specific
+ *   special-purpose registry entry containing it, "multicast" for multicast
+ *   addresses, or "unicast" for any other address.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {?String} The address type
+ * @example
+ *
+ * IP.getType('127.0.0.1'); // "loopback"
+ * IP.getType('10.0.0.1');  // "private"
+ * IP.getType('224.0.0.1'); // "multicast"
+ * IP.getType('8.8.8.8');   // "unicast"
+ */
+IP.getType = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null) {
+		return null;
+	}
+	var entry = IP.getSpecialPurpose(ip);
+	if (entry !== null) {
+		return entry.type;
+	}
+	if (inSpecialPurposeSubnet(IP.MULTICAST, ip)) {
+		return 'multicast';
+	}
+	return 'unicast';
+};
+
+/**
+ * Determine if an IP address is within a special-purpose block of the given
+ *   type.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @param {String} type Type of the registry entry
+ * @return {Boolean} True if any registry entry of that type contains the IP
+ */
+IP.isType = function (ip, type) {
+	return IP.getSpecialPurposeEntries(ip).some(function (entry) {
+		return entry.type === type;
+	});
+};
+
+/**
+ * Determine if an IP address is private-use (RFC 1918).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is private
+ */
+IP.isPrivate = function (ip) {
+	return IP.isType(ip, 'private');
+};
+
+/**
+ * Determine if an IP address is a loopback address (127.0.0.0/8).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is loopback
+ */
+IP.isLoopback = function (ip) {
+	return IP.isType(ip, 'loopback');
+};
+
+/**
+ * Determine if an IP address is link-local (169.254.0.0/16).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is link-local
+ */
+IP.isLinkLocal = function (ip) {
+	return IP.isType(ip, 'linkLocal');
+};
+
+/**
+ * Determine if an IP address is multicast (224.0.0.0/4).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is multicast
+ */
+IP.isMulticast = function (ip) {
+	ip = IP.parse(ip);
+	return ip !== null && inSpecialPurposeSubnet(IP.MULTICAST, ip);
+};
+
+/**
+ * Determine if an IP address is reserved for future use (240.0.0.0/4).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is reserved
+ */
+IP.isReserved = function (ip) {
+	return IP.isType(ip, 'reserved');
+};
+
+/**
+ * Determine if an IP address is in the shared address space used for
+ *   carrier-grade NAT (100.64.0.0/10, RFC 6598).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is shared address space
+ */
+IP.isSharedAddressSpace = function (ip) {
+	return IP.isType(ip, 'sharedAddressSpace');
+};
+
+/**
+ * Determine if an IP address is reserved for documentation (TEST-NET-1, 2 and
+ *   3, RFC 5737).
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is for documentation
+ */
+IP.isDocumentation = function (ip) {
+	return IP.isType(ip, 'documentation');
+};
+
+/**
+ * Determine if an IP address is a globally reachable unicast address. The
+ *   address must not be multicast, and must be globally reachable according to
+ *   the most specific special-purpose registry entry containing it, if any.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} ip IP address
+ * @return {Boolean} True if the address is global unicast
+ */
+IP.isGlobalUnicast = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null || inSpecialPurposeSubnet(IP.MULTICAST, ip)) {
+		return false;
+	}
+	var entry = IP.getSpecialPurpose(ip);
+	return entry === null || entry.globallyReachable === true;
+};
+
+/**
+ * Determine if an input is a valid IP address
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} input IP address
+ * @param {Object} [options] Parsing options, see {@link IP.parse}
+ * @return {String} True if input is a valid IP address
+ */
+IP.isValid = function (input, options) {
+	var value = IP.parse(input, options);
+	var valid = !(value === null || isNaN(value));
+	return valid;
+};
+
+/**
+ * Interned IP objects, by raw value, in two generations. When the current
+ *   generation is full it replaces the previous one, and objects found in the
+ *   previous generation are moved back to the current one, so the least
+ *   recently used objects are dropped first.
+ * @private
+ * @type {Object}
+ */
+var internedIPs = {
+	current: {},
+	previous: {},
+	size: 0
+};
+
+/**
+ * Get a shared IP object for an address. Equal addresses get the same object,
+ *   which saves memory when the same addresses are used many times. Up to
+ *   {@link IP.INTERN_LIMIT} recently used objects are kept.
+ * @memberOf IP
+ * @static
+ * @param {Number|String|IP} input IP address
+ * @param {Object} [options] Parsing options, see {@link IP.parse}
+ * @return {?IP} Shared IP object. Null if the input is invalid.
+ * @example
+ *
+ * IP.of('10.0.0.1') === IP.of('10.1');      // true
+ * IP.of('10.0.0.1') === new IP('10.0.0.1'); // false
+ */
+IP.of = function (input, options) {
+	var value = IP.parse(input, options);
+	if (value === null) {
+		return null;
+	}
+	var ip = internedIPs.current[value];
+	if (ip !== undefined) {
+		return ip;
+	}
+	ip = internedIPs.previous[value] || new IP(value);
+	if (internedIPs.size >= IP.INTERN_LIMIT / 2) {
+		internedIPs.previous = internedIPs.current;
+		internedIPs.current = {};
+		internedIPs.size = 0;
+	}
+	internedIPs.current[value] = ip;
+	internedIPs.size++;
+	return ip;
+};
+
+/**
+ * Drop all of the shared IP objects kept by {@link IP.of}.
+ * @memberOf IP
+ * @static
+ */
+IP.clearInterned = function () {
+	internedIPs.current = {};
+	internedIPs.previous = {};
+	internedIPs.size = 0;
+};
+
+/**
+ * Get the raw value of this IP address.
+ * @memberOf IP
+ * @return {Number} Raw value
+ * @example
+ *
+ * var localhost = new IP('127.0.0.1');
+ * localhost.valueOf(); // 2130706433
+ * Number(localhost);   // 2130706433
+ */
+IP.prototype.valueOf = function () {
+	return this.value === null ? NaN : this.value;
+};
+
+/**
+ * Get the value to use when this IP is serialized as JSON.
+ * @memberOf IP
+ * @return {?String} Dotted decimal string. Null if this IP is invalid.
+ * @example
+ *
+ * JSON.stringify({ host: new IP('10.0.0.1') }); // '{"host":"10.0.0.1"}'
+ */
+IP.prototype.toJSON = function () {
+	return this.value === null ? null : this.format();
+};
+
+if (typeof Symbol === 'function' && Symbol.toPrimitive) {
+	/**
+	 * Convert this IP to a primitive. Gives the dotted decimal string where a
+	 *   string is expected, such as in template strings, and the raw value
+	 *   otherwise.
+	 * @memberOf IP
+	 * @param {String} hint Type of primitive expected
+	 * @return {?Number|String} Primitive value
+	 */
+	IP.prototype[Symbol.toPrimitive] = function (hint) {
+		return hint === 'string' ? this.toString() : this.valueOf();
+	};
+}
+
+/**
+ * Get the string representation of this IP.
+ * @memberOf IP
+ * @param {Object|Number|String} [rad=10] Radix or formatting options, see
+ *   {@link IP.format}
+ * @return {String} String representation
  * @example
  *
  * var localhost = new IP(0x7f000001);
  * localhost.toString(); // "127.0.0.1"
  * String(localhost);    // "127.0.0.1"
  */
-IP.prototype.toString = function (rad) {
-	return this.format(rad);
+IP.prototype.toString = function (rad) {
+	return this.format(rad);
+};
+
+/**
+ * Format this IP address.
+ * @memberOf IP
+ * @param {Object|Number|String} [rad=10] Optional radix or formatting options,
+ *   see {@link IP.format}
+ * @return {String} Formatted string
+ */
+IP.prototype.format = function (rad) {
+	return IP.format(this, rad);
+};
+
+/**
+ * Get the four bytes of this IP address.
+ * @memberOf IP
+ * @param {Object} [options] Byte options, see {@link IP.toBytes}
+ * @return {?Uint8Array} Bytes of the address
+ */
+IP.prototype.toBytes = function (options) {
+	return IP.toBytes(this, options);
+};
+
+/**
+ * Get an IP object representing the next address after this IP.
+ * @memberOf IP
+ * @return {?IP} Next IP address or null if given IP is max value
+ */
+IP.prototype.next = function () {
+	return IP.next(this);
+};
+
+/**
+ * Get an IP object representing the previous address before this IP.
+ * @memberOf IP
+ * @return {?IP} Previous IP address or null if given IP is min value
+ */
+IP.prototype.prev = function () {
+	return IP.prev(this);
+};
+
+/**
+ * Determine if this IP address has the same value as another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to compare
+ * @return {Boolean} IPs are equal
+ */
+IP.prototype.equals = function (other) {
+	return IP.equal(this, other);
+};
+
+/**
+ * Compare the raw value of this IP against another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to compare
+ * @return {Number} -1 if this is less than 'other', 1 if greater, 0 otherwise
+ */
+IP.prototype.compare = function (other) {
+	return IP.compare(this, other);
+};
+
+/**
+ * Determine if this IP's value is less than another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to compare
+ * @return {Boolean} True if this IP's value is less than the other
+ */
+IP.prototype.lt = function (other) {
+	return IP.lt(this, other);
+};
+
+/**
+ * Determine if this IP's value is less than or equal to another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to compare
+ * @return {Boolean} True if this IP's value is less than or equal to the other
+ */
+IP.prototype.lte = function (other) {
+	return IP.lte(this, other);
+};
+
+/**
+ * Determine if this IP's value is greater than another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to compare
+ * @return {Boolean} True if this IP's value is greater than the other
+ */
+IP.prototype.gt = function (other) {
+	return IP.gt(this, other);
+};
+
+/**
+ * Determine if this IP's value is greater than or equal to another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to compare
+ * @return {Boolean} True if this IP's value is greater than or equal to the
+ *   other
+ */
+IP.prototype.gte = function (other) {
+	return IP.gte(this, other);
+};
+
+/**
+ * Get the inverse IP of this IP. All 1 bits are switched off and vice-versa.
+ * @memberOf IP
+ * @return {?IP} Inverse IP
+ */
+IP.prototype.not = function () {
+	return IP.not(this);
+};
+
+/**
+ * Get the bitwise AND of this IP and another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to operate with
+ * @return {?IP} Result of the operation
+ */
+IP.prototype.and = function (other) {
+	return IP.and(this, other);
+};
+
+/**
+ * Get the bitwise OR of this IP and another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to operate with
+ * @return {?IP} Result of the operation
+ */
+IP.prototype.or = function (other) {
+	return IP.or(this, other);
+};
+
+/**
+ * Get the bitwise XOR of this IP and another.
+ * @memberOf IP
+ * @param {Number|String|IP} other IP to operate with
+ * @return {?IP} Result of the operation
+ */
+IP.prototype.xor = function (other) {
+	return IP.xor(this, other);
+};
+
+/**
+ * Shift the bits of this IP towards the most significant bit.
+ * @memberOf IP
+ * @param {Number} bits Number of bits to shift by
+ * @return {?IP} Shifted IP
+ */
+IP.prototype.shiftLeft = function (bits) {
+	return IP.shiftLeft(this, bits);
+};
+
+/**
+ * Shift the bits of this IP towards the least significant bit.
+ * @memberOf IP
+ * @param {Number} bits Number of bits to shift by
+ * @return {?IP} Shifted IP
+ */
+IP.prototype.shiftRight = function (bits) {
+	return IP.shiftRight(this, bits);
+};
+
+/**
+ * Add an offset to this IP.
+ * @memberOf IP
+ * @param {Number} offset Number of addresses to add
+ * @param {Object} [options] Arithmetic options, see {@link IP.add}
+ * @return {?IP} Resulting IP or null on overflow
+ */
+IP.prototype.add = function (offset, options) {
+	return IP.add(this, offset, options);
+};
+
+/**
+ * Subtract an offset from this IP.
+ * @memberOf IP
+ * @param {Number} offset Number of addresses to subtract
+ * @param {Object} [options] Arithmetic options, see {@link IP.add}
+ * @return {?IP} Resulting IP or null on overflow
+ */
+IP.prototype.subtract = function (offset, options) {
+	return IP.subtract(this, offset, options);
+};
+
+/**
+ * Get the number of addresses from this IP to another.
+ * @memberOf IP
+ * @param {Number|String|IP} other Address to end at
+ * @return {?Number} Offset that can be added to this IP to get 'other'
+ */
+IP.prototype.distance = function (other) {
+	return IP.distance(this, other);
+};
+
+/**
+ * Get the length of the prefix this IP has in common with another.
+ * @memberOf IP
+ * @param {Number|String|IP} other Address to compare
+ * @return {?Mask} Common prefix length
+ */
+IP.prototype.commonPrefix = function (other) {
+	return IP.commonPrefix(this, other);
+};
+
+/**
+ * Get the most specific special-purpose registry entry containing this IP.
+ * @memberOf IP
+ * @return {?Object} Registry entry
+ */
+IP.prototype.getSpecialPurpose = function () {
+	return IP.getSpecialPurpose(this);
+};
+
+/**
+ * Get the type of this IP address.
+ * @memberOf IP
+ * @return {?String} The address type
+ */
+IP.prototype.getType = function () {
+	return IP.getType(this);
+};
+
+/**
+ * Determine if this IP address is private-use.
+ * @memberOf IP
+ * @return {Boolean} True if private
+ */
+IP.prototype.isPrivate = function () {
+	return IP.isPrivate(this);
+};
+
+/**
+ * Determine if this IP address is a loopback address.
+ * @memberOf IP
+ * @return {Boolean} True if loopback
+ */
+IP.prototype.isLoopback = function () {
+	return IP.isLoopback(this);
+};
+
+/**
+ * Determine if this IP address is link-local.
+ * @memberOf IP
+ * @return {Boolean} True if link-local
+ */
+IP.prototype.isLinkLocal = function () {
+	return IP.isLinkLocal(this);
+};
+
+/**
+ * Determine if this IP address is multicast.
+ * @memberOf IP
+ * @return {Boolean} True if multicast
+ */
+IP.prototype.isMulticast = function () {
+	return IP.isMulticast(this);
+};
+
+/**
+ * Determine if this IP address is reserved for future use.
+ * @memberOf IP
+ * @return {Boolean} True if reserved
+ */
+IP.prototype.isReserved = function () {
+	return IP.isReserved(this);
+};
+
+/**
+ * Determine if this IP address is in the shared address space.
+ * @memberOf IP
+ * @return {Boolean} True if shared address space
+ */
+IP.prototype.isSharedAddressSpace = function () {
+	return IP.isSharedAddressSpace(this);
+};
+
+/**
+ * Determine if this IP address is reserved for documentation.
+ * @memberOf IP
+ * @return {Boolean} True if for documentation
+ */
+IP.prototype.isDocumentation = function () {
+	return IP.isDocumentation(this);
+};
+
+/**
+ * Determine if this IP address is a globally reachable unicast address.
+ * @memberOf IP
+ * @return {Boolean} True if global unicast
+ */
+IP.prototype.isGlobalUnicast = function () {
+	return IP.isGlobalUnicast(this);
+};
+
+/**
+ * Determine if the value of this IP address is valid.
+ * @memberOf IP
+ * @return {Boolean} True if valid
+ */
+IP.prototype.isValid = function () {
+	return IP.isValid(this);
+};
+
+/**
+ * IPv6 address constructor. Can be given another IPv6 object, an array of eight
+ *   16-bit words, a number, or a string in full, compressed, zoned or
+ *   IPv4-embedded form. The 128-bit value is stored as an array of words since
+ *   it cannot be represented by a single number.
+ * @module IPv6
+ * @constructor
+ * @param {Number|String|Number[]|IPv6} [input=0] Value of this IP
+ * @example
+ *
+ * var localhost = IPv6('::1');               // 'new' not required
+ * var link = new IPv6('fe80::1%eth0');       // input can have a zone ID
+ * var mapped = new IPv6('::ffff:127.0.0.1'); // input can embed an IPv4 address
+ */
+var IPv6 = IP.IPv6 = function IPv6 (input) {
+	if (!(this instanceof IPv6)) {
+		return new IPv6(input);
+	}
+	this.value = IPv6.parse(input || 0);
+	this.zone = IPv6.parseZone(input);
+};
+
+/**
+ * The number of 16-bit words in an IPv6 address.
+ * @memberOf IPv6
+ * @static
+ * @type {Number}
+ */
+IPv6.WORDS = 8;
+
+/**
+ * The maximum value a single word of an IPv6 address can have.
+ * @memberOf IPv6
+ * @static
+ * @type {Number}
+ */
+IPv6.MAX_WORD = 0xffff;
+
+/**
+ * The minimum value an IPv6 address can have. Represents ::.
+ * @memberOf IPv6
+ * @static
+ * @type {Number[]}
+ */
+IPv6.MIN_VALUE = [0, 0, 0, 0, 0, 0, 0, 0];
+
+/**
+ * The maximum value an IPv6 address can have. Represents
+ *   ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff.
+ * @memberOf IPv6
+ * @static
+ * @type {Number[]}
+ */
+IPv6.MAX_VALUE = [
+	0xffff, 0xffff, 0xffff, 0xffff,
+	0xffff, 0xffff, 0xffff, 0xffff
+];
+
+/**
+ * Parse an IPv6 address and get its raw value. Input can be another IPv6
+ *   object, an array of eight words, a non-negative integer or a string. Any
+ *   zone ID in the string is ignored.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IP to parse
+ * @return {?Number[]} Raw value as eight 16-bit words
+ */
+IPv6.parse = function (input) {
+	var words;
+	if (input instanceof IPv6) {
+		words = input.value;
+	}
+	else if (Array.isArray(input)) {
+		words = input;
+	}
+	else if (typeof input === 'number') {
+		words = IPv6.fromNumber(input);
+	}
+	else if (input === null || input === undefined) {
+		return null;
+	}
+	else {
+		words = IPv6.splitParts(String(input));
+	}
+	if (!words || words.length !== IPv6.WORDS) {
+		return null;
+	}
+	for (var i = 0; i < IPv6.WORDS; i++) {
+		if (!IPv6.wordIsValid(words[i])) {
+			return null;
+		}
+	}
+	return words.slice();
+};
+
+/**
+ * Get the zone ID of an IPv6 address, e.g. "eth0" in "fe80::1%eth0".
+ * @memberOf IPv6
+ * @static
+ * @param {String|IPv6} input IP to process
+ * @return {?String} Zone ID or null if there is none
+ */
+IPv6.parseZone = function (input) {
+	if (input instanceof IPv6) {
+		return input.zone;
+	}
+	if (typeof input !== 'string') {
+		return null;
+	}
+	var percentIndex = input.indexOf('%');
+	if (percentIndex === -1 || percentIndex === input.length - 1) {
+		return null;
+	}
+	return input.substring(percentIndex + 1);
+};
+
+/**
+ * Convert a non-negative integer to the words of an IPv6 address. Only values
+ *   up to Number.MAX_SAFE_INTEGER can be represented.
+ * @memberOf IPv6
+ * @static
+ * @param {Number} value Integer to convert
+ * @return {?Number[]} Eight 16-bit words
+ */
+IPv6.fromNumber = function (value) {
+	if (isNaN(value) || value < 0 || value > 9007199254740991) {
+		return null;
+	}
+	value = Math.floor(value);
+	var words = [];
+	for (var i = 0; i < IPv6.WORDS; i++) {
+		words.unshift(value % 0x10000);
+		value = Math.floor(value / 0x10000);
+	}
+	return words;
+};
+
+/**
+ * Determine if a word of an IPv6 address is valid. A valid word is an integer
+ *   from 0 to 0xffff.
+ * @memberOf IPv6
+ * @static
+ * @param {Number} word Word to test
+ * @return {Boolean} The word is valid
+ */
+IPv6.wordIsValid = function (word) {
+	var valid = (
+		typeof word === 'number' &&
+		word >= 0 &&
+		word <= IPv6.MAX_WORD &&
+		Math.floor(word) === word
+	);
+	return valid;
+};
+
+/**
+ * Split an IPv6 string into its eight words. Handles "::" compression, zone IDs
+ *   and a trailing dotted decimal IPv4 address.
+ * @memberOf IPv6
+ * @static
+ * @param {String} input String to split
+ * @return {?Number[]} The words of the address. Null if the string is invalid.
+ */
+IPv6.splitParts = function (input) {
+	input = String(input);
+	var percentIndex = input.indexOf('%');
+	if (percentIndex > -1) {
+		input = input.substring(0, percentIndex);
+	}
+	var halves = input.split('::');
+	if (halves.length > 2) {
+		return null;
+	}
+	var head = IPv6.parseGroups(halves[0]);
+	var tail = halves.length === 2 ? IPv6.parseGroups(halves[1]) : [];
+	if (head === null || tail === null) {
+		return null;
+	}
+	var missing = IPv6.WORDS - head.length - tail.length;
+	if (halves.length === 2 ? missing < 1 : missing !== 0) {
+		return null;
+	}
+	var words = head;
+	for (var i = 0; i < missing; i++) {
+		words.push(0);
+	}
+	return words.concat(tail);
+};
+
+/**
+ * Parse a colon-separated list of hexadecimal groups. The last group may be a
+ *   dotted decimal IPv4 address, which counts as two words.
+ * @memberOf IPv6
+ * @static
+ * @param {String} input Groups to parse
+ * @return {?Number[]} Parsed words. Null if any group is invalid.
+ */
+IPv6.parseGroups = function (input) {
+	if (input === '') {
+		return [];
+	}
+	var groups = input.split(':');
+	var words = [];
+	for (var i = 0, l = groups.length; i < l; i++) {
+		if (i === l - 1 && groups[i].indexOf('.') > -1) {
+			var v4 = IPv6.parseEmbedded(groups[i]);
+			if (v4 === null) {
+				return null;
+			}
+			words.push(Math.floor(v4 / 0x10000), v4 % 0x10000);
+		}
+		else if (/^[0-9a-f]{1,4}$/i.test(groups[i])) {
+			words.push(parseInt(groups[i], 16));
+		}
+		else {
+			return null;
+		}
+	}
+	return words;
+};
+
+/**
+ * Parse an IPv4 address embedded in an IPv6 address. Only the four-part dotted
+ *   decimal form is allowed.
+ * @memberOf IPv6
+ * @static
+ * @param {String} input Dotted decimal address
+ * @return {?Number} Raw IPv4 value
+ */
+IPv6.parseEmbedded = function (input) {
+	if (!/^\d{1,3}(\.\d{1,3}){3}$/.test(input)) {
+		return null;
+	}
+	var parts = input.split('.');
+	for (var i = 0; i < parts.length; i++) {
+		if (parts[i].length > 1 && parts[i].charAt(0) === '0') {
+			return null;
+		}
+	}
+	return IP.parse(input);
+};
+
+/**
+ * Get the eight 16-bit words of an input IPv6 address.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IP to process
+ * @return {?Number[]} The IP value divided into eight words
+ */
+IPv6.getParts = function (input) {
+	return IPv6.parse(input);
+};
+
+/**
+ * Get the canonical text representation of an IPv6 address as described by
+ *   RFC 5952: lowercase, no leading zeros, the longest run of two or more zero
+ *   words compressed to "::", and IPv4-mapped addresses in dotted form.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IP to format
+ * @return {?String} Formatted IP address
+ */
+IPv6.format = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null) {
+		return null;
+	}
+	var zone = IPv6.parseZone(input);
+	var suffix = zone === null ? '' : '%' + zone;
+	if (IPv6.isMapped(words)) {
+		return '::ffff:' + IP.format(words[6] * 0x10000 + words[7]) + suffix;
+	}
+	var bestStart = -1;
+	var bestLength = 1;
+	var start, i;
+	for (i = 0; i < IPv6.WORDS; i++) {
+		if (words[i] !== 0) {
+			continue;
+		}
+		start = i;
+		while (i < IPv6.WORDS && words[i] === 0) {
+			i++;
+		}
+		if (i - start > bestLength) {
+			bestStart = start;
+			bestLength = i - start;
+		}
+	}
+	var hex = words.map(function (word) {
+		return word.toString(16);
+	});
+	if (bestStart === -1) {
+		return hex.join(':') + suffix;
+	}
+	var head = hex.slice(0, bestStart).join(':');
+	var tail = hex.slice(bestStart + bestLength).join(':');
+	return head + '::' + tail + suffix;
+};
+
+/**
+ * Determine if an IPv6 address is an IPv4-mapped address (::ffff:0:0/96).
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IP address
+ * @return {Boolean} True if the address is IPv4-mapped
+ */
+IPv6.isMapped = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null) {
+		return false;
+	}
+	for (var i = 0; i < 5; i++) {
+		if (words[i] !== 0) {
+			return false;
+		}
+	}
+	return words[5] === 0xffff;
+};
+
+/**
+ * The Well-Known Prefix for IPv4/IPv6 translation (RFC 6052).
+ * @memberOf IPv6
+ * @static
+ * @type {String}
+ */
+IPv6.NAT64_PREFIX = '64:ff9b::/96';
+
+/**
+ * The prefix lengths an IPv4-embedded IPv6 address can have (RFC 6052).
+ * @memberOf IPv6
+ * @static
+ * @type {Number[]}
+ */
+IPv6.NAT64_PREFIX_LENGTHS = [32, 40, 48, 56, 64, 96];
+
+/**
+ * Get the sixteen bytes of an IPv6 address, in network order.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input Address to convert
+ * @return {?Uint8Array} Bytes of the address. A plain array where typed arrays
+ *   are not supported.
+ */
+IPv6.toBytes = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null) {
+		return null;
+	}
+	var bytes = [];
+	for (var i = 0; i < IPv6.WORDS; i++) {
+		bytes.push(Math.floor(words[i] / 0x100), words[i] % 0x100);
+	}
+	return typeof Uint8Array === 'function' ? new Uint8Array(bytes) : bytes;
+};
+
+/**
+ * Get an IPv6 address from its sixteen bytes, in network order.
+ * @memberOf IPv6
+ * @static
+ * @param {Number[]|Uint8Array} bytes Bytes of the address
+ * @return {?IPv6} IPv6 address. Null if there are not sixteen valid bytes.
+ */
+IPv6.fromBytes = function (bytes) {
+	if (!IP.isByteArray(bytes) || bytes.length !== IPv6.WORDS * 2) {
+		return null;
+	}
+	var words = [];
+	for (var i = 0; i < bytes.length; i += 2) {
+		if (!IP.isByte(bytes[i]) || !IP.isByte(bytes[i + 1])) {
+			return null;
+		}
+		words.push(bytes[i] * 0x100 + bytes[i + 1]);
+	}
+	return new IPv6(words);
+};
+
+/**
+ * Parse an IPv6 prefix such as "2001:db8::/32".
+ * @memberOf IPv6
+ * @static
+ * @param {String|IPv6} input Prefix to parse
+ * @return {?Object} Object with the address 'value' as eight words and the
+ *   prefix 'length', which is null if none was given
+ */
+IPv6.parsePrefix = function (input) {
+	var length = null;
+	if (typeof input === 'string' && input.indexOf('/') > -1) {
+		length = Mask.parse(input.substring(input.indexOf('/') + 1), { version: 6 });
+		if (length === null) {
+			return null;
+		}
+		input = input.substring(0, input.indexOf('/'));
+	}
+	var value = IPv6.parse(input);
+	if (value === null) {
+		return null;
+	}
+	return { value: value, length: length };
+};
+
+/**
+ * Get the byte offsets of an IPv4 address embedded in an IPv6 address with a
+ *   NAT64 prefix. Bits 64 to 71 are always zero, so the IPv4 address skips
+ *   over byte 8 (RFC 6052 section 2.2).
+ * @memberOf IPv6
+ * @static
+ * @param {Number} length Prefix length, one of {@link IPv6.NAT64_PREFIX_LENGTHS}
+ * @return {Number[]} Offsets of the four IPv4 bytes
+ */
+IPv6.getNAT64Offsets = function (length) {
+	var offsets = [];
+	for (var offset = length / 8; offsets.length < 4; offset++) {
+		if (offset !== 8) {
+			offsets.push(offset);
+		}
+	}
+	return offsets;
+};
+
+/**
+ * Parse a NAT64 prefix. Its length must be one of
+ *   {@link IPv6.NAT64_PREFIX_LENGTHS}.
+ * @memberOf IPv6
+ * @static
+ * @param {String} [input=IPv6.NAT64_PREFIX] Prefix to parse
+ * @return {?Object} Object with the prefix 'bytes', with any bits after the
+ *   prefix switched off, and the prefix 'length'
+ */
+IPv6.parseNAT64Prefix = function (input) {
+	var prefix = IPv6.parsePrefix(input === undefined ? IPv6.NAT64_PREFIX : input);
+	if (prefix === null || IPv6.NAT64_PREFIX_LENGTHS.indexOf(prefix.length) === -1) {
+		return null;
+	}
+	var bytes = Array.prototype.slice.call(IPv6.toBytes(prefix.value));
+	for (var i = prefix.length / 8; i < bytes.length; i++) {
+		bytes[i] = 0;
+	}
+	return { bytes: bytes, length: prefix.length };
+};
+
+/**
+ * Embed an IPv4 address in an IPv6 address for NAT64 translation (RFC 6052).
+ *   The Well-Known Prefix may only be used with globally reachable IPv4
+ *   addresses; a network-specific prefix must be given for others.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|IP} ip IPv4 address to embed
+ * @param {String} [prefix=IPv6.NAT64_PREFIX] NAT64 prefix with a length of 32,
+ *   40, 48, 56, 64 or 96 bits
+ * @return {?IPv6} IPv4-embedded IPv6 address. Null if the address or prefix is
+ *   invalid.
+ * @example
+ *
+ * IPv6.embedNAT64('192.0.2.33', '2001:db8::/96').toString(); // "2001:db8::c000:221"
+ * IPv6.embedNAT64('192.0.2.33', '2001:db8::/40').toString(); // "2001:db8:c0:2:21::"
+ * IPv6.embedNAT64('8.8.8.8').toString();                     // "64:ff9b::808:808"
+ * IPv6.embedNAT64('10.0.0.1');                               // null
+ */
+IPv6.embedNAT64 = function (ip, prefix) {
+	var nat64 = IPv6.parseNAT64Prefix(prefix);
+	var v4 = IP.toBytes(ip);
+	if (nat64 === null || v4 === null) {
+		return null;
+	}
+	var wellKnown = nat64.length === 96 && IPv6.equal(IPv6.fromBytes(nat64.bytes), '64:ff9b::');
+	if (wellKnown && !IP.isGlobalUnicast(ip)) {
+		return null;
+	}
+	var offsets = IPv6.getNAT64Offsets(nat64.length);
+	for (var i = 0; i < offsets.length; i++) {
+		nat64.bytes[offsets[i]] = v4[i];
+	}
+	return IPv6.fromBytes(nat64.bytes);
+};
+
+/**
+ * Extract the IPv4 address embedded in an IPv6 address by NAT64 translation
+ *   (RFC 6052).
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IPv4-embedded IPv6 address
+ * @param {String} [prefix=IPv6.NAT64_PREFIX] NAT64 prefix the address was
+ *   made with
+ * @return {?IP} Embedded IPv4 address. Null if the address does not have the
+ *   prefix.
+ * @example
+ *
+ * IPv6.extractNAT64('64:ff9b::808:808').toString();                     // "8.8.8.8"
+ * IPv6.extractNAT64('2001:db8:c0:2:21::', '2001:db8::/40').toString(); // "192.0.2.33"
+ * IPv6.extractNAT64('2001:db8::1');                                    // null
+ */
+IPv6.extractNAT64 = function (input, prefix) {
+	var nat64 = IPv6.parseNAT64Prefix(prefix);
+	var bytes = IPv6.toBytes(input);
+	if (nat64 === null || bytes === null) {
+		return null;
+	}
+	for (var i = 0; i < nat64.length / 8; i++) {
+		if (bytes[i] !== nat64.bytes[i]) {
+			return null;
+		}
+	}
+	if (nat64.length < 96 && bytes[8] !== 0) {
+		return null;
+	}
+	var offsets = IPv6.getNAT64Offsets(nat64.length);
+	return IP.fromBytes(offsets.map(function (offset) {
+		return bytes[offset];
+	}));
+};
+
+/**
+ * Get the 6to4 network prefix (2002::/16) of an IPv4 address (RFC 3056).
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|IP} ip IPv4 address of the 6to4 router
+ * @return {?IPv6} First address of the router's /48 network
+ * @example
+ *
+ * IPv6.embed6to4('192.0.2.4').toString(); // "2002:c000:204::"
+ */
+IPv6.embed6to4 = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null) {
+		return null;
+	}
+	return new IPv6([0x2002, Math.floor(ip / 0x10000), ip % 0x10000, 0, 0, 0, 0, 0]);
+};
+
+/**
+ * Extract the IPv4 address of the router from a 6to4 address (RFC 3056).
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input 6to4 address
+ * @return {?IP} IPv4 address. Null if the address is not in 2002::/16.
+ * @example
+ *
+ * IPv6.extract6to4('2002:c000:204::1').toString(); // "192.0.2.4"
+ */
+IPv6.extract6to4 = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null || words[0] !== 0x2002) {
+		return null;
+	}
+	return new IP(words[1] * 0x10000 + words[2]);
+};
+
+/**
+ * Make a Teredo address (RFC 4380). The client's port and address are stored
+ *   obfuscated, with all their bits inverted.
+ * @memberOf IPv6
+ * @static
+ * @param {Object} teredo Teredo parameters
+ * @param {Number|String|IP} teredo.server IPv4 address of the Teredo server
+ * @param {Number|String|IP} teredo.client External IPv4 address of the client
+ * @param {Number|String} teredo.port External UDP port of the client
+ * @param {Number} [teredo.flags=0] Flags word
+ * @return {?IPv6} Teredo address. Null if any parameter is invalid.
+ * @example
+ *
+ * IPv6.embedTeredo({
+ *   server: '65.54.227.120',
+ *   client: '192.0.2.45',
+ *   port: 40000,
+ *   flags: 0x8000
+ * }).toString(); // "2001:0:4136:e378:8000:63bf:3fff:fdd2"
+ */
+IPv6.embedTeredo = function (teredo) {
+	var server = IP.parse(teredo && teredo.server);
+	var client = IP.parse(teredo && teredo.client);
+	var port = Endpoint.parsePort(teredo && teredo.port);
+	var flags = teredo && teredo.flags !== undefined ? teredo.flags : 0;
+	if (server === null || client === null || port === null || !IPv6.wordIsValid(flags)) {
+		return null;
+	}
+	client = IP.MAX_VALUE - client;
+	return new IPv6([
+		0x2001, 0,
+		Math.floor(server / 0x10000), server % 0x10000,
+		flags,
+		Endpoint.MAX_PORT - port,
+		Math.floor(client / 0x10000), client % 0x10000
+	]);
+};
+
+/**
+ * Extract the server and client details from a Teredo address (RFC 4380).
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input Teredo address
+ * @return {?Object} Object with the 'server' and 'client' IPv4 addresses, the
+ *   client 'port' and the 'flags' word. Null if the address is not in
+ *   2001::/32.
+ * @example
+ *
+ * var teredo = IPv6.extractTeredo('2001:0:4136:e378:8000:63bf:3fff:fdd2');
+ * teredo.server.toString(); // "65.54.227.120"
+ * teredo.client.toString(); // "192.0.2.45"
+ * teredo.port;              // 40000
+ */
+IPv6.extractTeredo = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null || words[0] !== 0x2001 || words[1] !== 0) {
+		return null;
+	}
+	return {
+		server: new IP(words[2] * 0x10000 + words[3]),
+		client: new IP(IP.MAX_VALUE - (words[6] * 0x10000 + words[7])),
+		port: Endpoint.MAX_PORT - words[5],
+		flags: words[4]
+	};
+};
+
+/**
+ * Make an ISATAP address (RFC 5214) from a /64 prefix and an IPv4 address. The
+ *   universal bit of the interface ID is set for globally reachable IPv4
+ *   addresses.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|IP} ip IPv4 address of the interface
+ * @param {String|IPv6} [prefix="fe80::/64"] Prefix of the network. Only the
+ *   first 64 bits are used.
+ * @return {?IPv6} ISATAP address. Null if the address or prefix is invalid.
+ * @example
+ *
+ * IPv6.embedISATAP('192.168.1.2').toString();                 // "fe80::5efe:c0a8:102"
+ * IPv6.embedISATAP('8.8.4.4', '2001:db8::/64').toString();    // "2001:db8::200:5efe:808:404"
+ */
+IPv6.embedISATAP = function (ip, prefix) {
+	prefix = IPv6.parsePrefix(prefix === undefined ? 'fe80::/64' : prefix);
+	var value = IP.parse(ip);
+	if (prefix === null || value === null || (prefix.length !== null && prefix.length !== 64)) {
+		return null;
+	}
+	var words = prefix.value.slice(0, 4);
+	words.push(IP.isGlobalUnicast(value) ? 0x200 : 0, 0x5efe);
+	words.push(Math.floor(value / 0x10000), value % 0x10000);
+	return new IPv6(words);
+};
+
+/**
+ * Extract the IPv4 address from an ISATAP address (RFC 5214). The interface ID
+ *   must be 0:5efe followed by the address, with only the universal and group
+ *   bits allowed in its first word.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input ISATAP address
+ * @return {?IP} IPv4 address. Null if the address is not an ISATAP address.
+ * @example
+ *
+ * IPv6.extractISATAP('fe80::5efe:c0a8:102').toString(); // "192.168.1.2"
+ */
+IPv6.extractISATAP = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null || words[5] !== 0x5efe || [0, 0x100, 0x200, 0x300].indexOf(words[4]) === -1) {
+		return null;
+	}
+	return new IP(words[6] * 0x10000 + words[7]);
+};
+
+/**
+ * Get the IPv4-mapped IPv6 address (::ffff:0:0/96) of an IPv4 address.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|IP} ip IPv4 address
+ * @return {?IPv6} IPv4-mapped address
+ * @example
+ *
+ * IPv6.embedMapped('192.0.2.1').toString(); // "::ffff:192.0.2.1"
+ */
+IPv6.embedMapped = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null) {
+		return null;
+	}
+	return new IPv6([0, 0, 0, 0, 0, 0xffff, Math.floor(ip / 0x10000), ip % 0x10000]);
+};
+
+/**
+ * Extract the IPv4 address from an IPv4-mapped IPv6 address.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IPv4-mapped address
+ * @return {?IP} IPv4 address. Null if the address is not IPv4-mapped.
+ */
+IPv6.extractMapped = function (input) {
+	var words = IPv6.parse(input);
+	if (!IPv6.isMapped(words)) {
+		return null;
+	}
+	return new IP(words[6] * 0x10000 + words[7]);
+};
+
+/**
+ * Get the IPv4-compatible IPv6 address (::/96) of an IPv4 address. These are
+ *   deprecated by RFC 4291 but still seen in older configurations.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|IP} ip IPv4 address
+ * @return {?IPv6} IPv4-compatible address. Null for 0.0.0.0 and 0.0.0.1, which
+ *   would give the unspecified and loopback addresses.
+ * @example
+ *
+ * IPv6.embedCompatible('192.0.2.1').toString(); // "::c000:201"
+ */
+IPv6.embedCompatible = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null || ip < 2) {
+		return null;
+	}
+	return new IPv6([0, 0, 0, 0, 0, 0, Math.floor(ip / 0x10000), ip % 0x10000]);
+};
+
+/**
+ * Extract the IPv4 address from an IPv4-compatible IPv6 address.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IPv4-compatible address
+ * @return {?IP} IPv4 address. Null if the address is not IPv4-compatible, or
+ *   is the unspecified or loopback address.
+ * @example
+ *
+ * IPv6.extractCompatible('::192.0.2.1').toString(); // "192.0.2.1"
+ * IPv6.extractCompatible('::1');                    // null
+ */
+IPv6.extractCompatible = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null) {
+		return null;
+	}
+	for (var i = 0; i < 6; i++) {
+		if (words[i] !== 0) {
+			return null;
+		}
+	}
+	var value = words[6] * 0x10000 + words[7];
+	return value < 2 ? null : new IP(value);
+};
+
+/**
+ * Get the IPv4 address embedded in an IPv6 address of any transition format:
+ *   IPv4-mapped, IPv4-compatible, NAT64 with the Well-Known Prefix, 6to4,
+ *   Teredo (the client address) or ISATAP. NAT64 addresses with other prefixes
+ *   cannot be recognized, see {@link IPv6.extractNAT64}.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IPv6 address
+ * @return {?IP} Embedded IPv4 address. Null if there is none.
+ * @example
+ *
+ * IPv6.toIPv4('::ffff:10.0.0.1').toString();  // "10.0.0.1"
+ * IPv6.toIPv4('64:ff9b::808:808').toString(); // "8.8.8.8"
+ * IPv6.toIPv4('2001:db8::1');                 // null
+ */
+IPv6.toIPv4 = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null) {
+		return null;
+	}
+	var teredo = IPv6.extractTeredo(words);
+	return (
+		IPv6.extractMapped(words) ||
+		IPv6.extractCompatible(words) ||
+		IPv6.extractNAT64(words) ||
+		IPv6.extract6to4(words) ||
+		(teredo && teredo.client) ||
+		IPv6.extractISATAP(words)
+	);
+};
+
+/**
+ * Get an IPv6 object representing the next address after the given IP.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} ip Address to operate on
+ * @return {?IPv6} Next IP address or null if given IP is max value
+ */
+IPv6.next = function (ip) {
+	var words = IPv6.parse(ip);
+	if (words === null) {
+		return null;
+	}
+	for (var i = IPv6.WORDS - 1; i >= 0; i--) {
+		if (words[i] < IPv6.MAX_WORD) {
+			words[i]++;
+			return new IPv6(words);
+		}
+		words[i] = 0;
+	}
+	return null;
+};
+
+/**
+ * Get an IPv6 object representing the previous address before the given IP.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} ip Address to operate on
+ * @return {?IPv6} Previous IP address or null if given IP is min value
+ */
+IPv6.prev = function (ip) {
+	var words = IPv6.parse(ip);
+	if (words === null) {
+		return null;
+	}
+	for (var i = IPv6.WORDS - 1; i >= 0; i--) {
+		if (words[i] > 0) {
+			words[i]--;
+			return new IPv6(words);
+		}
+		words[i] = IPv6.MAX_WORD;
+	}
+	return null;
+};
+
+/**
+ * Compare the raw values of two IPv6 addresses. Zone IDs are not compared.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} left First IP to compare
+ * @param {Number|String|Number[]|IPv6} right Second IP to compare
+ * @return {?Number} -1 if 'left' is less than 'right', 1 if greater, 0
+ *   otherwise. Null if either IP is invalid.
+ */
+IPv6.compare = function (left, right) {
+	left = IPv6.parse(left);
+	right = IPv6.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	for (var i = 0; i < IPv6.WORDS; i++) {
+		if (left[i] < right[i]) {
+			return -1;
+		}
+		if (left[i] > right[i]) {
+			return 1;
+		}
+	}
+	return 0;
+};
+
+/**
+ * Determine if two IPv6 addresses have the same value.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} left First IP to compare
+ * @param {Number|String|Number[]|IPv6} right Second IP to compare
+ * @return {Boolean} The IP addresses are equal
+ */
+IPv6.equal = function (left, right) {
+	return IPv6.compare(left, right) === 0;
+};
+
+/**
+ * Determine if left IPv6 address's value is less than right's.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} left First IP to compare
+ * @param {Number|String|Number[]|IPv6} right Second IP to compare
+ * @return {Boolean} True if left IP's value is less than right's
+ */
+IPv6.lt = function (left, right) {
+	return IPv6.compare(left, right) === -1;
+};
+
+/**
+ * Determine if left IPv6 address's value is less than or equal to right's.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} left First IP to compare
+ * @param {Number|String|Number[]|IPv6} right Second IP to compare
+ * @return {Boolean} True if left IP's value is less than or equal to right's
+ */
+IPv6.lte = function (left, right) {
+	var result = IPv6.compare(left, right);
+	return result === -1 || result === 0;
+};
+
+/**
+ * Determine if left IPv6 address's value is greater than right's.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} left First IP to compare
+ * @param {Number|String|Number[]|IPv6} right Second IP to compare
+ * @return {Boolean} True if left IP's value is greater than right's
+ */
+IPv6.gt = function (left, right) {
+	return IPv6.compare(left, right) === 1;
+};
+
+/**
+ * Determine if left IPv6 address's value is greater than or equal to right's.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} left First IP to compare
+ * @param {Number|String|Number[]|IPv6} right Second IP to compare
+ * @return {Boolean} True if left IP's value is greater than or equal to right's
+ */
+IPv6.gte = function (left, right) {
+	var result = IPv6.compare(left, right);
+	return result === 1 || result === 0;
+};
+
+/**
+ * Get the inverse IPv6 address of a given IP. All 1 bits are switched off and
+ *   vice-versa.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} ip Address to invert
+ * @return {?IPv6} Inverse IP
+ */
+IPv6.not = function (ip) {
+	var words = IPv6.parse(ip);
+	if (words === null) {
+		return null;
+	}
+	var inverse = words.map(function (word) {
+		return IPv6.MAX_WORD - word;
+	});
+	return new IPv6(inverse);
+};
+
+/**
+ * Determine if an input is a valid IPv6 address.
+ * @memberOf IPv6
+ * @static
+ * @param {Number|String|Number[]|IPv6} input IP address
+ * @return {Boolean} True if input is a valid IPv6 address
+ */
+IPv6.isValid = function (input) {
+	return IPv6.parse(input) !== null;
+};
+
+/**
+ * Get the string representation of this IPv6 address.
+ * @memberOf IPv6
+ * @return {?String} String representation
+ * @example
+ *
+ * var localhost = new IPv6('0:0:0:0:0:0:0:1');
+ * localhost.toString(); // "::1"
+ * String(localhost);    // "::1"
+ */
+IPv6.prototype.toString = function () {
+	return this.format();
+};
+
+/**
+ * Format this IPv6 address canonically.
+ * @memberOf IPv6
+ * @return {?String} Formatted address
+ */
+IPv6.prototype.format = function () {
+	return IPv6.format(this);
+};
+
+/**
+ * Get the eight 16-bit words of this IPv6 address.
+ * @memberOf IPv6
+ * @return {?Number[]} Words of this address
+ */
+IPv6.prototype.getParts = function () {
+	return IPv6.getParts(this);
+};
+
+/**
+ * Get an IPv6 object representing the next address after this IP.
+ * @memberOf IPv6
+ * @return {?IPv6} Next IP address or null if this IP is max value
+ */
+IPv6.prototype.next = function () {
+	return IPv6.next(this);
+};
+
+/**
+ * Get an IPv6 object representing the previous address before this IP.
+ * @memberOf IPv6
+ * @return {?IPv6} Previous IP address or null if this IP is min value
+ */
+IPv6.prototype.prev = function () {
+	return IPv6.prev(this);
+};
+
+/**
+ * Determine if this IPv6 address has the same value as another.
+ * @memberOf IPv6
+ * @param {Number|String|Number[]|IPv6} other IP to compare
+ * @return {Boolean} IPs are equal
+ */
+IPv6.prototype.equals = function (other) {
+	return IPv6.equal(this, other);
+};
+
+/**
+ * Compare the raw value of this IPv6 address against another.
+ * @memberOf IPv6
+ * @param {Number|String|Number[]|IPv6} other IP to compare
+ * @return {?Number} -1 if this is less than 'other', 1 if greater, 0 otherwise
+ */
+IPv6.prototype.compare = function (other) {
+	return IPv6.compare(this, other);
+};
+
+/**
+ * Determine if this IPv6 address's value is less than another.
+ * @memberOf IPv6
+ * @param {Number|String|Number[]|IPv6} other IP to compare
+ * @return {Boolean} True if this IP's value is less than the other
+ */
+IPv6.prototype.lt = function (other) {
+	return IPv6.lt(this, other);
+};
+
+/**
+ * Determine if this IPv6 address's value is less than or equal to another.
+ * @memberOf IPv6
+ * @param {Number|String|Number[]|IPv6} other IP to compare
+ * @return {Boolean} True if this IP's value is less than or equal to the other
+ */
+IPv6.prototype.lte = function (other) {
+	return IPv6.lte(this, other);
+};
+
+/**
+ * Determine if this IPv6 address's value is greater than another.
+ * @memberOf IPv6
+ * @param {Number|String|Number[]|IPv6} other IP to compare
+ * @return {Boolean} True if this IP's value is greater than the other
+ */
+IPv6.prototype.gt = function (other) {
+	return IPv6.gt(this, other);
+};
+
+/**
+ * Determine if this IPv6 address's value is greater than or equal to another.
+ * @memberOf IPv6
+ * @param {Number|String|Number[]|IPv6} other IP to compare
+ * @return {Boolean} True if this IP's value is greater than or equal to the
+ *   other
+ */
+IPv6.prototype.gte = function (other) {
+	return IPv6.gte(this, other);
+};
+
+/**
+ * Get the inverse IPv6 address of this IP. All 1 bits are switched off and
+ *   vice-versa.
+ * @memberOf IPv6
+ * @return {?IPv6} Inverse IP
+ */
+IPv6.prototype.not = function () {
+	return IPv6.not(this);
+};
+
+/**
+ * Get the sixteen bytes of this IP.
+ * @memberOf IPv6
+ * @return {?Uint8Array} Bytes of the address
+ */
+IPv6.prototype.toBytes = function () {
+	return IPv6.toBytes(this);
+};
+
+/**
+ * Get the IPv4 address embedded in this IP by any transition format.
+ * @memberOf IPv6
+ * @return {?IP} Embedded IPv4 address
+ */
+IPv6.prototype.toIPv4 = function () {
+	return IPv6.toIPv4(this);
+};
+
+/**
+ * Extract the IPv4 address embedded in this IP by NAT64 translation.
+ * @memberOf IPv6
+ * @param {String} [prefix=IPv6.NAT64_PREFIX] NAT64 prefix
+ * @return {?IP} Embedded IPv4 address
+ */
+IPv6.prototype.extractNAT64 = function (prefix) {
+	return IPv6.extractNAT64(this, prefix);
+};
+
+/**
+ * Extract the router's IPv4 address from this 6to4 address.
+ * @memberOf IPv6
+ * @return {?IP} IPv4 address
+ */
+IPv6.prototype.extract6to4 = function () {
+	return IPv6.extract6to4(this);
+};
+
+/**
+ * Extract the server and client details from this Teredo address.
+ * @memberOf IPv6
+ * @return {?Object} Teredo 'server', 'client', 'port' and 'flags'
+ */
+IPv6.prototype.extractTeredo = function () {
+	return IPv6.extractTeredo(this);
+};
+
+/**
+ * Extract the IPv4 address from this ISATAP address.
+ * @memberOf IPv6
+ * @return {?IP} IPv4 address
+ */
+IPv6.prototype.extractISATAP = function () {
+	return IPv6.extractISATAP(this);
+};
+
+/**
+ * Extract the IPv4 address from this IPv4-mapped address.
+ * @memberOf IPv6
+ * @return {?IP} IPv4 address
+ */
+IPv6.prototype.extractMapped = function () {
+	return IPv6.extractMapped(this);
+};
+
+/**
+ * Extract the IPv4 address from this IPv4-compatible address.
+ * @memberOf IPv6
+ * @return {?IP} IPv4 address
+ */
+IPv6.prototype.extractCompatible = function () {
+	return IPv6.extractCompatible(this);
+};
+
+/**
+ * Determine if the value of this IPv6 address is valid.
+ * @memberOf IPv6
+ * @return {Boolean} True if valid
+ */
+IPv6.prototype.isValid = function () {
+	return IPv6.isValid(this);
+};
+
+/**
+ * IP address mask constructor. Can be given a number, an IP object, another
+ *   Mask object, an IP-like string or a numeric string. Will default to no
+ *   value (i.e. mask zero bits). Instances are frozen, so their value cannot be
+ *   changed once created.
+ * @module Mask
+ * @constructor
+ * @param {Number|String|IP|Mask} [input=0] Mask value
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @example
+ *
+ * var subnet = Mask('255.255.255.0');      // 'new' not required
+ * var loopback = new Mask('127.0.0.0/8');  // input can be an IP/mask pair
+ * var first24 = new Mask(24);              // input can be a number
+ * var site = new Mask(48, { version: 6 }); // IPv6 prefixes must be asked for
+ */
+var Mask = IP.Mask = function Mask (input, options) {
+	if (!(this instanceof Mask)) {
+		return new Mask(input, options);
+	}
+	this.value = Mask.parse(input === undefined ? 0 : input, options);
+	Object.freeze(this);
+};
+
+/**
+ * The minimum value a mask can have. Represents no bits masked.
+ * @memberOf Mask
+ * @static
+ * @type {Number}
+ */
+Mask.MIN_VALUE = 0;
+
+/**
+ * The maximum value a mask can have. Represents all bits masked.
+ * @memberOf Mask
+ * @static
+ * @type {Number}
+ */
+Mask.MAX_VALUE = 0x20;
+
+/**
+ * The maximum value an IPv6 mask can have. Represents all 128 bits masked.
+ * @memberOf Mask
+ * @static
+ * @type {Number}
+ */
+Mask.IPV6_MAX_VALUE = 0x80;
+
+/**
+ * Parse a mask and get its raw value. Input can be a Mask object, a prefix
+ *   length, or an IP-like netmask. Masks are for IPv4 unless version 6 is
+ *   asked for, which allows prefix lengths up to 128 and IPv6 netmasks.
+ *   Netmasks must be a contiguous run of ones.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|IPv6|Mask} input Mask to parse
+ * @param {Object} [options] Parsing options
+ * @param {Number} [options.version=4] IP version the mask is for. Version 4
+ *   only allows prefix lengths up to 32, version 6 allows prefix lengths up to
+ *   128 but not raw IPv4 netmask values. Mask objects with a prefix length over
+ *   32 are taken to be for IPv6 when no version is given.
+ * @param {Boolean} [options.wildcard=false] Netmasks are given as wildcard
+ *   masks, with the host bits switched on instead of the network bits. Prefix
+ *   lengths are not affected.
+ * @param {Boolean} [options.throws=false] Throw an {@link IPParseError}
+ *   instead of returning null
+ * @return {?Number} Raw value
+ * @throws {IPParseError} If input is invalid and the 'throws' option is set
+ */
+Mask.parse = function (input, options) {
+	var error = Mask.validate(input, options);
+	if (error !== null) {
+		if (options && options.throws) {
+			throw error;
+		}
+		return null;
+	}
+	if (input instanceof Mask) {
+		return input.value;
+	}
+	if (Mask.isPrefix(input) && input <= Mask.IPV6_MAX_VALUE) {
+		return Number(input);
+	}
+	input = String(input);
+	var slashIndex = input.indexOf('/');
+	if (slashIndex > -1) {
+		input = input.substring(slashIndex + 1);
+		return Mask.parse(input, options);
+	}
+	if (input.indexOf(':') > -1) {
+		return Mask.parseIPv6(input);
+	}
+	var wildcard = Boolean(options && options.wildcard);
+	var netmask = Number(wildcard ? IP.not(input) : IP.parse(input));
+	return countMaskBits([Math.floor(netmask / 0x10000), netmask % 0x10000]);
+};
+
+/**
+ * Validate a mask and get an error describing why it cannot be parsed. Accepts
+ *   the same input and options as {@link Mask.parse}.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|IPv6|Mask} input Mask to validate
+ * @param {Object} [options] Parsing options
+ * @param {Number} [options.version=4] IP version the mask is for
+ * @param {Boolean} [options.wildcard=false] Netmasks are given as wildcard
+ *   masks
+ * @return {?IPParseError} Error with the failure code and position. Null if the
+ *   input is valid.
+ * @example
+ *
+ * Mask.validate('255.255.255.0');        // null
+ * Mask.validate('255.0.255.0').code;     // "NON_CONTIGUOUS"
+ * Mask.validate(33).code;                // "OUT_OF_RANGE"
+ * Mask.validate(33, { version: 6 });     // null
+ */
+Mask.validate = function (input, options) {
+	var error, value;
+	var version = options && options.version;
+	var wildcard = Boolean(options && options.wildcard);
+	if (input instanceof Mask) {
+		input = input.value;
+		if (version === undefined && input > Mask.MAX_VALUE) {
+			version = 6;
+		}
+	}
+	if (input === null || input === undefined || input === '') {
+		return new IPParseError('EMPTY', input, 0);
+	}
+	if (Mask.isPrefix(input)) {
+		value = Number(input);
+		if (isNaN(value)) {
+			return new IPParseError('NOT_A_NUMBER', input, 0);
+		}
+		if (value < Mask.MIN_VALUE) {
+			return new IPParseError('NEGATIVE', input, 0);
+		}
+		if (Math.floor(value) !== value) {
+			return new IPParseError('NOT_AN_INTEGER', input, 0);
+		}
+		if (value <= (version === 6 ? Mask.IPV6_MAX_VALUE : Mask.MAX_VALUE)) {
+			return null;
+		}
+		// a raw IPv4 netmask value, e.g. 0xffffff00
+		if (wildcard) {
+			value = IP.MAX_VALUE - value;
+		}
+		var netmask = (
+			value > Mask.IPV6_MAX_VALUE &&
+			value <= IP.MAX_VALUE &&
+			version !== 6 &&
+			Mask.isContiguous(value)
+		);
+		return netmask ? null : new IPParseError('OUT_OF_RANGE', input, 0);
+	}
+	input = String(input);
+	var slashIndex = input.indexOf('/');
+	if (slashIndex > -1) {
+		error = Mask.validate(input.substring(slashIndex + 1), options);
+		if (error === null) {
+			return null;
+		}
+		return new IPParseError(error.code, input, error.position + slashIndex + 1);
+	}
+	if (input.indexOf(':') > -1) {
+		value = IPv6.parse(input);
+		if (version !== 6 || wildcard || value === null) {
+			return new IPParseError('INVALID_FORMAT', input, 0);
+		}
+		return Mask.isContiguous(value) ? null : new IPParseError('NON_CONTIGUOUS', input, 0);
+	}
+	error = IP.validate(input);
+	if (error !== null) {
+		return error;
+	}
+	value = IP.parse(input);
+	if (wildcard) {
+		value = IP.MAX_VALUE - value;
+	}
+	return Mask.isContiguous(value) ? null : new IPParseError('NON_CONTIGUOUS', input, 0);
+};
+
+/**
+ * Parse a wildcard mask such as "0.0.0.255" and get its raw value.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Wildcard mask to parse
+ * @return {?Number} Raw value
+ */
+Mask.parseWildcard = function (input) {
+	return Mask.parse(input, { wildcard: true });
+};
+
+/**
+ * Determine if a mask input is a prefix length rather than a netmask. Prefix
+ *   lengths are given as numbers or strings of decimal digits.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|IPv6|Mask} input Mask input
+ * @return {Boolean} True if the input is a prefix length
+ */
+Mask.isPrefix = function (input) {
+	return typeof input === 'number' || (
+		typeof input === 'string' && /^[0-9]+$/.test(input)
+	);
+};
+
+/**
+ * Determine if a raw netmask value is a contiguous run of one bits followed
+ *   only by zero bits.
+ * @memberOf Mask
+ * @static
+ * @param {Number|Number[]} value Raw IPv4 value or IPv6 words
+ * @return {Boolean} True if the netmask is contiguous
+ */
+Mask.isContiguous = function (value) {
+	var words = Array.isArray(value) ? value : [
+		Math.floor(value / 0x10000),
+		value % 0x10000
+	];
+	var ended = false;
+	for (var i = 0; i < words.length; i++) {
+		if (ended) {
+			if (words[i] !== 0) {
+				return false;
+			}
+			continue;
+		}
+		if (words[i] === 0xffff) {
+			continue;
+		}
+		ended = true;
+		// the inverse of the word plus one must be a power of two
+		var inverse = 0xffff - words[i] + 1;
+		while (inverse % 2 === 0) {
+			inverse /= 2;
+		}
+		if (inverse !== 1) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Count the leading one bits of a contiguous netmask.
+ * @private
+ * @param {Number[]} words Netmask as 16-bit words
+ * @return {Number} Prefix length
+ */
+var countMaskBits = function (words) {
+	var bits = 0;
+	for (var i = 0; i < words.length; i++) {
+		var word = words[i];
+		for (var bit = 0x8000; bit >= 1 && word >= bit; bit /= 2) {
+			word -= bit;
+			bits++;
+		}
+		if (bit >= 1) {
+			break;
+		}
+	}
+	return bits;
+};
+
+/**
+ * Determine if an input is a valid mask.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|IPv6|Mask} input Mask
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if input is a valid mask
+ */
+Mask.isValid = function (input, options) {
+	return Mask.validate(input, options) === null;
+};
+
+/**
+ * Interned Mask objects, by raw value.
+ * @private
+ * @type {Mask[]}
+ */
+var internedMasks = [];
+
+/**
+ * Get a shared Mask object for a mask. Equal masks always get the same object.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|IPv6|Mask} input Mask
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {?Mask} Shared Mask object. Null if the input is invalid.
+ * @example
+ *
+ * Mask.of(24) === Mask.of('255.255.255.0'); // true
+ */
+Mask.of = function (input, options) {
+	var value = Mask.parse(input, options);
+	if (value === null) {
+		return null;
+	}
+	if (!internedMasks[value]) {
+		internedMasks[value] = new Mask(value, { version: value > Mask.MAX_VALUE ? 6 : 4 });
+	}
+	return internedMasks[value];
+};
+
+/**
+ * Parse an IPv6 netmask such as "ffff:ffff::" and get its prefix length.
+ * @memberOf Mask
+ * @static
+ * @param {String|IPv6} input Netmask to parse
+ * @return {?Number} Raw value
+ */
+Mask.parseIPv6 = function (input) {
+	var words = IPv6.parse(input);
+	if (words === null) {
+		return null;
+	}
+	return countMaskBits(words);
+};
+
+/**
+ * Get the formatted string for a given mask in dotted decimal form. Masks
+ *   longer than 32 bits cannot be represented this way.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} input Mask to parse
+ * @param {Object} [options] Formatting options
+ * @param {Boolean} [options.wildcard=false] Format as a wildcard mask, with the
+ *   host bits switched on instead of the network bits
+ * @return {?Number} Formatted mask
+ * @example
+ *
+ * Mask.format(24);                       // "255.255.255.0"
+ * Mask.format(24, { wildcard: true });   // "0.0.0.255"
+ */
+Mask.format = function (input, options) {
+	input = Mask.parse(input);
+	if (isNaN(input) || input === null || input > Mask.MAX_VALUE) {
+		return null;
+	}
+	var bits = Mask.MAX_VALUE - input;
+	var value = Math.pow(2, bits) - 1;
+	if (options && options.wildcard) {
+		return IP.format(value);
+	}
+	var inverse = IP.not(value);
+	var formatted = IP.format(inverse);
+	return formatted;
+};
+
+/**
+ * Determine if two masks have the same value.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} left First mask to compare
+ * @param {Number|String|IP|Mask} right Second mask to compare
+ * @return {Boolean} The masks are equal
+ */
+Mask.equal = function (left, right) {
+	left = Mask.parse(left);
+	right = Mask.parse(right);
+	return left === right;
+};
+
+/**
+ * Make a mask shorter by a number of bits, so that it covers a larger network.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to widen
+ * @param {Number} [bits=1] Number of bits to remove
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Wider mask. Null if the mask is invalid or would have fewer
+ *   than zero bits.
+ * @example
+ *
+ * Mask.widen(24).valueOf();   // 23
+ * Mask.widen(24, 8).format(); // "255.255.0.0"
+ * Mask.widen(4, 8);           // null
+ */
+Mask.widen = function (input, bits, options) {
+	return Mask.narrow(input, -(bits === undefined ? 1 : bits), options);
+};
+
+/**
+ * Make a mask longer by a number of bits, so that it covers a smaller network.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to narrow
+ * @param {Number} [bits=1] Number of bits to add
+ * @param {Object} [options] Mask options
+ * @param {Number} [options.version=4] IP version the mask is for. Version 4
+ *   allows masks up to 32 bits, version 6 allows masks up to 128 bits. Mask
+ *   objects longer than 32 bits are taken to be for IPv6.
+ * @return {?Mask} Narrower mask. Null if the mask is invalid or would be too
+ *   long.
+ * @example
+ *
+ * Mask.narrow(24).valueOf();                    // 25
+ * Mask.narrow('255.255.0.0', 8).format();       // "255.255.255.0"
+ * Mask.narrow(30, 4);                           // null
+ * Mask.narrow(64, 8, { version: 6 }).valueOf(); // 72
+ */
+Mask.narrow = function (input, bits, options) {
+	input = Mask.parse(input, options);
+	if (bits === undefined) {
+		bits = 1;
+	}
+	if (input === null || !IP.isOffset(bits)) {
+		return null;
+	}
+	var version = (options && options.version) || (input > Mask.MAX_VALUE ? 6 : 4);
+	var max = version === 6 ? Mask.IPV6_MAX_VALUE : Mask.MAX_VALUE;
+	var value = input + bits;
+	if (value < Mask.MIN_VALUE || value > max) {
+		return null;
+	}
+	return new Mask(value, { version: version });
+};
+
+/**
+ * Compare the prefix lengths of two masks.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} left First mask to compare
+ * @param {Number|String|IP|Mask} right Second mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {?Number} -1 if 'left' is shorter than 'right', 1 if longer, 0
+ *   otherwise. Null if either mask is invalid.
+ * @example
+ *
+ * Mask.compare(16, '255.255.255.0');      // -1
+ * [24, 8, 16].sort(Mask.compare);         // [8, 16, 24]
+ * Mask.compare(64, 48);                   // null
+ * Mask.compare(64, 48, { version: 6 });   // 1
+ */
+Mask.compare = function (left, right, options) {
+	left = Mask.parse(left, options);
+	right = Mask.parse(right, options);
+	if (left === null || right === null) {
+		return null;
+	}
+	if (left < right) {
+		return -1;
+	}
+	if (left > right) {
+		return 1;
+	}
+	return 0;
+};
+
+/**
+ * Determine if left mask is shorter than right's.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} left First mask to compare
+ * @param {Number|String|IP|Mask} right Second mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if left mask's prefix length is less than right's
+ */
+Mask.lt = function (left, right, options) {
+	return Mask.compare(left, right, options) === -1;
+};
+
+/**
+ * Determine if left mask is shorter than or as long as right's.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} left First mask to compare
+ * @param {Number|String|IP|Mask} right Second mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if left mask's prefix length is less than or equal
+ *   to right's
+ */
+Mask.lte = function (left, right, options) {
+	var result = Mask.compare(left, right, options);
+	return result === -1 || result === 0;
+};
+
+/**
+ * Determine if left mask is longer than right's.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} left First mask to compare
+ * @param {Number|String|IP|Mask} right Second mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if left mask's prefix length is greater than right's
+ */
+Mask.gt = function (left, right, options) {
+	return Mask.compare(left, right, options) === 1;
+};
+
+/**
+ * Determine if left mask is longer than or as long as right's.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} left First mask to compare
+ * @param {Number|String|IP|Mask} right Second mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if left mask's prefix length is greater than or equal
+ *   to right's
+ */
+Mask.gte = function (left, right, options) {
+	var result = Mask.compare(left, right, options);
+	return result === 1 || result === 0;
+};
+
+/**
+ * Get the mask with the next prefix length, one bit longer than the given mask.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to operate on
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Next mask or null if given mask is the longest allowed
+ * @example
+ *
+ * Mask.next(24).valueOf();                 // 25
+ * Mask.next(32);                           // null
+ * Mask.next(32, { version: 6 }).valueOf(); // 33
+ */
+Mask.next = function (input, options) {
+	return Mask.narrow(input, 1, options);
+};
+
+/**
+ * Get the mask with the previous prefix length, one bit shorter than the given
+ *   mask.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to operate on
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Previous mask or null if given mask is /0
+ */
+Mask.prev = function (input, options) {
+	return Mask.widen(input, 1, options);
+};
+
+/**
+ * Get the number of IPv4 addresses a mask covers.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to process
+ * @return {?Number} Number of addresses. Null if the mask is invalid or longer
+ *   than 32 bits.
+ * @example
+ *
+ * Mask.getSize(24); // 256
+ * Mask.getSize(32); // 1
+ */
+Mask.getSize = function (input) {
+	input = Mask.parse(input);
+	if (input === null || input > Mask.MAX_VALUE) {
+		return null;
+	}
+	return Math.pow(2, Mask.MAX_VALUE - input);
+};
+
+/**
+ * Get the number of usable host addresses a mask covers. The network and
+ *   broadcast addresses are not usable, except with /31 point-to-point links
+ *   (RFC 3021), which have two hosts, and /32 single host routes, which have
+ *   one.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to process
+ * @return {?Number} Number of usable hosts
+ * @example
+ *
+ * Mask.getHostCount(24); // 254
+ * Mask.getHostCount(31); // 2
+ * Mask.getHostCount(32); // 1
+ */
+Mask.getHostCount = function (input) {
+	var size = Mask.getSize(input);
+	if (size === null) {
+		return null;
+	}
+	return size > 2 ? size - 2 : size;
+};
+
+/**
+ * Get the host mask of a mask, with the host bits switched on. This is the
+ *   same as its wildcard mask.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to process
+ * @return {?IP} Host mask
+ * @example
+ *
+ * Mask.getHostmask(24).toString(); // "0.0.0.255"
+ */
+Mask.getHostmask = function (input) {
+	var size = Mask.getSize(input);
+	if (size === null) {
+		return null;
+	}
+	return new IP(size - 1);
+};
+
+/**
+ * Apply a mask to an address, switching off its host bits to get the address
+ *   of the network it is in.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to apply
+ * @param {Number|String|IP} ip Address to mask
+ * @return {?IP} Network address
+ * @example
+ *
+ * Mask.getNetwork(24, '192.168.1.77').toString(); // "192.168.1.0"
+ * Mask.getNetwork(31, '10.0.0.3').toString();     // "10.0.0.2"
+ */
+Mask.getNetwork = function (input, ip) {
+	var size = Mask.getSize(input);
+	ip = IP.parse(ip);
+	if (size === null || ip === null) {
+		return null;
+	}
+	return new IP(ip - ip % size);
+};
+
+/**
+ * Get the netmask of a mask as dotted binary, with every bit shown.
+ * @memberOf Mask
+ * @static
+ * @param {Number|String|IP|Mask} input Mask to format
+ * @return {?String} Dotted binary netmask. Null if the mask is invalid or
+ *   longer than 32 bits.
+ * @example
+ *
+ * Mask.toBinary(20); // "11111111.11111111.11110000.00000000"
+ */
+Mask.toBinary = function (input) {
+	var size = Mask.getSize(input);
+	if (size === null) {
+		return null;
+	}
+	return IP.format(IP.MAX_VALUE - size + 1, { radix: 2, pad: true });
+};
+
+/**
+ * Get the raw value of this mask.
+ * @memberOf Mask
+ * @return {Number} Raw value
+ */
+Mask.prototype.valueOf = function () {
+	return this.value === null ? NaN : this.value;
+};
+
+/**
+ * Get the value to use when this mask is serialized as JSON.
+ * @memberOf Mask
+ * @return {?Number} Prefix length. Null if this mask is invalid.
+ * @example
+ *
+ * JSON.stringify({ mask: new Mask('255.255.255.0') }); // '{"mask":24}'
+ */
+Mask.prototype.toJSON = function () {
+	return this.value;
+};
+
+if (typeof Symbol === 'function' && Symbol.toPrimitive) {
+	/**
+	 * Convert this mask to a primitive. Gives the dotted decimal netmask where
+	 *   a string is expected, such as in template strings, and the prefix
+	 *   length otherwise.
+	 * @memberOf Mask
+	 * @param {String} hint Type of primitive expected
+	 * @return {?Number|String} Primitive value
+	 */
+	Mask.prototype[Symbol.toPrimitive] = function (hint) {
+		return hint === 'string' ? this.toString() : this.valueOf();
+	};
+}
+
+/**
+ * Get the string representation of this mask.
+ * @memberOf Mask
+ * @return {?String} String representation
+ */
+Mask.prototype.toString = function () {
+	return this.format();
+};
+
+/**
+ * Format this IP mask.
+ * @memberOf Mask
+ * @param {Object} [options] Formatting options, see {@link Mask.format}
+ * @return {?String} Dotted decimal
+ */
+Mask.prototype.format = function (options) {
+	return Mask.format(this, options);
+};
+
+/**
+ * Format this IP mask as a wildcard mask.
+ * @memberOf Mask
+ * @return {?String} Dotted decimal wildcard mask
+ * @example
+ *
+ * var acl = new Mask('0.0.0.255', { wildcard: true });
+ * acl.valueOf();    // 24
+ * acl.toWildcard(); // "0.0.0.255"
+ */
+Mask.prototype.toWildcard = function () {
+	return Mask.format(this, { wildcard: true });
+};
+
+/**
+ * Determine if this mask has the same value as another.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} other Mask to compare
+ * @return {Boolean} Masks are equal
+ */
+Mask.prototype.equals = function (other) {
+	return Mask.equal(this, other);
+};
+
+/**
+ * Make this mask shorter by a number of bits.
+ * @memberOf Mask
+ * @param {Number} [bits=1] Number of bits to remove
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Wider mask
+ */
+Mask.prototype.widen = function (bits, options) {
+	return Mask.widen(this, bits, options);
+};
+
+/**
+ * Make this mask longer by a number of bits.
+ * @memberOf Mask
+ * @param {Number} [bits=1] Number of bits to add
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Narrower mask
+ */
+Mask.prototype.narrow = function (bits, options) {
+	return Mask.narrow(this, bits, options);
+};
+
+/**
+ * Compare this mask's prefix length to another's.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} other Mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {?Number} -1 if this mask is shorter, 1 if longer, 0 otherwise.
+ *   Null if either mask is invalid.
+ */
+Mask.prototype.compare = function (other, options) {
+	return Mask.compare(this, other, options);
+};
+
+/**
+ * Determine if this mask is shorter than another.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} other Mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if this mask is shorter
+ */
+Mask.prototype.lt = function (other, options) {
+	return Mask.lt(this, other, options);
+};
+
+/**
+ * Determine if this mask is shorter than or as long as another.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} other Mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if this mask is shorter or equal
+ */
+Mask.prototype.lte = function (other, options) {
+	return Mask.lte(this, other, options);
+};
+
+/**
+ * Determine if this mask is longer than another.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} other Mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if this mask is longer
+ */
+Mask.prototype.gt = function (other, options) {
+	return Mask.gt(this, other, options);
+};
+
+/**
+ * Determine if this mask is longer than or as long as another.
+ * @memberOf Mask
+ * @param {Number|String|IP|Mask} other Mask to compare
+ * @param {Object} [options] Parsing options, see {@link Mask.parse}
+ * @return {Boolean} True if this mask is longer or equal
+ */
+Mask.prototype.gte = function (other, options) {
+	return Mask.gte(this, other, options);
+};
+
+/**
+ * Get the mask one bit longer than this one.
+ * @memberOf Mask
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Next mask
+ */
+Mask.prototype.next = function (options) {
+	return Mask.next(this, options);
+};
+
+/**
+ * Get the mask one bit shorter than this one.
+ * @memberOf Mask
+ * @param {Object} [options] Mask options, see {@link Mask.narrow}
+ * @return {?Mask} Previous mask
+ */
+Mask.prototype.prev = function (options) {
+	return Mask.prev(this, options);
+};
+
+/**
+ * Get the number of IPv4 addresses this mask covers.
+ * @memberOf Mask
+ * @return {?Number} Number of addresses
+ */
+Mask.prototype.size = function () {
+	return Mask.getSize(this);
+};
+
+/**
+ * Get the number of usable host addresses this mask covers.
+ * @memberOf Mask
+ * @return {?Number} Number of usable hosts
+ */
+Mask.prototype.hostCount = function () {
+	return Mask.getHostCount(this);
+};
+
+/**
+ * Get the host mask of this mask.
+ * @memberOf Mask
+ * @return {?IP} Host mask
+ */
+Mask.prototype.hostmask = function () {
+	return Mask.getHostmask(this);
+};
+
+/**
+ * Apply this mask to an address to get its network address.
+ * @memberOf Mask
+ * @param {Number|String|IP} ip Address to mask
+ * @return {?IP} Network address
+ * @example
+ *
+ * new Mask(16).apply('172.16.5.4').toString(); // "172.16.0.0"
+ */
+Mask.prototype.apply = function (ip) {
+	return Mask.getNetwork(this, ip);
+};
+
+/**
+ * Get the netmask of this mask as dotted binary.
+ * @memberOf Mask
+ * @return {?String} Dotted binary netmask
+ */
+Mask.prototype.toBinary = function () {
+	return Mask.toBinary(this);
+};
+
+/**
+ * Determine if this mask is valid.
+ * @memberOf Mask
+ * @return {Boolean} True if valid
+ */
+Mask.prototype.isValid = function () {
+	return Mask.isValid(this);
+};
+
+/**
+ * Subnet constructor. Represents a block of addresses as an IP and a mask. Can
+ *   be given a CIDR string, another Subnet object, or an IP-like value along
+ *   with a mask (prefix length or dotted netmask). Without a mask a single
+ *   address (/32) is assumed.
+ * @module Subnet
+ * @constructor
+ * @param {Number|String|IP|Subnet} [input=0] Subnet or address
+ * @param {Number|String|IP|Mask} [mask] Mask of the subnet
+ * @example
+ *
+ * var lan = Subnet('192.168.0.0/24');                  // 'new' not required
+ * var loopback = new Subnet('127.0.0.1', '255.0.0.0'); // address and netmask
+ * var dns = new Subnet(IP('8.8.8.8'), Mask(32));       // IP and Mask objects
+ */
+var Subnet = IP.Subnet = function Subnet (input, mask) {
+	if (!(this instanceof Subnet)) {
+		return new Subnet(input, mask);
+	}
+	var parsed = Subnet.parse(input || 0, mask);
+	this.ip = parsed && new IP(parsed.ip);
+	this.mask = parsed && new Mask(parsed.mask);
+};
+
+/**
+ * The largest number of subnets {@link Subnet.split} will create at once.
+ *   Ranges can be iterated instead to walk through more addresses.
+ * @memberOf Subnet
+ * @static
+ * @type {Number}
+ */
+Subnet.MAX_SPLIT = 0x10000;
+
+/**
+ * Parse a subnet and get its raw address and mask values. Input can be another
+ *   Subnet object, a CIDR string or an IP-like value. The mask can be given
+ *   separately, otherwise it is taken from the input.
+ * @memberOf Subnet
+ * @static
+ * @param {Number|String|IP|Subnet} input Subnet or address to parse
+ * @param {Number|String|IP|Mask} [mask] Mask of the subnet
+ * @return {?Object} Object with raw 'ip' and 'mask' values. Null if either is
+ *   invalid.
+ */
+Subnet.parse = function (input, mask) {
+	var ip;
+	if (input === null || input === undefined) {
+		return null;
+	}
+	if (input instanceof Subnet) {
+		if (input.ip === null || input.mask === null) {
+			return null;
+		}
+		if (mask === undefined) {
+			mask = input.mask;
+		}
+		input = input.ip;
+	}
+	else if (typeof input === 'string' && mask === undefined) {
+		var slashIndex = input.indexOf('/');
+		if (slashIndex > -1) {
+			mask = input.substring(slashIndex + 1);
+			input = input.substring(0, slashIndex);
+			if (mask === '') {
+				return null;
+			}
+		}
+	}
+	ip = IP.parse(input);
+	mask = (mask === undefined) ? Mask.MAX_VALUE : Mask.parse(mask, { version: 4 });
+	var invalid = (
+		ip === null ||
+		mask === null ||
+		isNaN(mask) ||
+		mask > Mask.MAX_VALUE ||
+		mask < Mask.MIN_VALUE
+	);
+	if (invalid) {
+		return null;
+	}
+	return {
+		ip: ip,
+		mask: mask
+	};
+};
+
+/**
+ * Validate a subnet and get an error describing why it cannot be parsed.
+ *   Accepts the same input as {@link Subnet.parse}.
+ * @memberOf Subnet
+ * @static
+ * @param {Number|String|IP|Subnet} input Subnet or address to validate
+ * @param {Number|String|IP|Mask} [mask] Mask of the subnet
+ * @return {?IPParseError} Error with the failure code and position. Null if the
+ *   input is valid.
+ * @example
+ *
+ * Subnet.validate('10.0.0.0/8');           // null
+ * Subnet.validate('10.0.0.256/8').code;    // "PART_OUT_OF_RANGE"
+ * Subnet.validate('10.0.0.0/33').position; // 9
+ */
+Subnet.validate = function (input, mask) {
+	var error;
+	if (Subnet.parse(input, mask) !== null) {
+		return null;
+	}
+	if (input === null || input === undefined || input === '') {
+		return new IPParseError('EMPTY', input, 0);
+	}
+	if (input instanceof Subnet) {
+		return new IPParseError('INVALID_FORMAT', input, 0);
+	}
+	if (typeof input === 'string' && mask === undefined && input.indexOf('/') > -1) {
+		error = IP.validate(input.substring(0, input.indexOf('/')));
+		if (error !== null) {
+			return new IPParseError(error.code, input, error.position);
+		}
+		// positions of mask errors are already relative to the whole input
+		return Mask.validate(input, { version: 4 }) ||
+			new IPParseError('INVALID_FORMAT', input, 0);
+	}
+	error = IP.validate(input);
+	if (error === null && mask !== undefined) {
+		error = Mask.validate(mask, { version: 4 });
+	}
+	return error || new IPParseError('INVALID_FORMAT', input, 0);
+};
+
+/**
+ * Get the number of addresses in a subnet, including the network and
+ *   broadcast addresses.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?Number} Number of addresses
+ */
+Subnet.getSize = function (input) {
+	input = Subnet.parse(input);
+	if (input === null) {
+		return null;
+	}
+	return Math.pow(2, Mask.MAX_VALUE - input.mask);
+};
+
+/**
+ * Get the network address of a subnet. This is the first address in the
+ *   subnet, with all host bits switched off.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?IP} Network address
+ */
+Subnet.getNetwork = function (input) {
+	var size = Subnet.getSize(input);
+	if (size === null) {
+		return null;
+	}
+	input = Subnet.parse(input);
+	return new IP(input.ip - input.ip % size);
+};
+
+/**
+ * Get the broadcast address of a subnet. This is the last address in the
+ *   subnet, with all host bits switched on.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?IP} Broadcast address
+ */
+Subnet.getBroadcast = function (input) {
+	var network = Subnet.getNetwork(input);
+	if (network === null) {
+		return null;
+	}
+	return new IP(network + Subnet.getSize(input) - 1);
+};
+
+/**
+ * Get the number of usable host addresses in a subnet. The network and
+ *   broadcast addresses are not usable, except in /31 point-to-point links
+ *   (RFC 3021) and /32 single host routes.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?Number} Number of usable hosts
+ */
+Subnet.getHostCount = function (input) {
+	var size = Subnet.getSize(input);
+	if (size === null) {
+		return null;
+	}
+	return size > 2 ? size - 2 : size;
+};
+
+/**
+ * Get the first usable host address of a subnet.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?IP} First usable address
+ */
+Subnet.getFirst = function (input) {
+	var network = Subnet.getNetwork(input);
+	if (network === null) {
+		return null;
+	}
+	return Subnet.getSize(input) > 2 ? IP.next(network) : network;
+};
+
+/**
+ * Get the last usable host address of a subnet.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?IP} Last usable address
+ */
+Subnet.getLast = function (input) {
+	var broadcast = Subnet.getBroadcast(input);
+	if (broadcast === null) {
+		return null;
+	}
+	return Subnet.getSize(input) > 2 ? IP.prev(broadcast) : broadcast;
+};
+
+/**
+ * Get the dotted netmask of a subnet as an IP.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?IP} Netmask
+ */
+Subnet.getNetmask = function (input) {
+	var size = Subnet.getSize(input);
+	if (size === null) {
+		return null;
+	}
+	return new IP(IP.MAX_VALUE - (size - 1));
+};
+
+/**
+ * Get the wildcard mask of a subnet as an IP. This is the inverse of the
+ *   netmask, with all host bits switched on.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?IP} Wildcard mask
+ */
+Subnet.getWildcard = function (input) {
+	var netmask = Subnet.getNetmask(input);
+	if (netmask === null) {
+		return null;
+	}
+	return IP.not(netmask);
+};
+
+/**
+ * Determine if a subnet contains an IP address.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to search
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is within the subnet
+ */
+Subnet.contains = function (input, ip) {
+	var network = Subnet.getNetwork(input);
+	var broadcast = Subnet.getBroadcast(input);
+	ip = IP.parse(ip);
+	if (network === null || ip === null) {
+		return false;
+	}
+	return ip >= network && ip <= broadcast;
+};
+
+/**
+ * Get the formatted string for a given subnet in CIDR notation.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to format
+ * @return {?String} Formatted subnet
+ */
+Subnet.format = function (input) {
+	input = Subnet.parse(input);
+	if (input === null) {
+		return null;
+	}
+	return IP.format(input.ip) + '/' + input.mask;
+};
+
+/**
+ * Determine if two subnets have the same address and mask.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} left First subnet to compare
+ * @param {String|Subnet} right Second subnet to compare
+ * @return {Boolean} The subnets are equal
+ */
+Subnet.equal = function (left, right) {
+	left = Subnet.parse(left);
+	right = Subnet.parse(right);
+	if (left === null || right === null) {
+		return left === right;
+	}
+	return left.ip === right.ip && left.mask === right.mask;
+};
+
+/**
+ * Determine if an input is a valid subnet.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet
+ * @return {Boolean} True if input is a valid subnet
+ */
+Subnet.isValid = function (input) {
+	return Subnet.parse(input) !== null;
+};
+
+/**
+ * Get a summary of a subnet: its network and broadcast addresses, the range of
+ *   usable host addresses and its size.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to process
+ * @return {?Object} Object with the 'subnet' (at its network address),
+ *   'network', 'broadcast', 'first', 'last', 'netmask', 'size' and
+ *   'hostCount'. Null if the subnet is invalid.
+ * @example
+ *
+ * var info = Subnet.getInfo('10.20.30.40/24');
+ * info.subnet.toString();    // "10.20.30.0/24"
+ * info.broadcast.toString(); // "10.20.30.255"
+ * info.first.toString();     // "10.20.30.1"
+ * info.last.toString();      // "10.20.30.254"
+ * info.hostCount;            // 254
+ */
+Subnet.getInfo = function (input) {
+	var parsed = Subnet.parse(input);
+	if (parsed === null) {
+		return null;
+	}
+	var network = Subnet.getNetwork(input);
+	return {
+		subnet: new Subnet(network, parsed.mask),
+		network: network,
+		broadcast: Subnet.getBroadcast(input),
+		first: Subnet.getFirst(input),
+		last: Subnet.getLast(input),
+		netmask: Subnet.getNetmask(input),
+		size: Subnet.getSize(input),
+		hostCount: Subnet.getHostCount(input)
+	};
+};
+
+/**
+ * Get the longest prefix length of a subnet that has room for a number of
+ *   usable hosts, see {@link Subnet.getHostCount}.
+ * @memberOf Subnet
+ * @static
+ * @param {Number} hosts Number of usable hosts needed
+ * @return {?Number} Prefix length. Null if the hosts cannot fit in any subnet.
+ * @example
+ *
+ * Subnet.getPrefixForHosts(1);   // 32
+ * Subnet.getPrefixForHosts(2);   // 31
+ * Subnet.getPrefixForHosts(3);   // 29
+ * Subnet.getPrefixForHosts(254); // 24
+ */
+Subnet.getPrefixForHosts = function (hosts) {
+	if (typeof hosts !== 'number' || hosts % 1 !== 0 || hosts < 1) {
+		return null;
+	}
+	for (var prefix = Mask.MAX_VALUE; prefix >= Mask.MIN_VALUE; prefix--) {
+		if (Subnet.getHostCount(new Subnet(0, prefix)) >= hosts) {
+			return prefix;
+		}
+	}
+	return null;
+};
+
+/**
+ * Split a subnet into smaller subnets of equal size, either a number of them
+ *   or all subnets of a given prefix length. When a count is given that is not
+ *   a power of two, the subnets are sized for the next power of two and only
+ *   the first 'count' of them are returned. At most {@link Subnet.MAX_SPLIT}
+ *   subnets can be made.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to split
+ * @param {Object} options Split options, one of 'count' or 'prefix' is needed
+ * @param {Number} [options.count] Number of subnets to split into
+ * @param {Number|String|IP|Mask} [options.prefix] Mask of every subnet
+ * @param {Boolean} [options.throws=false] Throw a RangeError instead of
+ *   returning null
+ * @return {?Subnet[]} Subnets in address order. Null if the input is invalid,
+ *   cannot be split as asked or would give too many subnets.
+ * @throws {RangeError} If the subnet cannot be split and the 'throws' option
+ *   is set
+ * @example
+ *
+ * Subnet.split('10.20.0.0/16', { count: 4 }).join(', ');
+ * // "10.20.0.0/18, 10.20.64.0/18, 10.20.128.0/18, 10.20.192.0/18"
+ * Subnet.split('10.20.0.0/23', { prefix: 24 }).join(', ');
+ * // "10.20.0.0/24, 10.20.1.0/24"
+ */
+Subnet.split = function (input, options) {
+	var parsed = Subnet.parse(input);
+	var count = options && options.count;
+	var prefix = options && options.prefix;
+	var fail = function (message) {
+		if (options && options.throws) {
+			throw new RangeError(message);
+		}
+		return null;
+	};
+	if (parsed === null) {
+		return fail('Invalid subnet "' + input + '"');
+	}
+	if (prefix !== undefined && prefix !== null) {
+		prefix = Mask.parse(prefix, { version: 4 });
+		if (prefix === null || prefix < parsed.mask || prefix > Mask.MAX_VALUE) {
+			return fail('Prefix must be from /' + parsed.mask + ' to /' + Mask.MAX_VALUE);
+		}
+		count = Math.pow(2, prefix - parsed.mask);
+	}
+	else if (typeof count === 'number' && count % 1 === 0 && count >= 1) {
+		prefix = parsed.mask + Math.ceil(Math.log(count) / Math.LN2);
+		if (prefix > Mask.MAX_VALUE) {
+			return fail(Subnet.format(input) + ' cannot be split into ' + count + ' subnets');
+		}
+	}
+	else {
+		return fail('A subnet count or prefix is needed');
+	}
+	if (count > Subnet.MAX_SPLIT) {
+		return fail('Cannot split into more than ' + Subnet.MAX_SPLIT + ' subnets');
+	}
+	var network = Subnet.getNetwork(input);
+	var size = Math.pow(2, Mask.MAX_VALUE - prefix);
+	var subnets = [];
+	for (var i = 0; i < count; i++) {
+		subnets.push(new Subnet(IP.add(network, i * size), prefix));
+	}
+	return subnets;
+};
+
+/**
+ * Allocate variable-size subnets (VLSM) from a subnet for a list of host-count
+ *   requirements. Each requirement gets the smallest subnet with enough usable
+ *   hosts. The largest subnets are allocated first, from the start of the
+ *   subnet, so none of them overlap.
+ * @memberOf Subnet
+ * @static
+ * @param {String|Subnet} input Subnet to allocate from
+ * @param {Number[]} hosts Number of usable hosts needed for each subnet
+ * @param {Object} [options] Allocation options
+ * @param {Boolean} [options.throws=false] Throw a RangeError instead of
+ *   returning null
+ * @return {?Object[]} One allocation per requirement, in the order given. Each
+ *   has the requested 'hosts' along with the fields from
+ *   {@link Subnet.getInfo}. Null if the input is invalid or the requirements do
+ *   not fit.
+ * @throws {RangeError} If the requirements do not fit and the 'throws' option
+ *   is set
+ * @example
+ *
+ * var result = Subnet.allocate('192.168.0.0/24', [50, 100, 2]);
+ * result[0].subnet.toString(); // "192.168.0.128/26"
+ * result[1].subnet.toString(); // "192.168.0.0/25"
+ * result[2].subnet.toString(); // "192.168.0.192/31"
+ *
+ * Subnet.allocate('192.168.0.0/24', [200, 100]); // null
+ */
+Subnet.allocate = function (input, hosts, options) {
+	var parsed = Subnet.parse(input);
+	var fail = function (message) {
+		if (options && options.throws) {
+			throw new RangeError(message);
+		}
+		return null;
+	};
+	if (parsed === null) {
+		return fail('Invalid subnet "' + input + '"');
+	}
+	if (!Array.isArray(hosts)) {
+		return fail('A list of host counts is needed');
+	}
+	var requests = [];
+	var needed = 0;
+	for (var i = 0; i < hosts.length; i++) {
+		var prefix = Subnet.getPrefixForHosts(hosts[i]);
+		if (prefix === null) {
+			return fail('Invalid host count "' + hosts[i] + '" at index ' + i);
+		}
+		requests.push({ index: i, prefix: prefix });
+		needed += Math.pow(2, Mask.MAX_VALUE - prefix);
+	}
+	var available = Subnet.getSize(input);
+	if (needed > available) {
+		return fail(
+			'Requirements need ' + needed + ' addresses but ' +
+			Subnet.format(Subnet.getInfo(input).subnet) + ' has ' + available
+		);
+	}
+	// Subnet sizes are powers of two, so placing the largest first keeps every
+	// allocation aligned to its own size
+	requests.sort(function (left, right) {
+		return left.prefix - right.prefix || left.index - right.index;
+	});
+	var result = new Array(hosts.length);
+	var offset = 0;
+	for (var j = 0; j < requests.length; j++) {
+		var subnet = new Subnet(IP.add(Subnet.getNetwork(input), offset), requests[j].prefix);
+		var allocation = Subnet.getInfo(subnet);
+		allocation.hosts = hosts[requests[j].index];
+		result[requests[j].index] = allocation;
+		offset += allocation.size;
+	}
+	return result;
+};
+
+/**
+ * Get the string representation of this subnet.
+ * @memberOf Subnet
+ * @return {?String} String representation
+ * @example
+ *
+ * var lan = new Subnet('192.168.0.1', 24);
+ * lan.toString(); // "192.168.0.1/24"
+ * String(lan);    // "192.168.0.1/24"
+ */
+Subnet.prototype.toString = function () {
+	return this.format();
+};
+
+/**
+ * Format this subnet in CIDR notation.
+ * @memberOf Subnet
+ * @return {?String} CIDR string
+ */
+Subnet.prototype.format = function () {
+	return Subnet.format(this);
+};
+
+/**
+ * Get the number of addresses in this subnet.
+ * @memberOf Subnet
+ * @return {?Number} Number of addresses
+ */
+Subnet.prototype.getSize = function () {
+	return Subnet.getSize(this);
+};
+
+/**
+ * Get the network address of this subnet.
+ * @memberOf Subnet
+ * @return {?IP} Network address
+ */
+Subnet.prototype.getNetwork = function () {
+	return Subnet.getNetwork(this);
+};
+
+/**
+ * Get the broadcast address of this subnet.
+ * @memberOf Subnet
+ * @return {?IP} Broadcast address
+ */
+Subnet.prototype.getBroadcast = function () {
+	return Subnet.getBroadcast(this);
+};
+
+/**
+ * Get the number of usable host addresses in this subnet.
+ * @memberOf Subnet
+ * @return {?Number} Number of usable hosts
+ */
+Subnet.prototype.getHostCount = function () {
+	return Subnet.getHostCount(this);
+};
+
+/**
+ * Get the first usable host address of this subnet.
+ * @memberOf Subnet
+ * @return {?IP} First usable address
+ */
+Subnet.prototype.getFirst = function () {
+	return Subnet.getFirst(this);
+};
+
+/**
+ * Get the last usable host address of this subnet.
+ * @memberOf Subnet
+ * @return {?IP} Last usable address
+ */
+Subnet.prototype.getLast = function () {
+	return Subnet.getLast(this);
+};
+
+/**
+ * Get the dotted netmask of this subnet.
+ * @memberOf Subnet
+ * @return {?IP} Netmask
+ */
+Subnet.prototype.getNetmask = function () {
+	return Subnet.getNetmask(this);
+};
+
+/**
+ * Get the wildcard mask of this subnet.
+ * @memberOf Subnet
+ * @return {?IP} Wildcard mask
+ */
+Subnet.prototype.getWildcard = function () {
+	return Subnet.getWildcard(this);
+};
+
+/**
+ * Determine if this subnet contains an IP address.
+ * @memberOf Subnet
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is within this subnet
+ */
+Subnet.prototype.contains = function (ip) {
+	return Subnet.contains(this, ip);
+};
+
+/**
+ * Determine if this subnet has the same address and mask as another.
+ * @memberOf Subnet
+ * @param {String|Subnet} other Subnet to compare
+ * @return {Boolean} Subnets are equal
+ */
+Subnet.prototype.equals = function (other) {
+	return Subnet.equal(this, other);
+};
+
+/**
+ * Determine if this subnet is valid.
+ * @memberOf Subnet
+ * @return {Boolean} True if valid
+ */
+Subnet.prototype.isValid = function () {
+	return Subnet.isValid(this);
+};
+
+/**
+ * Get a summary of this subnet, see {@link Subnet.getInfo}.
+ * @memberOf Subnet
+ * @return {?Object} Subnet summary
+ */
+Subnet.prototype.getInfo = function () {
+	return Subnet.getInfo(this);
+};
+
+/**
+ * Split this subnet into smaller subnets of equal size.
+ * @memberOf Subnet
+ * @param {Object} options Split options, see {@link Subnet.split}
+ * @return {?Subnet[]} Subnets in address order
+ */
+Subnet.prototype.split = function (options) {
+	return Subnet.split(this, options);
+};
+
+/**
+ * Allocate variable-size subnets from this subnet.
+ * @memberOf Subnet
+ * @param {Number[]} hosts Number of usable hosts needed for each subnet
+ * @param {Object} [options] Allocation options, see {@link Subnet.allocate}
+ * @return {?Object[]} One allocation per requirement
+ */
+Subnet.prototype.allocate = function (hosts, options) {
+	return Subnet.allocate(this, hosts, options);
+};
+
+/**
+ * Range constructor. Represents every address from a first to a last IP,
+ *   inclusive. Can be given an "a-b" string, another Range object, a Subnet
+ *   or CIDR string, or a first and last IP-like value.
+ * @module Range
+ * @constructor
+ * @param {Number|String|IP|Subnet|Range} [input=0] Range or first address
+ * @param {Number|String|IP} [last] Last address of the range
+ * @example
+ *
+ * var pool = Range('10.0.0.5-10.0.0.77');           // 'new' not required
+ * var lan = new Range('192.168.0.0/24');            // input can be a subnet
+ * var dhcp = new Range('10.0.0.100', '10.0.0.199'); // first and last address
+ *
+ * for (var ip of pool) {
+ *     // IP objects from 10.0.0.5 to 10.0.0.77
+ * }
+ */
+var Range = IP.Range = function Range (input, last) {
+	if (!(this instanceof Range)) {
+		return new Range(input, last);
+	}
+	var parsed = Range.parse(input || 0, last);
+	this.first = parsed && new IP(parsed.first);
+	this.last = parsed && new IP(parsed.last);
+};
+
+/**
+ * Parse a range and get the raw values of its first and last addresses.
+ * @memberOf Range
+ * @static
+ * @param {Number|String|IP|Subnet|Range} input Range or first address
+ * @param {Number|String|IP} [last] Last address of the range
+ * @return {?Object} Object with raw 'first' and 'last' values. Null if either
+ *   is invalid or if the first address is greater than the last.
+ */
+Range.parse = function (input, last) {
+	var first;
+	if (input === null || input === undefined) {
+		return null;
+	}
+	if (input instanceof Range) {
+		if (input.first === null || input.last === null) {
+			return null;
+		}
+		first = input.first.value;
+		last = input.last.value;
+	}
+	else if (input instanceof Subnet || (typeof input === 'string' && input.indexOf('/') > -1)) {
+		first = Subnet.getNetwork(input);
+		last = Subnet.getBroadcast(input);
+	}
+	else if (typeof input === 'string' && last === undefined && input.indexOf('-') > -1) {
+		var dashIndex = input.indexOf('-');
+		first = input.substring(0, dashIndex).trim();
+		last = input.substring(dashIndex + 1).trim();
+	}
+	else {
+		first = input;
+		if (last === undefined) {
+			last = input;
+		}
+	}
+	first = IP.parse(first);
+	last = IP.parse(last);
+	if (first === null || last === null || first > last) {
+		return null;
+	}
+	return {
+		first: first,
+		last: last
+	};
+};
+
+/**
+ * Get a range covering a list of subnets. The subnets must be contiguous or
+ *   overlapping, and can be given in any order.
+ * @memberOf Range
+ * @static
+ * @param {String[]|Subnet[]} subnets Subnets to cover
+ * @return {?Range} Range covering the subnets. Null if any subnet is invalid
+ *   or if there is a gap between them.
+ * @example
+ *
+ * Range.fromSubnets(['10.0.0.0/25', '10.0.0.128/26']).toString();
+ * // "10.0.0.0-10.0.0.191"
+ */
+Range.fromSubnets = function (subnets) {
+	var ranges = [];
+	for (var i = 0; i < subnets.length; i++) {
+		var range = Range.parse(new Subnet(subnets[i]));
+		if (range === null) {
+			return null;
+		}
+		ranges.push(range);
+	}
+	if (!ranges.length) {
+		return null;
+	}
+	ranges.sort(function (left, right) {
+		return left.first - right.first;
+	});
+	var first = ranges[0].first;
+	var last = ranges[0].last;
+	for (i = 1; i < ranges.length; i++) {
+		if (ranges[i].first > last + 1) {
+			return null;
+		}
+		last = Math.max(last, ranges[i].last);
+	}
+	return new Range(first, last);
+};
+
+/**
+ * Get the number of addresses in a range.
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} input Range to process
+ * @return {?Number} Number of addresses
+ */
+Range.getSize = function (input) {
+	input = Range.parse(input);
+	if (input === null) {
+		return null;
+	}
+	return input.last - input.first + 1;
+};
+
+/**
+ * Determine if a range contains an IP address.
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} input Range to search
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is within the range
+ */
+Range.contains = function (input, ip) {
+	input = Range.parse(input);
+	ip = IP.parse(ip);
+	if (input === null || ip === null) {
+		return false;
+	}
+	return ip >= input.first && ip <= input.last;
+};
+
+/**
+ * Decompose a range into the minimal list of CIDR blocks that cover it
+ *   exactly.
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} input Range to decompose
+ * @return {?Subnet[]} Subnets in address order
+ * @example
+ *
+ * Range.toSubnets('10.0.0.5-10.0.0.12').map(String);
+ * // ["10.0.0.5/32", "10.0.0.6/31", "10.0.0.8/30", "10.0.0.12/32"]
+ */
+Range.toSubnets = function (input) {
+	input = Range.parse(input);
+	if (input === null) {
+		return null;
+	}
+	var subnets = [];
+	var first = input.first;
+	while (first <= input.last) {
+		// grow the block while it stays aligned and within the range
+		var bits = 0;
+		var size = 1;
+		while (
+			bits < Mask.MAX_VALUE &&
+			first % (size * 2) === 0 &&
+			first + size * 2 - 1 <= input.last
+		) {
+			bits++;
+			size *= 2;
+		}
+		subnets.push(new Subnet(first, Mask.MAX_VALUE - bits));
+		first += size;
+	}
+	return subnets;
+};
+
+/**
+ * Get an iterator over every address in a range, in order. Addresses are
+ *   created lazily as the iterator is advanced.
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} input Range to iterate
+ * @return {Object} Iterator following the ES iterator protocol
+ */
+Range.iterator = function (input) {
+	input = Range.parse(input);
+	var current = input && input.first;
+	var iterator = {
+		next: function () {
+			if (input === null || current > input.last) {
+				return { value: undefined, done: true };
+			}
+			return { value: new IP(current++), done: false };
+		}
+	};
+	if (typeof Symbol === 'function' && Symbol.iterator) {
+		iterator[Symbol.iterator] = function () {
+			return this;
+		};
+	}
+	return iterator;
+};
+
+/**
+ * Get the formatted string for a given range, e.g. "10.0.0.5-10.0.0.77".
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} input Range to format
+ * @return {?String} Formatted range
+ */
+Range.format = function (input) {
+	input = Range.parse(input);
+	if (input === null) {
+		return null;
+	}
+	return IP.format(input.first) + '-' + IP.format(input.last);
+};
+
+/**
+ * Determine if two ranges have the same first and last addresses.
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} left First range to compare
+ * @param {String|Subnet|Range} right Second range to compare
+ * @return {Boolean} The ranges are equal
+ */
+Range.equal = function (left, right) {
+	left = Range.parse(left);
+	right = Range.parse(right);
+	if (left === null || right === null) {
+		return left === right;
+	}
+	return left.first === right.first && left.last === right.last;
+};
+
+/**
+ * Determine if an input is a valid range.
+ * @memberOf Range
+ * @static
+ * @param {String|Subnet|Range} input Range
+ * @return {Boolean} True if input is a valid range
+ */
+Range.isValid = function (input) {
+	return Range.parse(input) !== null;
+};
+
+/**
+ * Get the string representation of this range.
+ * @memberOf Range
+ * @return {?String} String representation
+ */
+Range.prototype.toString = function () {
+	return this.format();
+};
+
+/**
+ * Format this range.
+ * @memberOf Range
+ * @return {?String} Range string
+ */
+Range.prototype.format = function () {
+	return Range.format(this);
+};
+
+/**
+ * Get the number of addresses in this range.
+ * @memberOf Range
+ * @return {?Number} Number of addresses
+ */
+Range.prototype.getSize = function () {
+	return Range.getSize(this);
+};
+
+/**
+ * Determine if this range contains an IP address.
+ * @memberOf Range
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is within this range
+ */
+Range.prototype.contains = function (ip) {
+	return Range.contains(this, ip);
+};
+
+/**
+ * Decompose this range into the minimal list of CIDR blocks.
+ * @memberOf Range
+ * @return {?Subnet[]} Subnets in address order
+ */
+Range.prototype.toSubnets = function () {
+	return Range.toSubnets(this);
+};
+
+/**
+ * Get an iterator over every address in this range.
+ * @memberOf Range
+ * @return {Object} Iterator following the ES iterator protocol
+ */
+Range.prototype.iterator = function () {
+	return Range.iterator(this);
+};
+
+if (typeof Symbol === 'function' && Symbol.iterator) {
+	Range.prototype[Symbol.iterator] = Range.prototype.iterator;
+}
+
+/**
+ * Determine if this range has the same first and last addresses as another.
+ * @memberOf Range
+ * @param {String|Subnet|Range} other Range to compare
+ * @return {Boolean} Ranges are equal
+ */
+Range.prototype.equals = function (other) {
+	return Range.equal(this, other);
+};
+
+/**
+ * Determine if this range is valid.
+ * @memberOf Range
+ * @return {Boolean} True if valid
+ */
+Range.prototype.isValid = function () {
+	return Range.isValid(this);
+};
+
+/**
+ * Address set constructor. Represents any collection of addresses as a sorted
+ *   list of non-overlapping ranges. Can be given another AddressSet object or
+ *   a list of IP-like values, CIDR strings, range strings, Subnets and Ranges.
+ * @module AddressSet
+ * @constructor
+ * @param {Array|AddressSet} [input=[]] Addresses in the set
+ * @example
+ *
+ * var rfc1918 = AddressSet(['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16']);
+ * var internet = new AddressSet(['0.0.0.0/0']).subtract(rfc1918);
+ * internet.contains('8.8.8.8');  // true
+ * internet.contains('10.1.2.3'); // false
+ */
+var AddressSet = IP.AddressSet = function AddressSet (input) {
+	if (!(this instanceof AddressSet)) {
+		return new AddressSet(input);
+	}
+	var parsed = AddressSet.parse(input || []);
+	this.ranges = parsed && parsed.map(function (range) {
+		return new Range(range.first, range.last);
+	});
+};
+
+/**
+ * Parse an address set and get its raw ranges. Overlapping and adjacent
+ *   ranges are merged, and the result is sorted by address.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet|String|Subnet|Range} input Addresses to parse. A
+ *   single value is treated as a list of one.
+ * @return {?Object[]} Objects with raw 'first' and 'last' values. Null if any
+ *   value is invalid.
+ */
+AddressSet.parse = function (input) {
+	if (input === null || input === undefined) {
+		return null;
+	}
+	if (input instanceof AddressSet) {
+		// already sorted and merged
+		return input.ranges && input.ranges.map(function (range) {
+			return {
+				first: range.first.value,
+				last: range.last.value
+			};
+		});
+	}
+	if (!Array.isArray(input)) {
+		input = [input];
+	}
+	var ranges = [];
+	for (var i = 0; i < input.length; i++) {
+		var range = Range.parse(input[i]);
+		if (range === null) {
+			return null;
+		}
+		ranges.push(range);
+	}
+	return AddressSet.normalize(ranges);
+};
+
+/**
+ * Sort a list of raw ranges and merge any that overlap or are adjacent.
+ * @memberOf AddressSet
+ * @static
+ * @param {Object[]} ranges Objects with raw 'first' and 'last' values
+ * @return {Object[]} Sorted and merged ranges
+ */
+AddressSet.normalize = function (ranges) {
+	var sorted = ranges.slice().sort(function (left, right) {
+		return left.first - right.first;
+	});
+	var result = [];
+	sorted.forEach(function (range) {
+		var previous = result[result.length - 1];
+		if (previous && range.first <= previous.last + 1) {
+			previous.last = Math.max(previous.last, range.last);
+		}
+		else {
+			result.push({
+				first: range.first,
+				last: range.last
+			});
+		}
+	});
+	return result;
+};
+
+/**
+ * Get the union of two address sets.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} left First set
+ * @param {Array|AddressSet} right Second set
+ * @return {?AddressSet} Addresses in either set
+ */
+AddressSet.union = function (left, right) {
+	left = AddressSet.parse(left);
+	right = AddressSet.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	return AddressSet.fromRanges(left.concat(right));
+};
+
+/**
+ * Get the intersection of two address sets.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} left First set
+ * @param {Array|AddressSet} right Second set
+ * @return {?AddressSet} Addresses in both sets
+ */
+AddressSet.intersect = function (left, right) {
+	left = AddressSet.parse(left);
+	right = AddressSet.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	var result = [];
+	var i = 0;
+	var j = 0;
+	while (i < left.length && j < right.length) {
+		var first = Math.max(left[i].first, right[j].first);
+		var last = Math.min(left[i].last, right[j].last);
+		if (first <= last) {
+			result.push({
+				first: first,
+				last: last
+			});
+		}
+		if (left[i].last < right[j].last) {
+			i++;
+		}
+		else {
+			j++;
+		}
+	}
+	return AddressSet.fromRanges(result);
+};
+
+/**
+ * Subtract one address set from another.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} left Set to subtract from
+ * @param {Array|AddressSet} right Set of addresses to remove
+ * @return {?AddressSet} Addresses in the left set but not in the right
+ * @example
+ *
+ * AddressSet.subtract(['10.0.0.0/24'], ['10.0.0.0/25']).toString();
+ * // "10.0.0.128/25"
+ */
+AddressSet.subtract = function (left, right) {
+	left = AddressSet.parse(left);
+	right = AddressSet.parse(right);
+	if (left === null || right === null) {
+		return null;
+	}
+	var result = [];
+	var j = 0;
+	left.forEach(function (range) {
+		var first = range.first;
+		// skip removals that end before this range
+		while (j < right.length && right[j].last < first) {
+			j++;
+		}
+		for (var k = j; k < right.length && right[k].first <= range.last; k++) {
+			if (right[k].first > first) {
+				result.push({
+					first: first,
+					last: right[k].first - 1
+				});
+			}
+			first = Math.max(first, right[k].last + 1);
+		}
+		if (first <= range.last) {
+			result.push({
+				first: first,
+				last: range.last
+			});
+		}
+	});
+	return AddressSet.fromRanges(result);
+};
+
+/**
+ * Create an address set from a list of raw ranges.
+ * @memberOf AddressSet
+ * @static
+ * @param {Object[]} ranges Objects with raw 'first' and 'last' values
+ * @return {AddressSet} New address set
+ */
+AddressSet.fromRanges = function (ranges) {
+	return new AddressSet(ranges.map(function (range) {
+		return new Range(range.first, range.last);
+	}));
+};
+
+/**
+ * Determine if an address set contains an IP address.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} input Set to search
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is in the set
+ */
+AddressSet.contains = function (input, ip) {
+	// sets are already sorted and merged, so their ranges are searched as-is
+	var ranges = input instanceof AddressSet ? input.ranges : AddressSet.parse(input);
+	ip = IP.parse(ip);
+	if (ranges === null || ip === null) {
+		return false;
+	}
+	var low = 0;
+	var high = ranges.length - 1;
+	while (low <= high) {
+		var middle = Math.floor((low + high) / 2);
+		// Range objects hold IPs and parsed ranges hold raw values
+		if (ip < ranges[middle].first.valueOf()) {
+			high = middle - 1;
+		}
+		else if (ip > ranges[middle].last.valueOf()) {
+			low = middle + 1;
+		}
+		else {
+			return true;
+		}
+	}
+	return false;
+};
+
+/**
+ * Get the number of addresses in an address set.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} input Set to process
+ * @return {?Number} Number of addresses
+ */
+AddressSet.getSize = function (input) {
+	var ranges = AddressSet.parse(input);
+	if (ranges === null) {
+		return null;
+	}
+	return ranges.reduce(function (total, range) {
+		return total + range.last - range.first + 1;
+	}, 0);
+};
+
+/**
+ * Aggregate an address set into the minimal list of CIDR blocks that cover it
+ *   exactly. Adjacent and overlapping blocks are merged.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} input Set to summarize
+ * @return {?Subnet[]} Subnets in address order
+ * @example
+ *
+ * AddressSet.summarize(['10.0.0.0/25', '10.0.0.128/25', '10.0.0.7']).map(String);
+ * // ["10.0.0.0/24"]
+ */
+AddressSet.summarize = function (input) {
+	var ranges = AddressSet.parse(input);
+	if (ranges === null) {
+		return null;
+	}
+	return ranges.reduce(function (subnets, range) {
+		return subnets.concat(Range.toSubnets(new Range(range.first, range.last)));
+	}, []);
+};
+
+/**
+ * Get the formatted string for an address set as a comma separated list of
+ *   CIDR blocks.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} input Set to format
+ * @return {?String} Formatted set
+ */
+AddressSet.format = function (input) {
+	var subnets = AddressSet.summarize(input);
+	if (subnets === null) {
+		return null;
+	}
+	return subnets.join(', ');
+};
+
+/**
+ * Determine if two address sets contain the same addresses.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} left First set to compare
+ * @param {Array|AddressSet} right Second set to compare
+ * @return {Boolean} The sets are equal
+ */
+AddressSet.equal = function (left, right) {
+	left = AddressSet.parse(left);
+	right = AddressSet.parse(right);
+	if (left === null || right === null) {
+		return left === right;
+	}
+	if (left.length !== right.length) {
+		return false;
+	}
+	return left.every(function (range, i) {
+		return range.first === right[i].first && range.last === right[i].last;
+	});
+};
+
+/**
+ * Determine if an input is a valid address set.
+ * @memberOf AddressSet
+ * @static
+ * @param {Array|AddressSet} input Address set
+ * @return {Boolean} True if input is a valid address set
+ */
+AddressSet.isValid = function (input) {
+	return AddressSet.parse(input) !== null;
+};
+
+/**
+ * Get the string representation of this address set.
+ * @memberOf AddressSet
+ * @return {?String} String representation
+ */
+AddressSet.prototype.toString = function () {
+	return this.format();
+};
+
+/**
+ * Format this address set as a list of CIDR blocks.
+ * @memberOf AddressSet
+ * @return {?String} Comma separated CIDR blocks
+ */
+AddressSet.prototype.format = function () {
+	return AddressSet.format(this);
+};
+
+/**
+ * Get the union of this address set and another.
+ * @memberOf AddressSet
+ * @param {Array|AddressSet} other Set to add
+ * @return {?AddressSet} Addresses in either set
+ */
+AddressSet.prototype.union = function (other) {
+	return AddressSet.union(this, other);
+};
+
+/**
+ * Get the intersection of this address set and another.
+ * @memberOf AddressSet
+ * @param {Array|AddressSet} other Set to intersect
+ * @return {?AddressSet} Addresses in both sets
+ */
+AddressSet.prototype.intersect = function (other) {
+	return AddressSet.intersect(this, other);
+};
+
+/**
+ * Subtract another address set from this one.
+ * @memberOf AddressSet
+ * @param {Array|AddressSet} other Set of addresses to remove
+ * @return {?AddressSet} Addresses in this set but not in the other
+ */
+AddressSet.prototype.subtract = function (other) {
+	return AddressSet.subtract(this, other);
+};
+
+/**
+ * Determine if this address set contains an IP address.
+ * @memberOf AddressSet
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is in this set
+ */
+AddressSet.prototype.contains = function (ip) {
+	return AddressSet.contains(this, ip);
+};
+
+/**
+ * Get the number of addresses in this address set.
+ * @memberOf AddressSet
+ * @return {?Number} Number of addresses
+ */
+AddressSet.prototype.getSize = function () {
+	return AddressSet.getSize(this);
+};
+
+/**
+ * Aggregate this address set into the minimal list of CIDR blocks.
+ * @memberOf AddressSet
+ * @return {?Subnet[]} Subnets in address order
+ */
+AddressSet.prototype.summarize = function () {
+	return AddressSet.summarize(this);
+};
+
+/**
+ * Determine if this address set contains the same addresses as another.
+ * @memberOf AddressSet
+ * @param {Array|AddressSet} other Set to compare
+ * @return {Boolean} Sets are equal
+ */
+AddressSet.prototype.equals = function (other) {
+	return AddressSet.equal(this, other);
+};
+
+/**
+ * Determine if this address set is valid.
+ * @memberOf AddressSet
+ * @return {Boolean} True if valid
+ */
+AddressSet.prototype.isValid = function () {
+	return AddressSet.isValid(this);
+};
+
+/**
+ * Prefix table constructor. Maps CIDR prefixes to values and finds the
+ *   longest prefix containing an address. Backed by a path-compressed binary
+ *   (Patricia) trie, so lookups take at most 32 steps however many prefixes
+ *   are stored.
+ * @module PrefixTable
+ * @constructor
+ * @param {Array[]} [entries] Pairs of prefix and value to insert
+ * @param {Object} [options] Insertion options, see
+ *   {@link PrefixTable#insert}. Entries with invalid prefixes are skipped
+ *   unless the 'throws' option is set.
+ * @example
+ *
+ * var routes = new PrefixTable([
+ *     ['0.0.0.0/0', 'default'],
+ *     ['10.0.0.0/8', 'internal']
+ * ]);
+ * routes.insert('10.20.0.0/16', 'lab');
+ * routes.lookup('10.20.1.1').value; // "lab"
+ * routes.lookup('10.30.1.1').value; // "internal"
+ * routes.lookup('8.8.8.8').value;   // "default"
+ */
+var PrefixTable = IP.PrefixTable = function PrefixTable (entries, options) {
+	if (!(this instanceof PrefixTable)) {
+		return new PrefixTable(entries, options);
+	}
+	this.root = null;
+	this.size = 0;
+	(entries || []).forEach(function (entry) {
+		this.insert(entry[0], entry[1], options);
+	}, this);
+};
+
+/**
+ * Parse a prefix and get the raw network address and mask. Host bits of the
+ *   address are switched off.
+ * @memberOf PrefixTable
+ * @static
+ * @param {Number|String|IP|Subnet} input Prefix to parse
+ * @return {?Object} Object with raw 'network' and 'mask' values
+ */
+PrefixTable.parse = function (input) {
+	var subnet = Subnet.parse(input);
+	if (subnet === null) {
+		return null;
+	}
+	return {
+		network: Number(Subnet.getNetwork(input)),
+		mask: subnet.mask
+	};
+};
+
+/**
+ * Get the number of leading bits two raw addresses have in common.
+ * @memberOf PrefixTable
+ * @static
+ * @param {Number} left First raw address
+ * @param {Number} right Second raw address
+ * @return {Number} Common prefix length from 0 to 32
+ */
+PrefixTable.commonBits = function (left, right) {
+	// jshint bitwise:false
+	var diff = (left ^ right) >>> 0;
+	var bits = 0;
+	while (bits < Mask.MAX_VALUE && diff < 0x80000000) {
+		diff = (diff << 1) >>> 0;
+		bits++;
+	}
+	return bits;
+};
+
+/**
+ * Get a single bit of a raw address, counting from the most significant bit.
+ * @memberOf PrefixTable
+ * @static
+ * @param {Number} value Raw address
+ * @param {Number} index Index of the bit from 0 to 31
+ * @return {Number} 0 or 1
+ */
+PrefixTable.getBit = function (value, index) {
+	// jshint bitwise:false
+	return (value >>> (Mask.MAX_VALUE - 1 - index)) & 1;
+};
+
+/**
+ * Create a trie node.
+ * @memberOf PrefixTable
+ * @static
+ * @param {Number} network Raw network address
+ * @param {Number} mask Prefix length
+ * @return {Object} Node without a value or children
+ */
+PrefixTable.createNode = function (network, mask) {
+	return {
+		network: network,
+		mask: mask,
+		hasValue: false,
+		value: undefined,
+		children: [null, null]
+	};
+};
+
+/**
+ * Get an entry object for a trie node.
+ * @memberOf PrefixTable
+ * @static
+ * @param {Object} node Trie node
+ * @return {Object} Object with 'subnet' and 'value' properties
+ */
+PrefixTable.getEntry = function (node) {
+	return {
+		subnet: new Subnet(node.network, node.mask),
+		value: node.value
+	};
+};
+
+/**
+ * Insert a prefix into this table, replacing the value of the prefix if it is
+ *   already present.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP|Subnet} prefix Prefix to insert
+ * @param {*} value Value of the prefix
+ * @param {Object} [options] Insertion options
+ * @param {Boolean} [options.throws=false] Throw an {@link IPParseError}
+ *   instead of returning null
+ * @return {?PrefixTable} This table. Null if the prefix is invalid.
+ * @throws {IPParseError} If the prefix is invalid and the 'throws' option is
+ *   set
+ */
+PrefixTable.prototype.insert = function (prefix, value, options) {
+	var key = PrefixTable.parse(prefix);
+	if (key === null) {
+		if (options && options.throws) {
+			throw Subnet.validate(prefix);
+		}
+		return null;
+	}
+	var leaf = PrefixTable.createNode(key.network, key.mask);
+	leaf.hasValue = true;
+	leaf.value = value;
+	var parent = null;
+	var node = this.root;
+	while (node !== null) {
+		var common = Math.min(
+			PrefixTable.commonBits(key.network, node.network),
+			key.mask,
+			node.mask
+		);
+		if (common < node.mask) {
+			// the new prefix branches off above this node
+			var branch = leaf;
+			if (common < key.mask) {
+				branch = PrefixTable.createNode(
+					key.network - key.network % Math.pow(2, Mask.MAX_VALUE - common),
+					common
+				);
+				branch.children[PrefixTable.getBit(key.network, common)] = leaf;
+			}
+			branch.children[PrefixTable.getBit(node.network, common)] = node;
+			this.replaceNode(parent, node, branch);
+			this.size++;
+			return this;
+		}
+		if (key.mask === node.mask) {
+			if (!node.hasValue) {
+				this.size++;
+			}
+			node.hasValue = true;
+			node.value = value;
+			return this;
+		}
+		parent = node;
+		node = node.children[PrefixTable.getBit(key.network, node.mask)];
+	}
+	this.replaceNode(parent, null, leaf);
+	this.size++;
+	return this;
+};
+
+/**
+ * Replace a child of a trie node, or the root if there is no parent.
+ * @memberOf PrefixTable
+ * @param {?Object} parent Parent node
+ * @param {?Object} node Node to replace
+ * @param {?Object} replacement New node
+ */
+PrefixTable.prototype.replaceNode = function (parent, node, replacement) {
+	if (parent === null) {
+		this.root = replacement;
+		return;
+	}
+	var side = node ? parent.children.indexOf(node) : -1;
+	if (side === -1) {
+		side = PrefixTable.getBit(replacement.network, parent.mask);
+	}
+	parent.children[side] = replacement;
+};
+
+/**
+ * Find the trie node for an exact prefix.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP|Subnet} prefix Prefix to find
+ * @return {Object[]} Path of nodes from the root to the prefix. Empty if the
+ *   prefix is not present.
+ */
+PrefixTable.prototype.findPath = function (prefix) {
+	var key = PrefixTable.parse(prefix);
+	var path = [];
+	var node = this.root;
+	while (key !== null && node !== null && node.mask <= key.mask) {
+		if (PrefixTable.commonBits(key.network, node.network) < node.mask) {
+			break;
+		}
+		path.push(node);
+		if (node.mask === key.mask) {
+			return node.hasValue ? path : [];
+		}
+		node = node.children[PrefixTable.getBit(key.network, node.mask)];
+	}
+	return [];
+};
+
+/**
+ * Get the value of an exact prefix.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP|Subnet} prefix Prefix to find
+ * @return {*} Value of the prefix, or undefined if it is not present
+ */
+PrefixTable.prototype.get = function (prefix) {
+	var path = this.findPath(prefix);
+	return path.length ? path[path.length - 1].value : undefined;
+};
+
+/**
+ * Determine if this table contains an exact prefix.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP|Subnet} prefix Prefix to find
+ * @return {Boolean} True if the prefix is present
+ */
+PrefixTable.prototype.has = function (prefix) {
+	return this.findPath(prefix).length > 0;
+};
+
+/**
+ * Remove an exact prefix from this table.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP|Subnet} prefix Prefix to remove
+ * @return {Boolean} True if the prefix was present
+ */
+PrefixTable.prototype.remove = function (prefix) {
+	var path = this.findPath(prefix);
+	if (!path.length) {
+		return false;
+	}
+	var node = path.pop();
+	node.hasValue = false;
+	node.value = undefined;
+	this.size--;
+	// remove nodes that no longer separate two branches
+	while (node && !node.hasValue) {
+		var parent = path.length ? path[path.length - 1] : null;
+		var children = node.children.filter(Boolean);
+		if (children.length === 2) {
+			break;
+		}
+		if (parent === null) {
+			this.root = children[0] || null;
+		}
+		else {
+			parent.children[parent.children.indexOf(node)] = children[0] || null;
+		}
+		node = path.pop();
+	}
+	return true;
+};
+
+/**
+ * Find the longest prefix in this table containing an address.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP} ip Address to find
+ * @return {?Object} Object with the matching 'subnet' and its 'value'. Null if
+ *   no prefix contains the address.
+ */
+PrefixTable.prototype.lookup = function (ip) {
+	var matches = this.lookupAll(ip);
+	return matches.length ? matches[matches.length - 1] : null;
+};
+
+/**
+ * Find every prefix in this table containing an address.
+ * @memberOf PrefixTable
+ * @param {Number|String|IP} ip Address to find
+ * @return {Object[]} Objects with the matching 'subnet' and its 'value', from
+ *   shortest to longest prefix
+ */
+PrefixTable.prototype.lookupAll = function (ip) {
+	var matches = [];
+	var value = IP.parse(ip);
+	var node = value === null ? null : this.root;
+	while (node !== null) {
+		if (PrefixTable.commonBits(value, node.network) < node.mask) {
+			break;
+		}
+		if (node.hasValue) {
+			matches.push(PrefixTable.getEntry(node));
+		}
+		if (node.mask === Mask.MAX_VALUE) {
+			break;
+		}
+		node = node.children[PrefixTable.getBit(value, node.mask)];
+	}
+	return matches;
+};
+
+/**
+ * Get an iterator over every entry in this table in address order. Shorter
+ *   prefixes come before longer prefixes with the same network address.
+ * @memberOf PrefixTable
+ * @return {Object} Iterator following the ES iterator protocol, yielding
+ *   objects with 'subnet' and 'value' properties
+ */
+PrefixTable.prototype.iterator = function () {
+	var stack = this.root ? [this.root] : [];
+	var iterator = {
+		next: function () {
+			while (stack.length) {
+				var node = stack.pop();
+				if (node.children[1]) {
+					stack.push(node.children[1]);
+				}
+				if (node.children[0]) {
+					stack.push(node.children[0]);
+				}
+				if (node.hasValue) {
+					return { value: PrefixTable.getEntry(node), done: false };
+				}
+			}
+			return { value: undefined, done: true };
+		}
+	};
+	if (typeof Symbol === 'function' && Symbol.iterator) {
+		iterator[Symbol.iterator] = function () {
+			return this;
+		};
+	}
+	return iterator;
+};
+
+if (typeof Symbol === 'function' && Symbol.iterator) {
+	PrefixTable.prototype[Symbol.iterator] = PrefixTable.prototype.iterator;
+}
+
+/**
+ * Call a function for every entry in this table in address order.
+ * @memberOf PrefixTable
+ * @param {Function} callback Called with the value, the subnet and this table
+ * @param {*} [thisArg] Value of 'this' in the callback
+ */
+PrefixTable.prototype.forEach = function (callback, thisArg) {
+	var iterator = this.iterator();
+	for (var step = iterator.next(); !step.done; step = iterator.next()) {
+		callback.call(thisArg, step.value.value, step.value.subnet, this);
+	}
+};
+
+/**
+ * Endpoint constructor. Represents a socket address: an IPv4 or IPv6 address
+ *   with a port. Can be given a "host:port" string (with the IPv6 address in
+ *   square brackets), another Endpoint object, an address info object like
+ *   those used by Node's 'net' module, or an address along with a port.
+ * @module Endpoint
+ * @constructor
+ * @param {String|Object|IP|IPv6|Endpoint} [input=0] Endpoint or address
+ * @param {Number|String} [port] Port of the endpoint
+ * @example
+ *
+ * var web = Endpoint('192.168.1.5:8080');                    // 'new' not required
+ * var https = new Endpoint('[::1]:443');                     // IPv6 in brackets
+ * var dns = new Endpoint('8.8.8.8', 53);                     // address and port
+ * var ssh = new Endpoint({ address: '::1', family: 'IPv6', port: 22 });
+ */
+var Endpoint = IP.Endpoint = function Endpoint (input, port) {
+	if (!(this instanceof Endpoint)) {
+		return new Endpoint(input, port);
+	}
+	var parsed = Endpoint.parse(input || 0, port);
+	this.ip = parsed && parsed.ip;
+	this.port = parsed && parsed.port;
+};
+
+/**
+ * The minimum value a port can have.
+ * @memberOf Endpoint
+ * @static
+ * @type {Number}
+ */
+Endpoint.MIN_PORT = 0;
+
+/**
+ * The maximum value a port can have.
+ * @memberOf Endpoint
+ * @static
+ * @type {Number}
+ */
+Endpoint.MAX_PORT = 0xffff;
+
+/**
+ * Parse an endpoint and get its address and port. Input can be another
+ *   Endpoint object, a "host:port" or "[host]:port" string, or an object with
+ *   'address', 'port' and optionally 'family' properties. The port can be
+ *   given separately, in which case the input is the address alone.
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|IP|IPv6|Endpoint} input Endpoint or address to parse
+ * @param {Number|String} [port] Port of the endpoint
+ * @return {?Object} Object with the 'ip' (an IP or IPv6 object) and the raw
+ *   'port' value. Null if either is invalid.
+ */
+Endpoint.parse = function (input, port) {
+	var address = input;
+	var family = null;
+	if (input === null || input === undefined) {
+		return null;
+	}
+	if (input instanceof Endpoint) {
+		if (input.ip === null || input.port === null) {
+			return null;
+		}
+		address = input.ip;
+		if (port === undefined) {
+			port = input.port;
+		}
+	}
+	else if (typeof input === 'object' && !(input instanceof IP) && !(input instanceof IPv6)) {
+		address = input.address;
+		family = input.family;
+		if (port === undefined) {
+			port = input.port;
+		}
+	}
+	else if (typeof input === 'string' && port === undefined) {
+		var colonIndex = input.lastIndexOf(':');
+		var bracketIndex = input.lastIndexOf(']');
+		if (colonIndex === -1 || colonIndex < bracketIndex) {
+			return null;
+		}
+		if (input.charAt(0) !== '[' && input.indexOf(':') !== colonIndex) {
+			// an IPv6 address without brackets has no unambiguous port
+			return null;
+		}
+		address = input.substring(0, colonIndex);
+		port = input.substring(colonIndex + 1);
+	}
+	if (typeof address === 'string' && address.charAt(0) === '[') {
+		if (address.charAt(address.length - 1) !== ']') {
+			return null;
+		}
+		address = address.substring(1, address.length - 1);
+		family = 6;
+	}
+	var ip = Endpoint.parseAddress(address, family);
+	port = Endpoint.parsePort(port);
+	if (ip === null || port === null) {
+		return null;
+	}
+	return {
+		ip: ip,
+		port: port
+	};
+};
+
+/**
+ * Parse the address of an endpoint as an IPv4 or IPv6 address. Without a
+ *   family, strings containing a colon are taken to be IPv6.
+ * @memberOf Endpoint
+ * @static
+ * @param {Number|String|IP|IPv6} address Address to parse
+ * @param {Number|String} [family] IP version: 4, 6, "IPv4" or "IPv6"
+ * @return {?IP|IPv6} Address object. Null if the address is invalid or not of
+ *   the given family.
+ */
+Endpoint.parseAddress = function (address, family) {
+	var version = Endpoint.parseFamily(family);
+	var isIPv6 = address instanceof IPv6 || (
+		typeof address === 'string' && address.indexOf(':') > -1
+	);
+	if (family !== null && family !== undefined && version === null) {
+		return null;
+	}
+	if (version === null) {
+		version = isIPv6 ? 6 : 4;
+	}
+	if (version === 6) {
+		return IPv6.parse(address) === null ? null : new IPv6(address);
+	}
+	return (isIPv6 || IP.parse(address) === null) ? null : new IP(address);
+};
+
+/**
+ * Parse an address family, as used by Node's 'net' module.
+ * @memberOf Endpoint
+ * @static
+ * @param {Number|String} family Family to parse: 4, 6, "IPv4" or "IPv6"
+ * @return {?Number} IP version, 4 or 6. Null if the family is not recognised.
+ */
+Endpoint.parseFamily = function (family) {
+	switch (family) {
+		case 4:
+		case 'IPv4':
+			return 4;
+		case 6:
+		case 'IPv6':
+			return 6;
+	}
+	return null;
+};
+
+/**
+ * Parse a port number. Ports are integers from 0 to 65535, given either as a
+ *   number or a string of decimal digits.
+ * @memberOf Endpoint
+ * @static
+ * @param {Number|String} port Port to parse
+ * @return {?Number} Raw port value. Null if the port is invalid.
+ * @example
+ *
+ * Endpoint.parsePort('8080');  // 8080
+ * Endpoint.parsePort(65536);   // null
+ * Endpoint.parsePort('0x50');  // null
+ */
+Endpoint.parsePort = function (port) {
+	if (typeof port === 'string' && /^[0-9]+$/.test(port)) {
+		port = Number(port);
+	}
+	if (typeof port !== 'number' || port % 1 !== 0) {
+		return null;
+	}
+	if (port < Endpoint.MIN_PORT || port > Endpoint.MAX_PORT) {
+		return null;
+	}
+	return port;
+};
+
+/**
+ * Get the IP version of an endpoint's address.
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|Endpoint} input Endpoint to process
+ * @return {?Number} IP version, 4 or 6
+ */
+Endpoint.getVersion = function (input) {
+	input = Endpoint.parse(input);
+	if (input === null) {
+		return null;
+	}
+	return input.ip instanceof IPv6 ? 6 : 4;
+};
+
+/**
+ * Get the formatted string for a given endpoint. IPv6 addresses are put in
+ *   square brackets to separate them from the port.
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|Endpoint} input Endpoint to format
+ * @return {?String} Formatted endpoint
+ * @example
+ *
+ * Endpoint.format('0xc0.168.1.5:8080');    // "192.168.1.5:8080"
+ * Endpoint.format('[0:0::1]:443');         // "[::1]:443"
+ */
+Endpoint.format = function (input) {
+	input = Endpoint.parse(input);
+	if (input === null) {
+		return null;
+	}
+	var address = input.ip.format();
+	if (input.ip instanceof IPv6) {
+		address = '[' + address + ']';
+	}
+	return address + ':' + input.port;
+};
+
+/**
+ * Convert an endpoint to an address info object, the shape used by Node's
+ *   'net' module, e.g. for server.address() and socket.connect().
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|Endpoint} input Endpoint to convert
+ * @return {?Object} Object with the formatted 'address', the 'family' ("IPv4"
+ *   or "IPv6") and the 'port'
+ * @example
+ *
+ * Endpoint.toAddressInfo('[::1]:443');
+ * // { address: '::1', family: 'IPv6', port: 443 }
+ */
+Endpoint.toAddressInfo = function (input) {
+	input = Endpoint.parse(input);
+	if (input === null) {
+		return null;
+	}
+	return {
+		address: input.ip.format(),
+		family: input.ip instanceof IPv6 ? 'IPv6' : 'IPv4',
+		port: input.port
+	};
+};
+
+/**
+ * Create an endpoint from an address info object, the shape used by Node's
+ *   'net' module.
+ * @memberOf Endpoint
+ * @static
+ * @param {Object} info Object with 'address', 'port' and optionally 'family'
+ * @return {?Endpoint} Endpoint. Null if the object is invalid.
+ */
+Endpoint.fromAddressInfo = function (info) {
+	if (!info || typeof info !== 'object' || Endpoint.parse(info) === null) {
+		return null;
+	}
+	return new Endpoint(info);
+};
+
+/**
+ * Compare two endpoints. IPv4 endpoints sort before IPv6 endpoints, then
+ *   endpoints are ordered by address and then by port.
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|Endpoint} left First endpoint to compare
+ * @param {String|Object|Endpoint} right Second endpoint to compare
+ * @return {?Number} -1 if 'left' is less than 'right', 1 if greater, 0
+ *   otherwise. Null if either endpoint is invalid.
+ * @example
+ *
+ * ['[::1]:80', '10.0.0.1:443', '10.0.0.1:80'].sort(Endpoint.compare);
+ * // ['10.0.0.1:80', '10.0.0.1:443', '[::1]:80']
+ */
+Endpoint.compare = function (left, right) {
+	var leftVersion = Endpoint.getVersion(left);
+	var rightVersion = Endpoint.getVersion(right);
+	if (leftVersion === null || rightVersion === null) {
+		return null;
+	}
+	if (leftVersion !== rightVersion) {
+		return leftVersion < rightVersion ? -1 : 1;
+	}
+	left = Endpoint.parse(left);
+	right = Endpoint.parse(right);
+	var result = leftVersion === 6 ?
+		IPv6.compare(left.ip, right.ip) :
+		IP.compare(left.ip, right.ip);
+	if (result !== 0) {
+		return result;
+	}
+	if (left.port === right.port) {
+		return 0;
+	}
+	return left.port < right.port ? -1 : 1;
+};
+
+/**
+ * Determine if two endpoints have the same address and port.
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|Endpoint} left First endpoint to compare
+ * @param {String|Object|Endpoint} right Second endpoint to compare
+ * @return {Boolean} The endpoints are equal
+ */
+Endpoint.equal = function (left, right) {
+	return Endpoint.compare(left, right) === 0;
+};
+
+/**
+ * Sort a list of endpoints, see {@link Endpoint.compare}.
+ * @memberOf Endpoint
+ * @static
+ * @param {Array.<String|Object|Endpoint>} list Endpoints to sort
+ * @return {?Endpoint[]} New sorted list. Null if any endpoint is invalid.
+ */
+Endpoint.sort = function (list) {
+	var endpoints = [];
+	for (var i = 0; i < list.length; i++) {
+		if (!Endpoint.isValid(list[i])) {
+			return null;
+		}
+		endpoints.push(new Endpoint(list[i]));
+	}
+	return endpoints.sort(Endpoint.compare);
+};
+
+/**
+ * Determine if an input is a valid endpoint.
+ * @memberOf Endpoint
+ * @static
+ * @param {String|Object|Endpoint} input Endpoint
+ * @return {Boolean} True if input is a valid endpoint
+ */
+Endpoint.isValid = function (input) {
+	return Endpoint.parse(input) !== null;
+};
+
+/**
+ * Get the string representation of this endpoint.
+ * @memberOf Endpoint
+ * @return {?String} String representation
+ * @example
+ *
+ * var https = new Endpoint('::1', 443);
+ * https.toString(); // "[::1]:443"
+ * String(https);    // "[::1]:443"
+ */
+Endpoint.prototype.toString = function () {
+	return this.format();
+};
+
+/**
+ * Format this endpoint as "host:port".
+ * @memberOf Endpoint
+ * @return {?String} Formatted endpoint
+ */
+Endpoint.prototype.format = function () {
+	return Endpoint.format(this);
+};
+
+/**
+ * Get the IP version of this endpoint's address.
+ * @memberOf Endpoint
+ * @return {?Number} IP version, 4 or 6
+ */
+Endpoint.prototype.getVersion = function () {
+	return Endpoint.getVersion(this);
+};
+
+/**
+ * Convert this endpoint to an address info object.
+ * @memberOf Endpoint
+ * @return {?Object} Object with 'address', 'family' and 'port'
+ */
+Endpoint.prototype.toAddressInfo = function () {
+	return Endpoint.toAddressInfo(this);
+};
+
+/**
+ * Compare this endpoint to another.
+ * @memberOf Endpoint
+ * @param {String|Object|Endpoint} other Endpoint to compare
+ * @return {?Number} -1 if this is less than 'other', 1 if greater, 0 otherwise
+ */
+Endpoint.prototype.compare = function (other) {
+	return Endpoint.compare(this, other);
+};
+
+/**
+ * Determine if this endpoint has the same address and port as another.
+ * @memberOf Endpoint
+ * @param {String|Object|Endpoint} other Endpoint to compare
+ * @return {Boolean} Endpoints are equal
+ */
+Endpoint.prototype.equals = function (other) {
+	return Endpoint.equal(this, other);
+};
+
+/**
+ * Determine if this endpoint is valid.
+ * @memberOf Endpoint
+ * @return {Boolean} True if valid
+ */
+Endpoint.prototype.isValid = function () {
+	return Endpoint.isValid(this);
+};
+
+/**
+ * Random address generator constructor. Draws IP objects from a pool of
+ *   addresses using a seedable pseudo-random number generator, so the same
+ *   seed always gives the same addresses. The pool is every address unless
+ *   constrained to a list of subnets or ranges, and addresses can be excluded
+ *   from it.
+ * @module Random
+ * @constructor
+ * @param {Object} [options] Generator options
+ * @param {Number} [options.seed] Integer seed. A random seed is used if not
+ *   given, and can be read back from the 'seed' property.
+ * @param {Array|AddressSet|String|Subnet|Range} [options.within] Addresses to
+ *   draw from
+ * @param {Array|AddressSet|String|Subnet|Range} [options.exclude] Addresses to
+ *   never draw
+ * @param {Boolean} [options.excludeSpecial=false] Never draw addresses in the
+ *   special-purpose registry ({@link IP.SPECIAL_PURPOSE}) or multicast
+ *   addresses
+ * @example
+ *
+ * var random = Random({ seed: 42 });                       // 'new' not required
+ * var lan = new Random({ seed: 1, within: '10.0.0.0/8' });  // constrained
+ * var internet = new Random({ excludeSpecial: true });      // no special-purpose
+ *
+ * lan.next();     // IP object in 10.0.0.0/8, the same every run
+ * lan.sample(10); // 10 unique IP objects
+ */
+var Random = IP.Random = function Random (options) {
+	if (!(this instanceof Random)) {
+		return new Random(options);
+	}
+	options = options || {};
+	this.seed = options.seed === undefined ?
+		Math.floor(Math.random() * Random.MODULUS) :
+		options.seed;
+	this.state = Random.parseSeed(this.seed);
+	this.addresses = Random.getPool(options);
+	for (var i = 0; i < Random.WARM_UP && this.state !== null; i++) {
+		this.step();
+	}
+};
+
+/**
+ * The modulus of the Park-Miller generator used to draw addresses, the prime
+ *   2^31 - 1.
+ * @memberOf Random
+ * @static
+ * @type {Number}
+ */
+Random.MODULUS = 2147483647;
+
+/**
+ * The multiplier of the Park-Miller generator used to draw addresses.
+ * @memberOf Random
+ * @static
+ * @type {Number}
+ */
+Random.MULTIPLIER = 16807;
+
+/**
+ * The number of states a generator skips before its first draw. The first
+ *   states of small seeds are close together, so they would otherwise all
+ *   draw from the bottom of the pool. After this many steps, consecutive seeds
+ *   start about 0.38 of the pool apart.
+ * @memberOf Random
+ * @static
+ * @type {Number}
+ */
+Random.WARM_UP = 10;
+
+/**
+ * Parse a seed and get the initial state of the generator.
+ * @memberOf Random
+ * @static
+ * @param {Number} seed Integer seed
+ * @return {?Number} Initial state, from 1 to 2^31 - 2. Null if the seed is not
+ *   an integer.
+ */
+Random.parseSeed = function (seed) {
+	if (typeof seed !== 'number' || seed % 1 !== 0) {
+		return null;
+	}
+	return Math.abs(seed) % (Random.MODULUS - 1) + 1;
+};
+
+/**
+ * Get the set of addresses a generator draws from.
+ * @memberOf Random
+ * @static
+ * @param {Object} [options] Generator options, see {@link Random}
+ * @return {?AddressSet} Addresses to draw from. Null if any option is invalid.
+ */
+Random.getPool = function (options) {
+	var within = options && options.within;
+	var exclude = (options && options.exclude) || [];
+	var pool = new AddressSet(within === undefined ? '0.0.0.0/0' : within);
+	exclude = new AddressSet(exclude);
+	if (pool.ranges === null || exclude.ranges === null) {
+		return null;
+	}
+	if (options && options.excludeSpecial) {
+		exclude = exclude.union(IP.SPECIAL_PURPOSE.map(function (entry) {
+			return entry.subnet;
+		}).concat(IP.MULTICAST));
+	}
+	return pool.subtract(exclude);
+};
+
+/**
+ * Get the next pseudo-random number from this generator.
+ * @memberOf Random
+ * @return {?Number} Number from 0 (inclusive) to 1 (exclusive). Null if the
+ *   seed is invalid.
+ */
+Random.prototype.random = function () {
+	if (this.state === null) {
+		return null;
+	}
+	// two draws give enough bits to pick from all 2^32 addresses
+	var high = this.step() - 1;
+	var low = this.step() - 1;
+	return (high + low / (Random.MODULUS - 1)) / (Random.MODULUS - 1);
+};
+
+/**
+ * Advance the state of this generator.
+ * @memberOf Random
+ * @return {Number} New state
+ */
+Random.prototype.step = function () {
+	this.state = this.state * Random.MULTIPLIER % Random.MODULUS;
+	return this.state;
+};
+
+/**
+ * Get the number of addresses this generator can draw from.
+ * @memberOf Random
+ * @return {?Number} Number of addresses. Null if the options were invalid.
+ */
+Random.prototype.getSize = function () {
+	return this.addresses && this.addresses.getSize();
+};
+
+/**
+ * Get an address of the pool by its index, counting from the lowest address.
+ * @memberOf Random
+ * @param {Number} index Index of the address
+ * @return {?IP} Address. Null if the index is past the end of the pool.
+ */
+Random.prototype.getAddress = function (index) {
+	var ranges = this.addresses ? this.addresses.ranges : [];
+	for (var i = 0; i < ranges.length; i++) {
+		var size = Range.getSize(ranges[i]);
+		if (index < size) {
+			return IP.add(ranges[i].first, index);
+		}
+		index -= size;
+	}
+	return null;
+};
+
+/**
+ * Draw a random address. Addresses can be drawn more than once.
+ * @memberOf Random
+ * @return {?IP} Random address. Null if the options or seed were invalid or if
+ *   there are no addresses to draw from.
+ */
+Random.prototype.next = function () {
+	var size = this.getSize();
+	if (!size || this.state === null) {
+		return null;
+	}
+	return this.getAddress(Math.floor(this.random() * size));
+};
+
+/**
+ * Draw a number of unique random addresses, without replacement.
+ * @memberOf Random
+ * @param {Number} count Number of addresses to draw
+ * @return {?IP[]} Random addresses in the order drawn. Null if the options or
+ *   seed were invalid, or if there are fewer than 'count' addresses to draw
+ *   from.
+ */
+Random.prototype.sample = function (count) {
+	var size = this.getSize();
+	if (size === null || this.state === null || !IP.isOffset(count) ||
+		count < 0 || count > size) {
+		return null;
+	}
+	// partial Fisher-Yates shuffle of the pool indexes, only storing the
+	// indexes that have been swapped
+	var swapped = {};
+	var result = [];
+	for (var i = 0; i < count; i++) {
+		var j = i + Math.floor(this.random() * (size - i));
+		var picked = swapped.hasOwnProperty(j) ? swapped[j] : j;
+		swapped[j] = swapped.hasOwnProperty(i) ? swapped[i] : i;
+		result.push(this.getAddress(picked));
+	}
+	return result;
+};
+
+/**
+ * Address pool constructor. Tracks which addresses of a subnet or range are
+ *   leased, so that no address is ever handed out twice. Addresses can be
+ *   reserved so they are never leased, and leases can expire and carry
+ *   metadata. The state of a pool can be saved and restored as JSON.
+ * @module Pool
+ * @constructor
+ * @param {String|Subnet|Range} [input=0] Subnet or range to allocate from
+ * @param {Object} [options] Pool options, see {@link Pool.parse}
+ * @example
+ *
+ * var dhcp = Pool('192.168.0.0/24', { gateway: '192.168.0.1' }); // 'new' not required
+ * var lease = dhcp.allocate({ ttl: 3600000, data: { host: 'printer' } });
+ * lease.ip.toString();                  // "192.168.0.2"
+ * dhcp.allocate({ ip: '192.168.0.2' }); // null, already leased
+ * dhcp.release('192.168.0.2');          // true
+ *
+ * var saved = JSON.stringify(dhcp);
+ * var restored = Pool.fromJSON(saved);
+ */
+var Pool = IP.Pool = function Pool (input, options) {
+	if (!(this instanceof Pool)) {
+		return new Pool(input, options);
+	}
+	var parsed = Pool.parse(input || 0, options);
+	this.range = parsed && new Range(parsed.first, parsed.last);
+	this.reserved = parsed && new AddressSet(parsed.reserved.map(function (range) {
+		return new Range(range.first, range.last);
+	}));
+	this.addresses = parsed && new AddressSet(this.range).subtract(this.reserved);
+	this.leases = {};
+	// every address below nextFree is leased, and none of those leases expire
+	// before nextExpiry, so findFree can start its search from there
+	this.nextFree = parsed && parsed.first;
+	this.nextExpiry = Infinity;
+};
+
+/**
+ * Parse a pool and get the raw values of its first and last addresses and of
+ *   the addresses reserved in it. When the pool is given as a subnet, its
+ *   network and broadcast addresses are reserved by default, except in /31
+ *   and /32 subnets.
+ * @memberOf Pool
+ * @static
+ * @param {String|Subnet|Range} input Subnet or range to allocate from
+ * @param {Object} [options] Pool options
+ * @param {Number|String|IP} [options.gateway] Gateway address to reserve
+ * @param {Array|AddressSet|String|Subnet|Range} [options.exclude] Other
+ *   addresses to reserve
+ * @param {Boolean} [options.reserveNetwork=true] Reserve the network address
+ *   of a subnet
+ * @param {Boolean} [options.reserveBroadcast=true] Reserve the broadcast
+ *   address of a subnet
+ * @return {?Object} Object with raw 'first' and 'last' values and a list of raw
+ *   'reserved' ranges. Null if the pool, gateway or exclusions are invalid, or
+ *   if the gateway is outside the pool.
+ */
+Pool.parse = function (input, options) {
+	var range = Range.parse(input);
+	options = options || {};
+	var reserved = AddressSet.parse(options.exclude || []);
+	if (range === null || reserved === null) {
+		return null;
+	}
+	var isSubnet = input instanceof Subnet || (typeof input === 'string' && input.indexOf('/') > -1);
+	if (isSubnet && Subnet.getSize(input) > 2) {
+		if (options.reserveNetwork !== false) {
+			reserved.push({ first: range.first, last: range.first });
+		}
+		if (options.reserveBroadcast !== false) {
+			reserved.push({ first: range.last, last: range.last });
+		}
+	}
+	if (options.gateway !== undefined) {
+		var gateway = IP.parse(options.gateway);
+		if (gateway === null || gateway < range.first || gateway > range.last) {
+			return null;
+		}
+		reserved.push({ first: gateway, last: gateway });
+	}
+	return {
+		first: range.first,
+		last: range.last,
+		reserved: AddressSet.normalize(reserved)
+	};
+};
+
+/**
+ * Restore a pool from a snapshot made by {@link Pool#toJSON}.
+ * @memberOf Pool
+ * @static
+ * @param {String|Object} json Snapshot, or its JSON string
+ * @return {?Pool} Restored pool. Null if the snapshot is invalid.
+ */
+Pool.fromJSON = function (json) {
+	if (typeof json === 'string') {
+		try {
+			json = JSON.parse(json);
+		}
+		catch (error) {
+			return null;
+		}
+	}
+	if (!json || typeof json !== 'object' || !Array.isArray(json.leases)) {
+		return null;
+	}
+	var pool = new Pool(json.range, {
+		exclude: json.reserved,
+		reserveNetwork: false,
+		reserveBroadcast: false
+	});
+	if (pool.range === null) {
+		return null;
+	}
+	for (var i = 0; i < json.leases.length; i++) {
+		var lease = json.leases[i] || {};
+		var ip = IP.parse(lease.ip);
+		var restored = ip !== null && pool.allocate({
+			ip: ip,
+			expires: lease.expires,
+			data: lease.data,
+			now: -Infinity
+		});
+		if (!restored) {
+			return null;
+		}
+	}
+	return pool;
+};
+
+/**
+ * Get the expiry time of a lease from lease options.
+ * @memberOf Pool
+ * @static
+ * @param {Object} [options] Lease options, see {@link Pool#allocate}
+ * @return {?Number} Expiry time in milliseconds since the epoch, or null if the
+ *   lease does not expire
+ */
+Pool.getExpiry = function (options) {
+	if (options && typeof options.expires === 'number') {
+		return options.expires;
+	}
+	if (options && typeof options.ttl === 'number') {
+		return Pool.getTime(options) + options.ttl;
+	}
+	return null;
+};
+
+/**
+ * Get the current time from lease options.
+ * @memberOf Pool
+ * @static
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {Number} Current time in milliseconds since the epoch
+ */
+Pool.getTime = function (options) {
+	return (options && typeof options.now === 'number') ? options.now : Date.now();
 };
 
 /**
- * Format this IP address.
- * @memberOf IP
- * @param {Number|String} [rad=10] Optional radix
- * @return {String} Dotted string
+ * Get the active lease of an address in this pool.
+ * @memberOf Pool
+ * @param {Number|String|IP} ip Leased address
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {?Object} Lease with the 'ip', its 'expires' time (null if it does
+ *   not expire) and 'data'. Null if the address is not leased or the lease
+ *   has expired.
  */
-IP.prototype.format = function (rad) {
-	return IP.format(this, rad);
+Pool.prototype.getLease = function (ip, options) {
+	ip = IP.parse(ip);
+	var lease = ip === null ? undefined : this.leases[ip];
+	if (lease === undefined || (lease.expires !== null && lease.expires <= Pool.getTime(options))) {
+		return null;
+	}
+	return {
+		ip: lease.ip,
+		expires: lease.expires,
+		data: lease.data
+	};
 };
 
 /**
- * Get an IP object representing the next address after this IP.
- * @memberOf IP
- * @return {?IP} Next IP address or null if given IP is max value
+ * Get every active lease in this pool.
+ * @memberOf Pool
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {Object[]} Leases in address order, see {@link Pool#getLease}
  */
-IP.prototype.next = function () {
-	return IP.next(this);
+Pool.prototype.getLeases = function (options) {
+	var pool = this;
+	return Object.keys(this.leases).map(Number).sort(function (left, right) {
+		return left - right;
+	}).map(function (value) {
+		return pool.getLease(value, options);
+	}).filter(function (lease) {
+		return lease !== null;
+	});
 };
 
 /**
- * Get an IP object representing the previous address before this IP.
- * @memberOf IP
- * @return {?IP} Previous IP address or null if given IP is min value
+ * Determine if an address of this pool can be leased. It must be in the pool,
+ *   not reserved, and not leased unless the lease has expired.
+ * @memberOf Pool
+ * @param {Number|String|IP} ip Address to check
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {Boolean} True if the address is free
  */
-IP.prototype.prev = function () {
-	return IP.prev(this);
+Pool.prototype.isAvailable = function (ip, options) {
+	if (this.addresses === null || !this.addresses.contains(ip)) {
+		return false;
+	}
+	return this.getLease(ip, options) === null;
 };
 
 /**
- * Determine if this IP address has the same value as another.
- * @memberOf IP
- * @param {Number|String|IP} other IP to compare
- * @return {Boolean} IPs are equal
+ * Lease an address of this pool: either a specific address, or the lowest
+ *   free one.
+ * @memberOf Pool
+ * @param {Object} [options] Lease options
+ * @param {Number|String|IP} [options.ip] Address to lease
+ * @param {Number} [options.ttl] Time the lease lasts for in milliseconds
+ * @param {Number} [options.expires] Time the lease expires in milliseconds
+ *   since the epoch. Leases do not expire if neither this nor a 'ttl' is given.
+ * @param {*} [options.data] Metadata to keep with the lease. Must be JSON
+ *   serializable for the pool to be saved.
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {?Object} New lease, see {@link Pool#getLease}. Null if the address
+ *   is not available, or if no address is free.
  */
-IP.prototype.equals = function (other) {
-	return IP.equal(this, other);
+Pool.prototype.allocate = function (options) {
+	options = options || {};
+	var value = options.ip === undefined ? this.findFree(options) : IP.parse(options.ip);
+	if (value === null || !this.isAvailable(value, options)) {
+		return null;
+	}
+	this.leases[value] = {
+		ip: IP.of(value),
+		expires: Pool.getExpiry(options),
+		data: options.data === undefined ? null : options.data
+	};
+	trackExpiry(this, value);
+	return this.getLease(value, options);
 };
 
 /**
- * Compare the raw value of this IP against another.
- * @memberOf IP
- * @param {Number|String|IP} other IP to compare
- * @return {Number} -1 if this is less than 'other', 1 if greater, 0 otherwise
+ * Find the lowest free address of this pool. The search resumes from where
+ *   the last one stopped, and only starts over once a lease before that point
+ *   may have expired, so filling a pool takes linear time.
+ * @memberOf Pool
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {?Number} Raw value of the address. Null if no address is free.
  */
-IP.prototype.compare = function (other) {
-	return IP.compare(this, other);
+Pool.prototype.findFree = function (options) {
+	var ranges = this.addresses ? this.addresses.ranges : [];
+	var now = Pool.getTime(options);
+	if (now >= this.nextExpiry) {
+		this.nextFree = this.range.first.value;
+		this.nextExpiry = Infinity;
+	}
+	for (var i = 0; i < ranges.length; i++) {
+		var value = Math.max(ranges[i].first.value, this.nextFree);
+		for (; value <= ranges[i].last.value; value++) {
+			var lease = this.leases[value];
+			if (lease === undefined || (lease.expires !== null && lease.expires <= now)) {
+				this.nextFree = value;
+				return value;
+			}
+			if (lease.expires !== null) {
+				this.nextExpiry = Math.min(this.nextExpiry, lease.expires);
+			}
+		}
+		this.nextFree = Math.max(this.nextFree, value);
+	}
+	return null;
 };
 
 /**
- * Determine if this IP's value is less than another.
- * @memberOf IP
- * @param {Number|String|IP} other IP to compare
- * @return {Boolean} True if this IP's value is less than the other
+ * Keep the search for free addresses correct after the lease of an address
+ *   was set, in case it now expires earlier than every lease that the search
+ *   has already skipped.
+ * @private
+ * @param {Pool} pool Pool the address is leased from
+ * @param {Number} value Raw value of the leased address
  */
-IP.prototype.lt = function (other) {
-	return IP.lt(this, other);
+var trackExpiry = function (pool, value) {
+	var expires = pool.leases[value].expires;
+	if (value < pool.nextFree && expires !== null) {
+		pool.nextExpiry = Math.min(pool.nextExpiry, expires);
+	}
 };
 
 /**
- * Determine if this IP's value is less than or equal to another.
- * @memberOf IP
- * @param {Number|String|IP} other IP to compare
- * @return {Boolean} True if this IP's value is less than or equal to the other
+ * Extend or change the expiry of an active lease, and optionally replace its
+ *   metadata.
+ * @memberOf Pool
+ * @param {Number|String|IP} ip Leased address
+ * @param {Object} [options] Lease options, see {@link Pool#allocate}
+ * @return {?Object} Renewed lease. Null if the address is not leased.
  */
-IP.prototype.lte = function (other) {
-	return IP.lte(this, other);
+Pool.prototype.renew = function (ip, options) {
+	var lease = this.getLease(ip, options);
+	if (lease === null) {
+		return null;
+	}
+	options = options || {};
+	this.leases[lease.ip.value] = {
+		ip: lease.ip,
+		expires: Pool.getExpiry(options),
+		data: options.data === undefined ? lease.data : options.data
+	};
+	trackExpiry(this, lease.ip.value);
+	return this.getLease(ip, options);
 };
 
 /**
- * Determine if this IP's value is greater than another.
- * @memberOf IP
- * @param {Number|String|IP} other IP to compare
- * @return {Boolean} True if this IP's value is greater than the other
+ * Release the lease of an address, making it free again.
+ * @memberOf Pool
+ * @param {Number|String|IP} ip Leased address
+ * @return {Boolean} True if the address was leased
  */
-IP.prototype.gt = function (other) {
-	return IP.gt(this, other);
+Pool.prototype.release = function (ip) {
+	ip = IP.parse(ip);
+	if (ip === null || !this.leases.hasOwnProperty(ip)) {
+		return false;
+	}
+	delete this.leases[ip];
+	this.nextFree = Math.min(this.nextFree, ip);
+	return true;
 };
 
 /**
- * Determine if this IP's value is greater than or equal to another.
- * @memberOf IP
- * @param {Number|String|IP} other IP to compare
- * @return {Boolean} True if this IP's value is greater than or equal to the
- *   other
+ * Release every lease that has expired.
+ * @memberOf Pool
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {IP[]} Released addresses in address order
  */
-IP.prototype.gte = function (other) {
-	return IP.gte(this, other);
+Pool.prototype.expire = function (options) {
+	var pool = this;
+	var now = Pool.getTime(options);
+	return Object.keys(this.leases).map(Number).sort(function (left, right) {
+		return left - right;
+	}).filter(function (value) {
+		var expires = pool.leases[value].expires;
+		return expires !== null && expires <= now;
+	}).map(function (value) {
+		var ip = pool.leases[value].ip;
+		pool.release(value);
+		return ip;
+	});
 };
 
 /**
- * Get the inverse IP of this IP. All 1 bits are switched off and vice-versa.
- * @memberOf IP
- * @return {?IP} Inverse IP
+ * Get the number of addresses in this pool that can be leased, whether or not
+ *   they are leased now.
+ * @memberOf Pool
+ * @return {?Number} Number of addresses
  */
-IP.prototype.not = function () {
-	return IP.not(this);
+Pool.prototype.getSize = function () {
+	return this.addresses && this.addresses.getSize();
 };
 
 /**
- * Determine if the value of this IP address is valid.
- * @memberOf IP
+ * Get the number of addresses in this pool that are free to lease.
+ * @memberOf Pool
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {?Number} Number of free addresses
+ */
+Pool.prototype.getFreeCount = function (options) {
+	var size = this.getSize();
+	return size === null ? null : size - this.getLeases(options).length;
+};
+
+/**
+ * Get a snapshot of this pool that can be saved as JSON and restored with
+ *   {@link Pool.fromJSON}. Expired leases are left out.
+ * @memberOf Pool
+ * @param {Object} [options] Lease options
+ * @param {Number} [options.now=Date.now()] Current time in milliseconds
+ * @return {?Object} Snapshot with the 'range', 'reserved' addresses and
+ *   'leases'. Null if this pool is invalid.
+ */
+Pool.prototype.toJSON = function (options) {
+	if (this.range === null) {
+		return null;
+	}
+	return {
+		range: this.range.toString(),
+		reserved: this.reserved.ranges.map(function (range) {
+			return range.toString();
+		}),
+		leases: this.getLeases(typeof options === 'object' ? options : undefined).map(function (lease) {
+			return {
+				ip: lease.ip.toString(),
+				expires: lease.expires,
+				data: lease.data
+			};
+		})
+	};
+};
+
+/**
+ * Determine if this pool is valid.
+ * @memberOf Pool
  * @return {Boolean} True if valid
  */
-IP.prototype.isValid = function () {
-	return IP.isValid(this);
+Pool.prototype.isValid = function () {
+	return this.range !== null;
 };
 
 /**
- * IP address mask constructor. Can be given a number, an IP object, another
- *   Mask object, an IP-like string or a numeric string. Will default to no
- *   value (i.e. mask zero bits).
- * @module Mask
+ * Target specification constructor. Represents the addresses described by an
+ *   nmap-style target specification: a list of targets separated by
+ *   whitespace or commas, where each target is an address, a CIDR block, or
+ *   four octets that can each be a number, a range ("1-3", "-3" or "250-"), a
+ *   comma list of these, or "*" for any value. Addresses are never listed up
+ *   front, so even very large specifications are cheap to count and iterate.
+ * @module TargetSpec
  * @constructor
- * @param {Number|String|IP|Mask} [input=0] Mask value
+ * @param {String|String[]|TargetSpec} [input=""] Target specification
+ * @param {Object} [options] Parsing options, see {@link TargetSpec.parse}
  * @example
  *
- * var subnet = Mask('255.255.255.0');     // 'new' not required
- * var loopback = new Mask('127.0.0.0/8'); // input can be an IP/mask pair
- * var first24 = new Mask(24);             // input can be a number
+ * var lan = TargetSpec('192.168.1-3.10-20');                  // 'new' not required
+ * var hosts = new TargetSpec('10.0.*.1, 172.16.0.0/30');      // targets can be listed
+ * var rest = new TargetSpec('10.0.0.*', { exclude: '10.0.0.1,254' });
+ *
+ * lan.getSize(); // 33
+ * for (var ip of hosts) {
+ *     // IP objects from 10.0.0.1 to 172.16.0.3, in order
+ * }
  */
-var Mask = IP.Mask = function Mask (input) {
-	if (!(this instanceof Mask)) {
-		return new Mask(input);
+var TargetSpec = IP.TargetSpec = function TargetSpec (input, options) {
+	if (!(this instanceof TargetSpec)) {
+		return new TargetSpec(input, options);
 	}
-	this.value = Mask.parse(input || 0);
+	var parsed = TargetSpec.parse(input || '', options);
+	this.include = parsed && parsed.include;
+	this.exclude = parsed && parsed.exclude;
 };
 
 /**
- * The minimum value a mask can have. Represents no bits masked.
- * @memberOf Mask
+ * Parse a target specification and get the targets it includes and excludes.
+ *   Each target is a box: a list of the intervals each of the four octets can
+ *   take.
+ * @memberOf TargetSpec
  * @static
- * @type {Number}
+ * @param {String|String[]|TargetSpec} input Target specification
+ * @param {Object} [options] Parsing options
+ * @param {String|String[]} [options.exclude] Targets to leave out
+ * @param {Boolean} [options.throws=false] Throw an {@link IPParseError}
+ *   instead of returning null
+ * @return {?Object} Object with the 'include' and 'exclude' boxes. Null if any
+ *   target is invalid.
+ * @throws {IPParseError} If a target is invalid and the 'throws' option is set
  */
-Mask.MIN_VALUE = 0;
+TargetSpec.parse = function (input, options) {
+	var exclude = options && options.exclude;
+	var include;
+	exclude = (exclude === undefined || exclude === null) ?
+		[] :
+		TargetSpec.parseTargets(exclude, options);
+	if (input instanceof TargetSpec) {
+		include = input.include;
+		exclude = exclude && input.exclude && input.exclude.concat(exclude);
+	}
+	else {
+		include = TargetSpec.parseTargets(input, options);
+	}
+	if (include === null || exclude === null) {
+		return null;
+	}
+	return {
+		include: include,
+		exclude: exclude
+	};
+};
 
 /**
- * The maximum value a mask can have. Represents all bits masked.
- * @memberOf Mask
+ * Parse a list of targets into boxes, see {@link TargetSpec.parse}.
+ * @memberOf TargetSpec
  * @static
- * @type {Number}
+ * @param {String|String[]} input Target specification
+ * @param {Object} [options] Parsing options
+ * @param {Boolean} [options.throws=false] Throw an {@link IPParseError}
+ *   instead of returning null
+ * @return {?Object[][][]} Boxes of the targets. Null if any target is
+ *   invalid.
+ * @throws {IPParseError} If a target is invalid and the 'throws' option is set
  */
-Mask.MAX_VALUE = 0x20;
+TargetSpec.parseTargets = function (input, options) {
+	var boxes = [];
+	var fail = function (position) {
+		if (options && options.throws) {
+			throw new IPParseError('INVALID_FORMAT', input, position);
+		}
+		return null;
+	};
+	if (Array.isArray(input)) {
+		input = input.join(' ');
+	}
+	if (typeof input !== 'string') {
+		return fail(0);
+	}
+	var token = /\S+/g;
+	var match;
+	while ((match = token.exec(input)) !== null) {
+		var box = TargetSpec.parseTarget(match[0]);
+		if (box !== null) {
+			boxes.push(box);
+			continue;
+		}
+		// a comma that does not separate octet values separates targets
+		var pieces = match[0].split(',');
+		var position = match.index;
+		for (var i = 0; i < pieces.length; i++) {
+			box = TargetSpec.parseTarget(pieces[i]);
+			if (box === null && pieces[i] === '' && pieces.length > 1) {
+				// whitespace after a comma, as in "10.0.0.1, 10.0.0.2"
+				position += 1;
+				continue;
+			}
+			if (box === null) {
+				return fail(position);
+			}
+			boxes.push(box);
+			position += pieces[i].length + 1;
+		}
+	}
+	return boxes;
+};
 
 /**
- * Parse a mask and get its raw value. Input can be a Mask object, a number,
- *   or an IP-like value.
- * @memberOf Mask
+ * Parse a single target into a box of octet intervals. The target can be a
+ *   CIDR block in dotted decimal, or four octet specifications.
+ * @memberOf TargetSpec
  * @static
- * @param {Number|String|IP|Mask} input Mask to parse
- * @return {?Number} Raw value
+ * @param {String} target Target to parse
+ * @return {?Object[][]} Four lists of intervals with raw 'first' and 'last'
+ *   octet values. Null if the target is invalid.
+ * @example
+ *
+ * TargetSpec.parseTarget('10.0.*.1-3,7');
+ * // [ [{ first: 10, last: 10 }], [{ first: 0, last: 0 }],
+ * //   [{ first: 0, last: 255 }], [{ first: 1, last: 3 }, { first: 7, last: 7 }] ]
  */
-Mask.parse = function (input) {
-	if (input === null) {
+TargetSpec.parseTarget = function (target) {
+	var box = [];
+	var slashIndex = target.indexOf('/');
+	if (slashIndex > -1) {
+		var address = target.substring(0, slashIndex);
+		var prefix = target.substring(slashIndex + 1);
+		if (IP.validate(address, { strict: true }) !== null || !/^[0-9]{1,2}$/.test(prefix)) {
+			return null;
+		}
+		var subnet = new Subnet(address, Number(prefix));
+		if (subnet.ip === null) {
+			return null;
+		}
+		var first = IP.getParts(subnet.getNetwork());
+		var last = IP.getParts(subnet.getBroadcast());
+		for (var j = 0; j < 4; j++) {
+			box.push([{ first: first[j], last: last[j] }]);
+		}
+		return box;
+	}
+	var parts = target.split('.');
+	if (parts.length !== 4) {
 		return null;
 	}
-	if (!isNaN(input) && input <= Mask.MAX_VALUE) {
-		return Number(input);
+	for (var i = 0; i < 4; i++) {
+		var intervals = TargetSpec.parseOctet(parts[i]);
+		if (intervals === null) {
+			return null;
+		}
+		box.push(intervals);
 	}
-	input = String(input);
-	var slashIndex = input.indexOf('/');
-	if (slashIndex > -1) {
-		input = input.substring(slashIndex + 1);
-		return Mask.parse(input);
+	return box;
+};
+
+/**
+ * Parse the specification of a single octet: a number, a range, a comma list
+ *   of these or "*". Either end of a range can be left out, meaning 0 or 255.
+ * @memberOf TargetSpec
+ * @static
+ * @param {String} part Octet specification
+ * @return {?Object[]} Sorted, merged intervals with raw 'first' and 'last'
+ *   values. Null if the specification is invalid.
+ * @example
+ *
+ * TargetSpec.parseOctet('1-3,2-5,250-'); // [{ first: 1, last: 5 }, { first: 250, last: 255 }]
+ */
+TargetSpec.parseOctet = function (part) {
+	var items = part === '*' ? ['-'] : part.split(',');
+	var intervals = [];
+	var parseValue = function (value, fallback) {
+		if (value === '') {
+			return fallback;
+		}
+		if (!/^[0-9]{1,3}$/.test(value) || Number(value) > 0xff) {
+			return null;
+		}
+		return Number(value);
+	};
+	for (var i = 0; i < items.length; i++) {
+		var bounds = items[i].split('-');
+		if (bounds.length > 2 || items[i] === '') {
+			return null;
+		}
+		var first = parseValue(bounds[0], 0);
+		var last = bounds.length === 2 ? parseValue(bounds[1], 0xff) : first;
+		if (first === null || last === null || first > last) {
+			return null;
+		}
+		intervals.push({ first: first, last: last });
 	}
-	var inverse = IP.not(input);
-	var bits = Math.ceil(Math.log(inverse + 1) / Math.LN2);
-	var value = Mask.MAX_VALUE - bits;
-	return value;
+	return AddressSet.normalize(intervals);
 };
 
 /**
- * Get the formatted string for a given mask in dotted decimal form.
- * @memberOf Mask
- * @param {Number|String|IP|Mask} input Mask to parse
- * @return {?Number} Formatted mask
+ * Count the addresses in a union of boxes, counting addresses covered by more
+ *   than one box once. The octet values are split into segments covered by
+ *   the same boxes, and each segment is counted from the octets below it.
+ * @memberOf TargetSpec
+ * @static
+ * @param {Object[][][]} boxes Boxes to count
+ * @param {Number} [level=0] Octet to start from
+ * @return {Number} Number of addresses
  */
-Mask.format = function (input) {
-	input = Mask.parse(input);
-	if (isNaN(input) || input === null) {
+TargetSpec.count = function (boxes, level) {
+	level = level || 0;
+	if (boxes.length === 0 || level === 4) {
+		return boxes.length ? 1 : 0;
+	}
+	var points = [];
+	boxes.forEach(function (box) {
+		box[level].forEach(function (interval) {
+			points.push(interval.first, interval.last + 1);
+		});
+	});
+	points.sort(function (left, right) {
+		return left - right;
+	});
+	var total = 0;
+	for (var i = 0; i < points.length - 1; i++) {
+		if (points[i] === points[i + 1]) {
+			continue;
+		}
+		var active = [];
+		for (var j = 0; j < boxes.length; j++) {
+			if (TargetSpec.findInterval(boxes[j][level], points[i]) !== null) {
+				active.push(boxes[j]);
+			}
+		}
+		if (active.length) {
+			total += (points[i + 1] - points[i]) * TargetSpec.count(active, level + 1);
+		}
+	}
+	return total;
+};
+
+/**
+ * Find the interval that contains a value.
+ * @memberOf TargetSpec
+ * @static
+ * @param {Object[]} intervals Sorted intervals to search
+ * @param {Number} value Value to find
+ * @return {?Object} Interval containing the value
+ */
+TargetSpec.findInterval = function (intervals, value) {
+	for (var i = 0; i < intervals.length; i++) {
+		if (value >= intervals[i].first && value <= intervals[i].last) {
+			return intervals[i];
+		}
+	}
+	return null;
+};
+
+/**
+ * Get the lowest address in a box that is greater than or equal to a value.
+ * @memberOf TargetSpec
+ * @static
+ * @param {Object[][]} box Box to search
+ * @param {Number[]} octets Octets of the value
+ * @param {Number} [level=0] Octet to start from
+ * @return {?Number[]} Octets of the address. Null if there is none.
+ */
+TargetSpec.ceil = function (box, octets, level) {
+	level = level || 0;
+	if (level === 4) {
+		return [];
+	}
+	var ceilOctet = function (value) {
+		for (var i = 0; i < box[level].length; i++) {
+			if (box[level][i].last >= value) {
+				return Math.max(value, box[level][i].first);
+			}
+		}
 		return null;
+	};
+	var value = ceilOctet(octets[level]);
+	if (value === octets[level] && value !== null) {
+		var rest = TargetSpec.ceil(box, octets, level + 1);
+		if (rest !== null) {
+			return [value].concat(rest);
+		}
+		value = ceilOctet(octets[level] + 1);
 	}
-	var bits = Mask.MAX_VALUE - input;
-	var value = Math.pow(2, bits) - 1;
-	var inverse = IP.not(value);
-	var formatted = IP.format(inverse);
-	return formatted;
+	if (value === null) {
+		return null;
+	}
+	var result = [value];
+	for (var l = level + 1; l < 4; l++) {
+		result.push(box[l][0].first);
+	}
+	return result;
 };
 
 /**
- * Determine if two masks have the same value.
- * @memberOf Mask
+ * Get the last address of the contiguous run of addresses in a box that
+ *   starts at an address in the box.
+ * @memberOf TargetSpec
  * @static
- * @param {Number|String|IP|Mask} left First mask to compare
- * @param {Number|String|IP|Mask} right Second mask to compare
- * @return {Boolean} The masks are equal
+ * @param {Object[][]} box Box to search
+ * @param {Number[]} octets Octets of an address in the box
+ * @return {Number[]} Octets of the last address of the run
  */
-Mask.equal = function (left, right) {
-	left = Mask.parse(left);
-	right = Mask.parse(right);
-	return left === right;
+TargetSpec.getRunEnd = function (box, octets) {
+	var level = 3;
+	var isFull = function (intervals) {
+		return intervals.length === 1 && intervals[0].first === 0 && intervals[0].last === 0xff;
+	};
+	while (level > 0 && isFull(box[level])) {
+		level--;
+	}
+	var end = octets.slice(0, level);
+	end.push(TargetSpec.findInterval(box[level], octets[level]).last);
+	while (end.length < 4) {
+		end.push(0xff);
+	}
+	return end;
 };
 
 /**
- * Get the raw value of this mask.
- * @memberOf Mask
+ * Get the raw value of an address from its octets.
+ * @memberOf TargetSpec
+ * @static
+ * @param {Number[]} octets Octets of the address
  * @return {Number} Raw value
  */
-Mask.prototype.valueOf = function () {
-	return Number(this.value);
+TargetSpec.fromOctets = function (octets) {
+	return ((octets[0] * 0x100 + octets[1]) * 0x100 + octets[2]) * 0x100 + octets[3];
 };
 
 /**
- * Get the string representation of this mask.
- * @memberOf Mask
- * @return {?String} String representation
+ * Determine if a box contains an address.
+ * @memberOf TargetSpec
+ * @static
+ * @param {Object[][]} box Box to search
+ * @param {Number[]} octets Octets of the address
+ * @return {Boolean} True if the address is in the box
  */
-Mask.prototype.toString = function () {
-	return this.format();
+TargetSpec.boxContains = function (box, octets) {
+	for (var i = 0; i < 4; i++) {
+		if (TargetSpec.findInterval(box[i], octets[i]) === null) {
+			return false;
+		}
+	}
+	return true;
 };
 
 /**
- * Format this IP mask.
- * @memberOf Mask
- * @return {?String} Dotted decimal
+ * Get the number of addresses in this specification, without listing them.
+ * @memberOf TargetSpec
+ * @return {?Number} Number of addresses. Null if the specification is invalid.
  */
-Mask.prototype.format = function () {
-	return Mask.format(this);
+TargetSpec.prototype.getSize = function () {
+	if (this.include === null) {
+		return null;
+	}
+	// |include - exclude| = |include + exclude| - |exclude|
+	return TargetSpec.count(this.include.concat(this.exclude)) -
+		TargetSpec.count(this.exclude);
 };
 
 /**
- * Determine if this mask has the same value as another.
- * @memberOf Mask
- * @param {Number|String|IP|Mask} other Mask to compare
- * @return {Boolean} Masks are equal
+ * Determine if this specification contains an IP address.
+ * @memberOf TargetSpec
+ * @param {Number|String|IP} ip Address to find
+ * @return {Boolean} True if the address is included and not excluded
  */
-Mask.prototype.equals = function (other) {
-	return Mask.equal(this, other);
+TargetSpec.prototype.contains = function (ip) {
+	var octets = IP.getParts(ip);
+	var within = function (box) {
+		return TargetSpec.boxContains(box, octets);
+	};
+	if (this.include === null || octets === null) {
+		return false;
+	}
+	return this.include.some(within) && !this.exclude.some(within);
+};
+
+/**
+ * Get the lowest address in this specification that is greater than or equal
+ *   to a value.
+ * @memberOf TargetSpec
+ * @param {Number|String|IP} ip Address to start from
+ * @return {?IP} Next address. Null if there is none.
+ */
+TargetSpec.prototype.ceil = function (ip) {
+	var value = IP.parse(ip);
+	var include = this.include || [];
+	var exclude = this.exclude || [];
+	while (value !== null && value <= IP.MAX_VALUE) {
+		var octets = IP.getParts(value);
+		var next = null;
+		for (var i = 0; i < include.length; i++) {
+			var candidate = TargetSpec.ceil(include[i], octets);
+			if (candidate !== null && (next === null || TargetSpec.fromOctets(candidate) < TargetSpec.fromOctets(next))) {
+				next = candidate;
+			}
+		}
+		if (next === null) {
+			return null;
+		}
+		var excluded = null;
+		for (var j = 0; j < exclude.length && excluded === null; j++) {
+			if (TargetSpec.boxContains(exclude[j], next)) {
+				excluded = exclude[j];
+			}
+		}
+		if (excluded === null) {
+			return new IP(TargetSpec.fromOctets(next));
+		}
+		value = TargetSpec.fromOctets(TargetSpec.getRunEnd(excluded, next)) + 1;
+	}
+	return null;
+};
+
+/**
+ * Get an iterator over the addresses in this specification, in order and
+ *   without duplicates. Addresses are found as they are needed.
+ * @memberOf TargetSpec
+ * @return {Object} Iterator giving IP objects
+ */
+TargetSpec.prototype.iterator = function () {
+	var spec = this;
+	var next = this.ceil(IP.MIN_VALUE);
+	var iterator = {
+		next: function () {
+			if (next === null) {
+				return { value: undefined, done: true };
+			}
+			var value = next;
+			next = value.value < IP.MAX_VALUE ? spec.ceil(value.value + 1) : null;
+			return { value: value, done: false };
+		}
+	};
+	if (typeof Symbol === 'function' && Symbol.iterator) {
+		iterator[Symbol.iterator] = function () {
+			return this;
+		};
+	}
+	return iterator;
+};
+
+if (typeof Symbol === 'function' && Symbol.iterator) {
+	TargetSpec.prototype[Symbol.iterator] = TargetSpec.prototype.iterator;
+}
+
+/**
+ * Call a function for every address in this specification, in order.
+ * @memberOf TargetSpec
+ * @param {Function} callback Called with each IP and its index
+ * @param {*} [thisArg] Value of 'this' in the callback
+ */
+TargetSpec.prototype.forEach = function (callback, thisArg) {
+	var iterator = this.iterator();
+	var index = 0;
+	for (var step = iterator.next(); !step.done; step = iterator.next()) {
+		callback.call(thisArg, step.value, index++);
+	}
+};
+
+/**
+ * Determine if this specification is valid.
+ * @memberOf TargetSpec
+ * @return {Boolean} True if valid
+ */
+TargetSpec.prototype.isValid = function () {
+	return this.include !== null;
 };
 
 return IP;
@@ -0,0 +1,81 @@
+QUnit.module('AddressSet');
+
+var AddressSet = IP.AddressSet;
+
+QUnit.test('AddressSet()', function (assert) {
+	var a = new AddressSet(['10.0.0.0/8']);
+	assert.ok(a instanceof AddressSet, 'Can be constructed');
+	var b = AddressSet(['10.0.0.0/8']);
+	assert.ok(b instanceof AddressSet, 'Can be constructed without "new" keyword');
+	assert.ok(a.ranges[0] instanceof IP.Range, 'Has ranges');
+	var c = new AddressSet();
+	assert.equal(c.getSize(), 0, 'Default is empty');
+	var d = new AddressSet('192.168.0.0/16');
+	assert.equal(d.getSize(), 65536, 'Can be initialized with a single value');
+	var e = new AddressSet(['1.2.3.4', '10.0.0.0/255.0.0.0', '5.0.0.1-5.0.0.9', new IP.Subnet('6.0.0.0/24')]);
+	assert.equal(e.ranges.length, 4, 'Accepts addresses, subnets and ranges');
+	assert.equal(new AddressSet(['1.2.3.4.5']).ranges, null, 'Invalid input');
+});
+
+QUnit.test('AddressSet.summarize()', function (assert) {
+	var format = function (input) {
+		return AddressSet.summarize(input).map(String);
+	};
+	assert.deepEqual(format(['10.0.0.0/25', '10.0.0.128/25']), ['10.0.0.0/24'], 'Adjacent blocks');
+	assert.deepEqual(format(['10.0.0.0/24', '10.0.0.0/25', '10.0.0.7']), ['10.0.0.0/24'], 'Overlapping blocks');
+	assert.deepEqual(format(['10.0.1.0/24', '10.0.0.0/24', '10.0.2.0/24']), ['10.0.0.0/23', '10.0.2.0/24'], 'Unsorted blocks');
+	assert.deepEqual(format(['10.0.0.1', '10.0.0.2', '10.0.0.3']), ['10.0.0.1/32', '10.0.0.2/31'], 'Single addresses');
+	assert.deepEqual(format([]), [], 'Empty set');
+	assert.equal(AddressSet.summarize(['nope']), null, 'Invalid input');
+});
+
+QUnit.test('AddressSet.subtract()', function (assert) {
+	var internet = AddressSet.subtract(['0.0.0.0/0'], ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16']);
+	assert.equal(internet.getSize(), 0x100000000 - 0x1000000 - 0x100000 - 0x10000, 'Size after subtraction');
+	assert.ok(internet.contains('8.8.8.8'), 'Keeps public address');
+	assert.ok(!internet.contains('10.1.2.3'), 'Removes 10/8');
+	assert.ok(!internet.contains('172.20.0.1'), 'Removes 172.16/12');
+	assert.ok(!internet.contains('192.168.255.255'), 'Removes 192.168/16');
+	assert.ok(internet.contains('192.169.0.0'), 'Keeps address after removal');
+	assert.equal(AddressSet.subtract(['10.0.0.0/24'], ['10.0.0.0/25']).toString(), '10.0.0.128/25', 'Removes first half');
+	assert.equal(AddressSet.subtract(['10.0.0.0/24'], ['10.0.0.0/24']).toString(), '', 'Removes everything');
+	assert.equal(AddressSet.subtract(['10.0.0.0/30'], ['10.0.0.1']).toString(), '10.0.0.0/32, 10.0.0.2/31', 'Removes from middle');
+	assert.equal(AddressSet.subtract(['10.0.0.0/30', '10.0.1.0/30'], ['10.0.0.2-10.0.1.1']).toString(), '10.0.0.0/31, 10.0.1.2/31', 'Removal spans ranges');
+});
+
+QUnit.test('AddressSet.intersect()', function (assert) {
+	assert.equal(AddressSet.intersect(['10.0.0.0/8'], ['10.1.0.0/16', '11.0.0.0/8']).toString(), '10.1.0.0/16', 'Contained block');
+	assert.equal(AddressSet.intersect(['10.0.0.0-10.0.0.9'], ['10.0.0.5-10.0.0.20']).toString(), '10.0.0.5/32, 10.0.0.6/31, 10.0.0.8/31', 'Overlapping ranges');
+	assert.equal(AddressSet.intersect(['10.0.0.0/8'], ['11.0.0.0/8']).getSize(), 0, 'Disjoint sets');
+});
+
+QUnit.test('AddressSet.union()', function (assert) {
+	var set = new AddressSet(['10.0.0.0/25']).union(['10.0.0.128/25']);
+	assert.equal(set.toString(), '10.0.0.0/24', 'Merges sets');
+	assert.ok(set.equals(['10.0.0.0-10.0.0.255']), 'Equal to covering range');
+});
+
+QUnit.test('AddressSet.contains()', function (assert) {
+	var set = new AddressSet(['10.0.0.0/8', '192.168.0.0/16', '1.2.3.4']);
+	assert.ok(set.contains('10.255.255.255'), 'First block');
+	assert.ok(set.contains('192.168.1.1'), 'Last block');
+	assert.ok(set.contains('1.2.3.4'), 'Single address');
+	assert.ok(!set.contains('1.2.3.5'), 'Between blocks');
+	assert.ok(!set.contains('200.0.0.1'), 'After blocks');
+	assert.ok(!set.contains('1.2.3.4.5'), 'Invalid address');
+	assert.ok(AddressSet.contains(['192.168.0.0/16', '10.0.0.0/8'], '10.1.1.1'), 'Unsorted list of ranges');
+	assert.ok(!AddressSet.contains(['192.168.0.0/16', '10.0.0.0/8'], '11.0.0.0'), 'Address not in list');
+	assert.ok(!new AddressSet(['garbage']).contains('10.0.0.1'), 'Invalid set');
+	var large = [];
+	for (var i = 0; i < 5000; i++) {
+		large.push(i * 1000 + '-' + (i * 1000 + 9));
+	}
+	var lookups = new AddressSet(large);
+	var found = 0;
+	for (var j = 0; j < 5000; j++) {
+		if (lookups.contains(j * 1000 + 9) && !lookups.contains(j * 1000 + 10)) {
+			found++;
+		}
+	}
+	assert.equal(found, 5000, 'Many lookups in a large set');
+});
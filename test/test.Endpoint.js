@@ -0,0 +1,106 @@
+QUnit.module('Endpoint');
+
+var Endpoint = IP.Endpoint;
+
+QUnit.test('Endpoint()', function (assert) {
+	var a = new Endpoint('192.168.1.5:8080');
+	assert.ok(a instanceof Endpoint, 'Can be constructed');
+	var b = Endpoint('192.168.1.5:8080');
+	assert.ok(b instanceof Endpoint, 'Can be constructed without "new" keyword');
+	assert.ok(a.ip instanceof IP, 'Has an IP');
+	assert.equal(a.port, 8080, 'Has a port');
+	assert.ok(a.equals(new Endpoint('192.168.1.5', 8080)), 'Can be initialized with address and port');
+	assert.ok(a.equals(new Endpoint(new IP('192.168.1.5'), '8080')), 'Can be initialized with IP object and port string');
+	assert.ok(a.equals(new Endpoint(a)), 'Can be initialized with another endpoint');
+	var c = new Endpoint('[::1]:443');
+	assert.ok(c.ip instanceof IP.IPv6, 'Has an IPv6 address');
+	assert.equal(c.toString(), '[::1]:443', 'Can be initialized with a bracketed IPv6 address');
+	var d = new Endpoint({ address: '127.0.0.1', family: 'IPv4', port: 3000 });
+	assert.equal(d.toString(), '127.0.0.1:3000', 'Can be initialized with an address info object');
+	assert.equal(new Endpoint('10.0.0.1:80', 8080).ip, null, 'Port cannot be given twice');
+	assert.equal(new Endpoint('nonsense').ip, null, 'Invalid endpoint has no IP');
+});
+
+QUnit.test('Endpoint.parse()', function (assert) {
+	assert.equal(Endpoint.parse('192.168.1.5:8080').port, 8080, 'IPv4 endpoint');
+	assert.equal(Endpoint.parse('[fe80::1%eth0]:22').ip.zone, 'eth0', 'IPv6 endpoint with zone');
+	assert.equal(Endpoint.parse('::1', 443).ip.format(), '::1', 'IPv6 address without brackets and separate port');
+	assert.equal(Endpoint.parse('[::1]', 443).port, 443, 'IPv6 address in brackets and separate port');
+	assert.equal(Endpoint.parse('10.0.0.1:0').port, 0, 'Minimum port');
+	assert.equal(Endpoint.parse('10.0.0.1:65535').port, 65535, 'Maximum port');
+	assert.equal(Endpoint.parse('10.0.0.1:65536'), null, 'Port out of range');
+	assert.equal(Endpoint.parse('10.0.0.1:-1'), null, 'Negative port');
+	assert.equal(Endpoint.parse('10.0.0.1:'), null, 'Empty port');
+	assert.equal(Endpoint.parse('10.0.0.1'), null, 'Missing port');
+	assert.equal(Endpoint.parse('::1:443'), null, 'IPv6 without brackets is ambiguous');
+	assert.equal(Endpoint.parse('[::1]'), null, 'IPv6 in brackets without port');
+	assert.equal(Endpoint.parse('[::1:443'), null, 'Unclosed bracket');
+	assert.equal(Endpoint.parse('[10.0.0.1]:80'), null, 'IPv4 in brackets');
+	assert.equal(Endpoint.parse('1.2.3.4.5:80'), null, 'Invalid IPv4 address');
+	assert.equal(Endpoint.parse('[::g]:80'), null, 'Invalid IPv6 address');
+	assert.equal(Endpoint.parse({ address: '::1', family: 'IPv4', port: 80 }), null, 'Address does not match family');
+	assert.equal(Endpoint.parse({ address: '::1', family: 'IPX', port: 80 }), null, 'Unknown family');
+	assert.equal(Endpoint.parse({ address: '::1', family: 6, port: 80 }).port, 80, 'Numeric family');
+	assert.equal(Endpoint.parse({ address: '::1', port: 80 }).ip.format(), '::1', 'Family detected from address');
+	assert.equal(Endpoint.parse(null), null, 'Null input');
+});
+
+QUnit.test('Endpoint.parsePort()', function (assert) {
+	assert.equal(Endpoint.parsePort(80), 80, 'Number');
+	assert.equal(Endpoint.parsePort('8080'), 8080, 'Digit string');
+	assert.equal(Endpoint.parsePort(65536), null, 'Out of range');
+	assert.equal(Endpoint.parsePort(80.5), null, 'Fractional');
+	assert.equal(Endpoint.parsePort('0x50'), null, 'Hexadecimal string');
+	assert.equal(Endpoint.parsePort(' 80'), null, 'Whitespace');
+	assert.equal(Endpoint.parsePort(undefined), null, 'Undefined');
+});
+
+QUnit.test('Endpoint.format()', function (assert) {
+	assert.equal(Endpoint.format('0xc0.168.1.5:8080'), '192.168.1.5:8080', 'IPv4 endpoint');
+	assert.equal(Endpoint.format('[0:0::1]:443'), '[::1]:443', 'IPv6 endpoint');
+	assert.equal(Endpoint.format('[fe80::1%eth0]:22'), '[fe80::1%eth0]:22', 'IPv6 endpoint with zone');
+	assert.equal(Endpoint.format('[::ffff:10.0.0.1]:80'), '[::ffff:10.0.0.1]:80', 'IPv4-mapped endpoint');
+	assert.equal(Endpoint.format('nonsense'), null, 'Invalid endpoint');
+	assert.equal(String(new Endpoint('::1', 443)), '[::1]:443', 'Can be converted to string');
+});
+
+QUnit.test('Endpoint.getVersion()', function (assert) {
+	assert.equal(Endpoint.getVersion('10.0.0.1:80'), 4, 'IPv4');
+	assert.equal(Endpoint.getVersion('[::1]:80'), 6, 'IPv6');
+	assert.equal(Endpoint.getVersion('nonsense'), null, 'Invalid endpoint');
+	assert.equal(new Endpoint('[::1]:80').getVersion(), 6, 'Prototype getVersion()');
+});
+
+QUnit.test('Endpoint.toAddressInfo() and Endpoint.fromAddressInfo()', function (assert) {
+	assert.deepEqual(Endpoint.toAddressInfo('[::1]:443'), { address: '::1', family: 'IPv6', port: 443 }, 'IPv6 address info');
+	assert.deepEqual(new Endpoint('10.0.0.1:80').toAddressInfo(), { address: '10.0.0.1', family: 'IPv4', port: 80 }, 'Prototype toAddressInfo()');
+	assert.equal(Endpoint.toAddressInfo('nonsense'), null, 'Invalid endpoint');
+	var endpoint = Endpoint.fromAddressInfo({ address: '::', family: 'IPv6', port: 8080 });
+	assert.ok(endpoint instanceof Endpoint, 'Creates an endpoint');
+	assert.equal(endpoint.toString(), '[::]:8080', 'From address info');
+	var info = { address: 'fe80::1%eth0', family: 'IPv6', port: 22 };
+	assert.deepEqual(Endpoint.toAddressInfo(Endpoint.fromAddressInfo(info)), info, 'Round trip');
+	assert.equal(Endpoint.fromAddressInfo({ address: '10.0.0.1', port: 70000 }), null, 'Invalid port');
+	assert.equal(Endpoint.fromAddressInfo('10.0.0.1:80'), null, 'Not an object');
+});
+
+QUnit.test('Endpoint.compare() and Endpoint.sort()', function (assert) {
+	assert.equal(Endpoint.compare('10.0.0.1:80', '10.0.0.1:443'), -1, 'Ordered by port');
+	assert.equal(Endpoint.compare('10.0.0.2:80', '10.0.0.1:443'), 1, 'Ordered by address first');
+	assert.equal(Endpoint.compare('[::1]:80', '10.0.0.1:80'), 1, 'IPv6 after IPv4');
+	assert.equal(Endpoint.compare('[::1]:80', '[::2]:80'), -1, 'IPv6 addresses');
+	assert.equal(Endpoint.compare('10.0.0.1:80', '10.0.0.1:80'), 0, 'Equal endpoints');
+	assert.equal(Endpoint.compare('10.0.0.1:80', 'nonsense'), null, 'Invalid endpoint');
+	assert.deepEqual(['[::1]:80', '10.0.0.1:443', '10.0.0.1:80'].sort(Endpoint.compare), ['10.0.0.1:80', '10.0.0.1:443', '[::1]:80'], 'Can sort strings');
+	assert.equal(Endpoint.sort(['[::1]:80', '10.0.0.1:443', '10.0.0.1:80']).join(', '), '10.0.0.1:80, 10.0.0.1:443, [::1]:80', 'Endpoint.sort()');
+	assert.equal(Endpoint.sort(['10.0.0.1:80', 'nonsense']), null, 'Cannot sort invalid endpoints');
+	assert.ok(Endpoint.equal('[0::1]:80', '[::1]:80'), 'Endpoint.equal()');
+	assert.ok(!Endpoint.equal('10.0.0.1:80', '10.0.0.1:81'), 'Different ports are not equal');
+	assert.equal(new Endpoint('10.0.0.1:80').compare('10.0.0.1:81'), -1, 'Prototype compare()');
+});
+
+QUnit.test('Endpoint.isValid()', function (assert) {
+	assert.ok(Endpoint.isValid('10.0.0.1:80'), 'Valid endpoint');
+	assert.ok(!Endpoint.isValid('10.0.0.1:99999'), 'Invalid endpoint');
+	assert.ok(new Endpoint('[::1]:80').isValid(), 'Prototype isValid()');
+});
@@ -12,7 +12,10 @@ QUnit.test('IP()', function (assert) {
 	var e = new IP('255.255.255.255');
 	assert.equal(e.valueOf(), 0xffffffff, 'Can be initialized with max IP');
 	var f = new IP('1.2.3.4.5');
-	assert.equal(f.valueOf(), 0, 'Invalid input will have zero value');
+	assert.equal(f.value, null, 'Invalid input will have no value');
+	assert.ok(isNaN(f.valueOf()), 'Invalid input is not a number');
+	assert.equal(new IP('').value, null, 'Empty input is not coerced to zero');
+	assert.equal(new IP(null).value, null, 'Null input is not coerced to zero');
 });
 
 QUnit.test('IP.parse()', function (assert) {
@@ -55,11 +58,12 @@ QUnit.test('IP.parseRadix()', function (assert) {
 	assert.equal(IP.parseRadix('oct'), 8, 'Octal from "oct"');
 	assert.equal(IP.parseRadix('dec'), 10, 'Decimal from "dec"');
 	assert.equal(IP.parseRadix('hex'), 16, 'Hexadecimal from "hex"');
+	assert.equal(IP.parseRadix('bin'), 2, 'Binary from "bin"');
 	assert.equal(IP.parseRadix(undefined), null, 'No value from undefined');
 	assert.equal(IP.parseRadix(null), null, 'No value from null');
 	assert.equal(IP.parseRadix(''), null, 'No value from ""');
 	assert.equal(IP.parseRadix(1), null, 'No value from 1');
-	assert.equal(IP.parseRadix(2), null, 'No value from 2');
+	assert.equal(IP.parseRadix(2), 2, 'Binary from 2');
 	assert.equal(IP.parseRadix(7), null, 'No value from 7');
 	assert.equal(IP.parseRadix(100), null, 'No value from 100');
 });
@@ -152,3 +156,438 @@ QUnit.test('IP.not()', function (assert) {
 		b('01111111111111111111111111111111')
 	);
 });
+
+QUnit.test('IP.parse() strict', function (assert) {
+	var strict = { strict: true };
+	assert.equal(IP.parse('74.125.226.4', strict), 1249763844, 'Dotted decimal');
+	assert.equal(IP.parse('0.0.0.0', strict), 0, 'Zero parts');
+	assert.equal(IP.parse(1249763844, strict), 1249763844, 'Numeric value');
+	assert.equal(IP.parse('1249763844', strict), null, 'Flat decimal');
+	assert.equal(IP.parse('192.168.072', strict), null, 'Missing part');
+	assert.equal(IP.parse('010.1.1.1', strict), null, 'Octal part');
+	assert.equal(IP.parse('0x7f.0.0.1', strict), null, 'Hexadecimal part');
+	assert.equal(IP.parse('256.0.0.1', strict), null, 'Part out of range');
+	assert.equal(IP.parseStrict('0x7f.1'), null, 'IP.parseStrict()');
+	assert.ok(IP.isValid('0x7f.1'), 'Lenient by default');
+	assert.ok(!IP.isValid('0x7f.1', strict), 'IP.isValid() in strict mode');
+	assert.equal(new IP('010.1', strict).value, null, 'Constructor in strict mode');
+});
+
+QUnit.test('IP.checkStrict()', function (assert) {
+	assert.equal(IP.checkStrict('127.0.0.1'), null, 'Valid');
+	assert.equal(IP.checkStrict('0x7f.1'), 'PART_COUNT', 'Too few parts');
+	assert.equal(IP.checkStrict('1.2.3.4.5'), 'PART_COUNT', 'Too many parts');
+	assert.equal(IP.checkStrict('1..3.4'), 'EMPTY_PART', 'Empty part');
+	assert.equal(IP.checkStrict('0x7f.0.0.1'), 'INVALID_DIGIT', 'Hexadecimal part');
+	assert.equal(IP.checkStrict('1.2.3.-4'), 'INVALID_DIGIT', 'Negative part');
+	assert.equal(IP.checkStrict(' 1.2.3.4'), 'INVALID_DIGIT', 'Whitespace');
+	assert.equal(IP.checkStrict('010.0.0.1'), 'LEADING_ZERO', 'Octal part');
+	assert.equal(IP.checkStrict('1.2.3.256'), 'PART_OUT_OF_RANGE', 'Part out of range');
+});
+
+QUnit.test('IP.validate()', function (assert) {
+	var code = function (input, options) {
+		var error = IP.validate(input, options);
+		return error && error.code;
+	};
+	assert.equal(IP.validate('74.125.226.4'), null, 'Valid address');
+	assert.equal(IP.validate(0xffffffff), null, 'Valid number');
+	assert.equal(code(''), 'EMPTY', 'Empty string');
+	assert.equal(code(null), 'EMPTY', 'Null');
+	assert.equal(code(NaN), 'NOT_A_NUMBER', 'Not a number');
+	assert.equal(code(-1), 'NEGATIVE', 'Negative number');
+	assert.equal(code(0x100000000), 'OUT_OF_RANGE', 'Number out of range');
+	assert.equal(code('1.2.3.4.5'), 'TOO_MANY_PARTS', 'Too many parts');
+	assert.equal(code('1..3.4'), 'EMPTY_PART', 'Empty part');
+	assert.equal(code('1.2.-3.4'), 'NEGATIVE', 'Negative part');
+	assert.equal(code('1.2.3a.4'), 'INVALID_DIGIT', 'Invalid decimal digit');
+	assert.equal(code('08.1.2.3'), 'INVALID_DIGIT', 'Invalid octal digit');
+	assert.equal(code('0xg.1.2.3'), 'INVALID_DIGIT', 'Invalid hexadecimal digit');
+	assert.equal(code('0x.1.2.3'), 'INVALID_DIGIT', 'Missing hexadecimal digits');
+	assert.equal(code('1.2.3.256'), 'PART_OUT_OF_RANGE', 'Last part out of range');
+	assert.equal(code('1.256.3'), 'PART_OUT_OF_RANGE', 'Middle part out of range');
+	assert.equal(code('1.2.65536'), 'PART_OUT_OF_RANGE', 'Three part address out of range');
+	assert.equal(code('1.16777216'), 'PART_OUT_OF_RANGE', 'Two part address out of range');
+	assert.equal(code('4294967296'), 'PART_OUT_OF_RANGE', 'Flat address out of range');
+	assert.equal(code('010.0.0.1', { strict: true }), 'LEADING_ZERO', 'Strict mode');
+	assert.equal(IP.validate('1.2.3.4.5').position, 8, 'Position of fifth part');
+	assert.equal(IP.validate('1.2.3a.4').position, 5, 'Position of invalid digit');
+	assert.equal(IP.validate('1.2.3.256').position, 6, 'Position of part out of range');
+});
+
+QUnit.test('IP.ParseError', function (assert) {
+	var error = IP.validate('1.2.3.4.5');
+	assert.ok(error instanceof IP.ParseError, 'Is a parse error');
+	assert.ok(error instanceof Error, 'Is an error');
+	assert.equal(error.name, 'IPParseError', 'Has a name');
+	assert.equal(error.input, '1.2.3.4.5', 'Has the input');
+	assert.equal(error.message, 'Too many parts at position 8 of "1.2.3.4.5"', 'Has a message');
+});
+
+QUnit.test('IP.parse() throws', function (assert) {
+	var throws = { throws: true };
+	assert.equal(IP.parse('1.2.3.4', throws), 0x01020304, 'Valid input does not throw');
+	assert.throws(function () {
+		IP.parse('1.2.3.4.5', throws);
+	}, IP.ParseError, 'Invalid input throws');
+	assert.throws(function () {
+		IP.parse('010.1.1.1', { strict: true, throws: true });
+	}, IP.ParseError, 'Strict mode throws');
+	assert.throws(function () {
+		new IP('1.2.3.4.5', throws);
+	}, IP.ParseError, 'Constructor throws');
+	assert.equal(IP.parse('1.2.3.4.5'), null, 'Does not throw by default');
+});
+
+QUnit.test('IP.parsePart() invalid digits', function (assert) {
+	assert.equal(IP.parsePart('08'), null, 'Do not parse "08"');
+	assert.equal(IP.parsePart('0x'), null, 'Do not parse "0x"');
+	assert.equal(IP.parsePart('12a'), null, 'Do not parse "12a"');
+	assert.equal(IP.parsePart(''), null, 'Do not parse ""');
+	assert.equal(IP.parse('1.256.3.4'), null, 'Parts are not carried into the next part');
+});
+
+QUnit.test('IP.getType()', function (assert) {
+	assert.equal(IP.getType('0.0.0.0'), 'unspecified', 'Unspecified');
+	assert.equal(IP.getType('10.1.2.3'), 'private', 'Private 10/8');
+	assert.equal(IP.getType('172.31.255.255'), 'private', 'Private 172.16/12');
+	assert.equal(IP.getType('172.32.0.0'), 'unicast', 'After private 172.16/12');
+	assert.equal(IP.getType('192.168.0.1'), 'private', 'Private 192.168/16');
+	assert.equal(IP.getType('100.64.0.1'), 'sharedAddressSpace', 'Shared address space');
+	assert.equal(IP.getType('127.0.0.1'), 'loopback', 'Loopback');
+	assert.equal(IP.getType('169.254.1.1'), 'linkLocal', 'Link local');
+	assert.equal(IP.getType('192.0.2.1'), 'documentation', 'Documentation');
+	assert.equal(IP.getType('198.18.0.1'), 'benchmarking', 'Benchmarking');
+	assert.equal(IP.getType('224.0.0.1'), 'multicast', 'Multicast');
+	assert.equal(IP.getType('240.0.0.1'), 'reserved', 'Reserved');
+	assert.equal(IP.getType('255.255.255.255'), 'broadcast', 'Limited broadcast');
+	assert.equal(IP.getType('8.8.8.8'), 'unicast', 'Global unicast');
+	assert.equal(IP.getType('1.2.3.4.5'), null, 'Invalid address');
+	assert.equal(new IP('10.0.0.1').getType(), 'private', 'Prototype getType()');
+});
+
+QUnit.test('IP.getSpecialPurpose()', function (assert) {
+	var entry = IP.getSpecialPurpose('192.0.0.9');
+	assert.equal(entry.name, 'Port Control Protocol Anycast', 'Most specific entry');
+	assert.equal(entry.rfc, 'RFC 7723', 'Has RFC');
+	assert.equal(entry.forwardable, true, 'Has forwardable flag');
+	assert.equal(entry.globallyReachable, true, 'Has globally reachable flag');
+	assert.equal(String(entry.subnet), '192.0.0.9/32', 'Has subnet');
+	assert.equal(IP.getSpecialPurposeEntries('192.0.0.9').length, 2, 'All matching entries');
+	assert.equal(IP.getSpecialPurpose('8.8.8.8'), null, 'Not special-purpose');
+	assert.ok(IP.SPECIAL_PURPOSE.length > 0, 'Registry is exposed');
+});
+
+QUnit.test('IP.isPrivate() and friends', function (assert) {
+	assert.ok(IP.isPrivate('192.168.1.1'), 'isPrivate()');
+	assert.ok(!IP.isPrivate('192.169.1.1'), 'isPrivate() public address');
+	assert.ok(IP.isLoopback('127.255.255.254'), 'isLoopback()');
+	assert.ok(IP.isLinkLocal('169.254.0.1'), 'isLinkLocal()');
+	assert.ok(IP.isMulticast('239.255.255.250'), 'isMulticast()');
+	assert.ok(!IP.isMulticast('240.0.0.0'), 'isMulticast() after multicast');
+	assert.ok(IP.isReserved('250.1.2.3'), 'isReserved()');
+	assert.ok(IP.isReserved('255.255.255.255'), 'isReserved() limited broadcast');
+	assert.ok(IP.isSharedAddressSpace('100.127.255.255'), 'isSharedAddressSpace()');
+	assert.ok(!IP.isSharedAddressSpace('100.128.0.0'), 'isSharedAddressSpace() after block');
+	assert.ok(IP.isDocumentation('203.0.113.7'), 'isDocumentation()');
+	assert.ok(IP.isGlobalUnicast('8.8.8.8'), 'isGlobalUnicast()');
+	assert.ok(IP.isGlobalUnicast('192.0.0.9'), 'isGlobalUnicast() globally reachable entry');
+	assert.ok(!IP.isGlobalUnicast('192.0.0.8'), 'isGlobalUnicast() special-purpose');
+	assert.ok(!IP.isGlobalUnicast('10.0.0.1'), 'isGlobalUnicast() private');
+	assert.ok(!IP.isGlobalUnicast('224.0.0.1'), 'isGlobalUnicast() multicast');
+	assert.ok(!IP.isPrivate('1.2.3.4.5'), 'Invalid address');
+	assert.ok(new IP('10.0.0.1').isPrivate(), 'Prototype isPrivate()');
+	assert.ok(new IP('127.0.0.1').isLoopback(), 'Prototype isLoopback()');
+	assert.ok(new IP('8.8.4.4').isGlobalUnicast(), 'Prototype isGlobalUnicast()');
+});
+
+QUnit.test('IP.and(), IP.or() and IP.xor()', function (assert) {
+	assert.equal(IP.and('192.168.1.77', '255.255.255.0').toString(), '192.168.1.0', 'AND with netmask');
+	assert.equal(IP.and('255.255.255.255', '255.255.255.255').valueOf(), 0xffffffff, 'AND keeps high bit unsigned');
+	assert.equal(new IP('192.168.1.77').and(new IP.Mask(16)).toString(), '192.168.0.0', 'AND with Mask object');
+	assert.equal(IP.or('192.168.1.0', '0.0.0.255').toString(), '192.168.1.255', 'OR with host bits');
+	assert.equal(IP.or('128.0.0.0', '0.0.0.1').valueOf(), 0x80000001, 'OR keeps high bit unsigned');
+	assert.equal(IP.xor('255.0.255.0', '255.255.0.0').toString(), '0.255.255.0', 'XOR');
+	assert.equal(IP.xor('255.255.255.255', 0).valueOf(), 0xffffffff, 'XOR keeps high bit unsigned');
+	assert.equal(IP.and('1.2.3.4.5', 0), null, 'Invalid address');
+	assert.ok(new IP('10.0.0.1').or('0.0.0.2') instanceof IP, 'Returns IP instance');
+});
+
+QUnit.test('IP.shiftLeft() and IP.shiftRight()', function (assert) {
+	assert.equal(IP.shiftLeft('0.0.0.1', 31).valueOf(), 0x80000000, 'Shift into high bit');
+	assert.equal(IP.shiftLeft('255.255.255.255', 8).toString(), '255.255.255.0', 'Discards high bits');
+	assert.equal(IP.shiftLeft('1.2.3.4', 32).valueOf(), 0, 'Shift by 32');
+	assert.equal(IP.shiftRight('255.255.255.255', 24).toString(), '0.0.0.255', 'Shift right');
+	assert.equal(IP.shiftRight('1.2.3.4', 32).valueOf(), 0, 'Shift right by 32');
+	assert.equal(IP.shiftLeft('1.2.3.4', -1), null, 'Negative bits');
+	assert.equal(IP.shiftRight('1.2.3.4', 1.5), null, 'Fractional bits');
+	assert.equal(new IP('0.0.1.0').shiftRight(8).toString(), '0.0.0.1', 'Prototype shiftRight()');
+});
+
+QUnit.test('IP.add() and IP.subtract()', function (assert) {
+	assert.equal(IP.add('10.0.0.255', 1).toString(), '10.0.1.0', 'Add with carry');
+	assert.equal(IP.add('10.0.0.0', 65536).toString(), '10.1.0.0', 'Add large offset');
+	assert.equal(IP.add('10.0.1.0', -1).toString(), '10.0.0.255', 'Add negative offset');
+	assert.equal(IP.add('255.255.255.255', 1), null, 'Overflow');
+	assert.equal(IP.add('0.0.0.0', -1), null, 'Underflow');
+	assert.equal(IP.add('255.255.255.255', 1, { wrap: true }).toString(), '0.0.0.0', 'Wrap on overflow');
+	assert.equal(IP.add('0.0.0.0', -2, { wrap: true }).toString(), '255.255.255.254', 'Wrap on underflow');
+	assert.equal(IP.add('1.2.3.4', 0.5), null, 'Fractional offset');
+	assert.equal(IP.add('1.2.3.4', '1'), null, 'String offset');
+	assert.equal(IP.subtract('10.0.1.0', 1).toString(), '10.0.0.255', 'Subtract');
+	assert.equal(IP.subtract('0.0.0.0', 1), null, 'Subtract underflow');
+	assert.equal(new IP('10.0.0.1').add(9).toString(), '10.0.0.10', 'Prototype add()');
+	assert.equal(new IP('10.0.0.10').subtract(9).toString(), '10.0.0.1', 'Prototype subtract()');
+});
+
+QUnit.test('IP.distance()', function (assert) {
+	assert.equal(IP.distance('10.0.0.0', '10.0.1.0'), 256, 'Forward distance');
+	assert.equal(IP.distance('10.0.1.0', '10.0.0.0'), -256, 'Backward distance');
+	assert.equal(IP.distance('0.0.0.0', '255.255.255.255'), 0xffffffff, 'Full distance');
+	assert.equal(IP.distance('1.2.3.4.5', '1.2.3.4'), null, 'Invalid address');
+	assert.equal(new IP('10.0.0.1').distance('10.0.0.11'), 10, 'Prototype distance()');
+});
+
+QUnit.test('IP.format() options', function (assert) {
+	var HOME = '192.168.0.1';
+	assert.equal(IP.format(HOME, 2), '11000000.10101000.00000000.00000001', 'Binary');
+	assert.equal(IP.format(HOME, { radix: 'bin', pad: false }), '11000000.10101000.0.1', 'Unpadded binary');
+	assert.equal(IP.format(HOME, { pad: true }), '192.168.000.001', 'Padded decimal');
+	assert.equal(IP.format(HOME, { radix: 16, pad: true }), '0xc0.0xa8.0x00.0x01', 'Padded hexadecimal');
+	assert.equal(IP.format(HOME, { radix: 8, pad: true }), '0300.0250.0000.0001', 'Padded octal');
+	assert.equal(IP.format(HOME, { flat: true }), '3232235521', 'Flat decimal');
+	assert.equal(IP.format(HOME, { flat: true, radix: 16 }), '0xc0a80001', 'Flat hexadecimal');
+	assert.equal(IP.format(HOME, { flat: true, radix: 8 }), '030052000001', 'Flat octal');
+	assert.equal(IP.format('10.0.0.1', { flat: true, radix: 16, pad: true }), '0x0a000001', 'Flat padded hexadecimal');
+	assert.equal(IP.format('10.0.0.1', { flat: true, pad: true }), '0167772161', 'Flat padded decimal');
+	assert.equal(IP.format('0.0.0.1', { flat: true, radix: 2 }), '00000000000000000000000000000001', 'Flat binary');
+	assert.equal(IP.format(HOME, { ptr: true }), '1.0.168.192.in-addr.arpa', 'Reverse DNS name');
+	assert.equal(IP.format(HOME, { mapped: true }), '::ffff:192.168.0.1', 'IPv4-mapped IPv6');
+	assert.equal(new IP(HOME).toString({ flat: true }), '3232235521', 'Prototype toString()');
+	assert.equal(IP.parse(IP.format(HOME, { flat: true, radix: 16, pad: true })), IP.parse(HOME), 'Flat output can be parsed');
+	assert.equal(IP.parse(IP.format(HOME, { radix: 8, pad: true })), IP.parse(HOME), 'Padded octal output can be parsed');
+	assert.equal(IP.formatPart(10, { radix: 16, pad: true }), '0x0a', 'IP.formatPart() with options');
+});
+
+QUnit.test('IP.parse() reverse DNS, radix and byte arrays', function (assert) {
+	var HOME = 3232235521;
+	assert.equal(IP.parse('1.0.168.192.in-addr.arpa'), HOME, 'Reverse DNS name');
+	assert.equal(IP.parse('1.0.168.192.IN-ADDR.ARPA.'), HOME, 'Fully qualified, upper case reverse DNS name');
+	assert.equal(IP.parse(IP.format(HOME, { ptr: true })), HOME, 'Reverse DNS output can be parsed');
+	assert.equal(IP.parse('0.168.192.in-addr.arpa'), null, 'Partial reverse DNS zone');
+	assert.equal(IP.validate('1.0.168.300.in-addr.arpa').code, 'PART_OUT_OF_RANGE', 'Reverse DNS name error code');
+	assert.ok(IP.parsePTR('4.3.2.1.in-addr.arpa') instanceof IP, 'IP.parsePTR() gives an IP object');
+	assert.equal(IP.parsePTR('4.3.2.1.in-addr.arpa').toString(), '1.2.3.4', 'IP.parsePTR() reverses the octets');
+	assert.equal(IP.parsePTR('3.2.1.in-addr.arpa'), null, 'IP.parsePTR() needs four octets');
+	assert.equal(IP.parsePTR('x.y.in-addr.arpa'), null, 'IP.parsePTR() needs decimal octets');
+	assert.equal(IP.parsePTR('0x4.3.2.1.in-addr.arpa'), null, 'IP.parsePTR() rejects hexadecimal octets');
+	assert.equal(IP.parsePTR('4.3.2.1.example.com'), null, 'IP.parsePTR() needs the in-addr.arpa domain');
+	assert.ok(IP.isPTR('3.2.1.in-addr.arpa') && !IP.isPTR('1.2.3.4'), 'IP.isPTR()');
+	assert.equal(IP.parse('11000000.10101000.00000000.00000001', { radix: 2 }), HOME, 'Binary parts');
+	assert.equal(IP.parse(IP.format(HOME, 2), { radix: 'bin' }), HOME, 'Binary output can be parsed');
+	assert.equal(IP.parse('c0.a8.0.1', { radix: 16 }), HOME, 'Hexadecimal parts without prefix');
+	assert.equal(IP.parse('192.168.0.010', { radix: 10 }), 0xc0a8000a, 'Leading zeros in decimal radix');
+	assert.equal(IP.parse('11000000.10101000.00000000.00000002', { radix: 2 }), null, 'Invalid binary digit');
+	assert.equal(IP.validate('1.1.0.2', { radix: 2 }).position, 6, 'Invalid binary digit position');
+	assert.equal(IP.parse('100000000.0.0.0', { radix: 2 }), null, 'Binary part out of range');
+	assert.equal(IP.parse([192, 168, 0, 1]), HOME, 'Byte array');
+	assert.equal(IP.parse([1, 0, 168, 192], { littleEndian: true }), HOME, 'Little-endian byte array');
+	assert.equal(IP.parse(0x0100a8c0, { littleEndian: true }), HOME, 'Little-endian number');
+	assert.equal(IP.parse([192, 168, 0]), null, 'Too few bytes');
+	assert.equal(IP.validate([192, 168, 0]).code, 'PART_COUNT', 'Too few bytes error code');
+	assert.equal(IP.validate([192, 168, 256, 1]).position, 2, 'Byte out of range position');
+	assert.equal(IP.parse([192, 168, '0', 1]), null, 'Non-numeric byte');
+	assert.equal(IP.parse([192, 168, 0.5, 1]), null, 'Fractional byte');
+	if (typeof Uint8Array === 'function') {
+		assert.equal(IP.parse(new Uint8Array([192, 168, 0, 1])), HOME, 'Typed byte array');
+	}
+});
+
+QUnit.test('IP.toBytes() and IP.fromBytes()', function (assert) {
+	var bytes = IP.toBytes('192.168.0.1');
+	assert.deepEqual(Array.prototype.slice.call(bytes), [192, 168, 0, 1], 'Network byte order');
+	bytes = IP.toBytes('192.168.0.1', { littleEndian: true });
+	assert.deepEqual(Array.prototype.slice.call(bytes), [1, 0, 168, 192], 'Little-endian byte order');
+	assert.equal(IP.toBytes('1.2.3.4.5'), null, 'Invalid address');
+	assert.deepEqual(Array.prototype.slice.call(new IP('10.0.0.1').toBytes()), [10, 0, 0, 1], 'Prototype toBytes()');
+	assert.equal(IP.fromBytes([192, 168, 0, 1]).toString(), '192.168.0.1', 'From bytes');
+	assert.equal(IP.fromBytes([1, 0, 168, 192], { littleEndian: true }).toString(), '192.168.0.1', 'From little-endian bytes');
+	assert.equal(IP.fromBytes(IP.toBytes('8.8.4.4')).toString(), '8.8.4.4', 'Round trip');
+	assert.equal(IP.fromBytes([1, 2, 3]), null, 'Too few bytes');
+	assert.equal(IP.fromBytes([1, 2, 3, 256]), null, 'Byte out of range');
+	assert.equal(IP.fromBytes(null), null, 'No bytes');
+});
+
+QUnit.test('IP.commonPrefix()', function (assert) {
+	assert.equal(IP.commonPrefix('10.0.0.1', '10.0.0.7').valueOf(), 29, 'Common prefix');
+	assert.equal(IP.commonPrefix('192.168.1.0', '192.168.2.0').valueOf(), 22, 'Across octets');
+	assert.equal(IP.commonPrefix('10.0.0.1', '10.0.0.1').valueOf(), 32, 'Same address');
+	assert.equal(IP.commonPrefix('0.0.0.0', '255.255.255.255').valueOf(), 0, 'Nothing in common');
+	assert.ok(IP.commonPrefix('1.2.3.4', '1.2.3.5') instanceof IP.Mask, 'Returns a Mask');
+	assert.equal(IP.commonPrefix('1.2.3.4.5', '1.2.3.4'), null, 'Invalid address');
+	assert.equal(new IP('172.16.0.1').commonPrefix('172.31.255.255').valueOf(), 12, 'Prototype commonPrefix()');
+});
+
+QUnit.test('IP.supernet()', function (assert) {
+	assert.equal(IP.supernet(['192.168.0.0/24', '192.168.3.0/24']).toString(), '192.168.0.0/22', 'Summary route for networks');
+	assert.equal(IP.supernet(['192.168.3.0/24', '192.168.0.0/24']).toString(), '192.168.0.0/22', 'Order does not matter');
+	assert.equal(IP.supernet(['10.1.2.3', '10.1.2.200']).toString(), '10.1.2.0/24', 'Addresses');
+	assert.equal(IP.supernet(['10.1.2.3']).toString(), '10.1.2.3/32', 'Single address');
+	assert.equal(IP.supernet(['10.0.0.5-10.0.0.9', new IP.Subnet('10.0.0.16/30')]).toString(), '10.0.0.0/27', 'Ranges and Subnet objects');
+	assert.equal(IP.supernet(['10.0.0.0/8', '192.168.0.0/16']).toString(), '0.0.0.0/0', 'Default route');
+	assert.equal(IP.supernet([]), null, 'Empty list');
+	assert.equal(IP.supernet(['10.0.0.0/8', '1.2.3.4.5']), null, 'Invalid item');
+});
+
+QUnit.test('IP.scan()', function (assert) {
+	var matches = IP.scan('Blocked 10.0.0.7 and 192.168.0.0/24 (v1.2.3.4.5)');
+	assert.equal(matches.length, 2, 'Finds addresses and subnets');
+	assert.equal(matches[0].type, 'address', 'Address type');
+	assert.equal(matches[0].text, '10.0.0.7', 'Address text');
+	assert.equal(matches[0].index, 8, 'Address index');
+	assert.equal(matches[0].length, 8, 'Address length');
+	assert.ok(IP.equal(matches[0].ip, '10.0.0.7'), 'Parsed address');
+	assert.equal(matches[1].type, 'subnet', 'Subnet type');
+	assert.equal(matches[1].text, '192.168.0.0/24', 'Subnet text');
+	assert.equal(matches[1].index, 21, 'Subnet index');
+	assert.equal(matches[1].length, 14, 'Subnet length');
+	assert.equal(matches[1].mask.valueOf(), 24, 'Parsed mask');
+	assert.equal(matches[1].subnet.toString(), '192.168.0.0/24', 'Parsed subnet');
+	matches = IP.scan('route 10.0.0.0/255.0.0.0 via 10.1.1.1.');
+	assert.equal(matches[0].subnet.toString(), '10.0.0.0/8', 'Subnet with netmask');
+	assert.equal(matches[1].text, '10.1.1.1', 'Address at the end of a sentence');
+	matches = IP.scan('pool 10.0.0.5-10.0.0.77, spare 10.0.1.1 - 10.0.1.9');
+	assert.equal(matches.length, 2, 'Finds ranges');
+	assert.equal(matches[0].type, 'range', 'Range type');
+	assert.equal(matches[0].range.toString(), '10.0.0.5-10.0.0.77', 'Parsed range');
+	assert.equal(matches[1].text, '10.0.1.1 - 10.0.1.9', 'Range with spaces');
+	matches = IP.scan('10.0.0.9-10.0.0.1');
+	assert.equal(matches.length, 2, 'Backwards range is two addresses');
+	assert.equal(IP.scan('10.0.0.1/33')[0].text, '10.0.0.1', 'Invalid mask is not part of the match');
+	assert.equal(IP.scan('10.0.0.1/24.5').length, 1, 'Mask followed by more digits');
+	assert.equal(IP.scan('10.0.0.1/24.5')[0].type, 'address', 'Mask followed by more digits is not a subnet');
+	assert.deepEqual(IP.scan('version 1.2.3.4.5 released 2024.10.19 or 19.10.2024'), [], 'Ignores version numbers and dates');
+	assert.deepEqual(IP.scan('v1.2.3.4 and 1.2.3.4x and 256.1.1.1 and 01.2.3.4'), [], 'Ignores invalid tokens');
+	assert.equal(IP.scan('[10.0.0.1]:80,"10.0.0.2"')[1].index, 15, 'Finds addresses between punctuation');
+	assert.deepEqual(IP.scan('0x7f.1 and 10.1'), [], 'Strict by default');
+	matches = IP.scan('0x7f.1 and 10.1', { strict: false });
+	assert.equal(matches.length, 2, 'Lenient mode finds shorthand addresses');
+	assert.equal(matches[0].ip.toString(), '127.0.0.1', 'Lenient mode parses like IP.parse()');
+	assert.deepEqual(IP.scan(''), [], 'Empty text');
+});
+
+QUnit.test('IP.parseList()', function (assert) {
+	assert.deepEqual(IP.parseList(['10.0.0.1', 1, new IP('0.0.0.2')]), [0x0a000001, 1, 2], 'Array');
+	assert.deepEqual(IP.parseList({ length: 2, 0: '0.0.0.1', 1: '0.0.0.2' }), [1, 2], 'Array-like object');
+	if (typeof Uint32Array === 'function') {
+		assert.deepEqual(IP.parseList(new Uint32Array([3, 0xffffffff])), [3, 0xffffffff], 'Typed array');
+	}
+	if (typeof Symbol === 'function' && Symbol.iterator) {
+		var iterable = {};
+		iterable[Symbol.iterator] = function () {
+			var i = 0;
+			return {
+				next: function () {
+					i++;
+					return i > 2 ? { done: true } : { value: '0.0.0.' + i, done: false };
+				}
+			};
+		};
+		assert.deepEqual(IP.parseList(iterable), [1, 2], 'Iterable');
+	}
+	assert.equal(IP.parseList(['10.0.0.1', '1.2.3.4.5']), null, 'Invalid IP');
+	assert.equal(IP.parseList('10.0.0.1'), null, 'Not a list');
+	assert.equal(IP.parseList(null), null, 'Null');
+	assert.deepEqual(IP.parseList([]), [], 'Empty list');
+});
+
+QUnit.test('IP.sort()', function (assert) {
+	assert.equal(IP.sort(['10.0.0.10', '10.0.0.9', '9.255.255.255']).join(', '), '9.255.255.255, 10.0.0.9, 10.0.0.10', 'Sorts by address');
+	assert.ok(IP.sort(['10.0.0.1'])[0] instanceof IP, 'Returns IP objects');
+	assert.equal(IP.sort(['10.0.0.1', '10.1', 0]).join(', '), '0.0.0.0, 10.0.0.1, 10.0.0.1', 'Keeps duplicates');
+	assert.equal(IP.sort(['10.0.0.1', 'nonsense']), null, 'Invalid IP');
+	var list = ['10.0.0.2', '10.0.0.1'];
+	IP.sort(list);
+	assert.deepEqual(list, ['10.0.0.2', '10.0.0.1'], 'Does not change the list given');
+	var large = [];
+	for (var i = 0; i < 2000; i++) {
+		large.push(IP.format(i * 7919 % 2000));
+	}
+	var sorted = IP.sort(large);
+	var inOrder = true;
+	for (i = 1; i < sorted.length; i++) {
+		inOrder = inOrder && sorted[i - 1].value <= sorted[i].value;
+	}
+	assert.ok(inOrder, 'Sorts large lists');
+});
+
+QUnit.test('IP.unique()', function (assert) {
+	assert.equal(IP.unique(['10.0.0.1', '10.1', '0x0a.0.0.2', '10.0.0.1']).join(', '), '10.0.0.1, 10.0.0.2', 'Removes duplicates by value');
+	assert.equal(IP.unique(['10.0.0.9', '10.0.0.1', '10.0.0.9']).join(', '), '10.0.0.9, 10.0.0.1', 'Keeps the order given');
+	assert.equal(IP.unique(['10.0.0.1', 'nonsense']), null, 'Invalid IP');
+	assert.deepEqual(IP.unique([]), [], 'Empty list');
+});
+
+QUnit.test('IP.groupBy()', function (assert) {
+	var groups = IP.groupBy(['10.0.1.7', '10.0.0.1', '10.0.1.2', '10.0.1.7'], 24);
+	assert.equal(groups.length, 2, 'One group per subnet');
+	assert.equal(groups[0].subnet.toString(), '10.0.0.0/24', 'First subnet');
+	assert.equal(groups[0].addresses.join(', '), '10.0.0.1', 'First group addresses');
+	assert.equal(groups[1].subnet.toString(), '10.0.1.0/24', 'Second subnet');
+	assert.equal(groups[1].addresses.join(', '), '10.0.1.2, 10.0.1.7, 10.0.1.7', 'Sorted addresses with duplicates');
+	groups = IP.groupBy(['172.16.5.4', '172.31.0.1', '172.32.0.1'], '255.240.0.0');
+	assert.equal(groups.map(function (group) { return group.subnet.toString(); }).join(', '), '172.16.0.0/12, 172.32.0.0/12', 'Group by netmask');
+	assert.equal(IP.groupBy(['1.2.3.4', '5.6.7.8'], 0).length, 1, 'Group by /0');
+	assert.equal(IP.groupBy(['1.2.3.4', '1.2.3.4'], 32).length, 1, 'Group by /32');
+	assert.equal(IP.groupBy(['1.2.3.4'], 33), null, 'Invalid mask');
+	assert.equal(IP.groupBy(['nonsense'], 24), null, 'Invalid IP');
+	assert.deepEqual(IP.groupBy([], 24), [], 'Empty list');
+});
+
+QUnit.test('IP immutability and interning', function (assert) {
+	var ip = new IP('10.0.0.1');
+	assert.ok(Object.isFrozen(ip), 'Instances are frozen');
+	assert.throws(function () {
+		'use strict';
+		ip.value = 42;
+	}, TypeError, 'Value cannot be changed');
+	assert.equal(ip.value, 0x0a000001, 'Value is unchanged');
+	assert.ok(IP.of('10.0.0.1') === IP.of('10.1'), 'Equal addresses share an instance');
+	assert.ok(IP.of(new IP('10.0.0.1')) === IP.of(0x0a000001), 'Shared instance from IP object');
+	assert.ok(IP.of('10.0.0.1') !== IP.of('10.0.0.2'), 'Different addresses do not share an instance');
+	assert.ok(IP.of('10.0.0.1') instanceof IP, 'Shared instance is an IP');
+	assert.equal(IP.of('1.2.3.4.5'), null, 'Invalid address');
+	assert.equal(IP.of('010.0.0.1', { strict: true }), null, 'Parsing options');
+	var limit = IP.INTERN_LIMIT;
+	IP.INTERN_LIMIT = 4;
+	IP.clearInterned();
+	var first = IP.of(1);
+	var recent = IP.of(2);
+	IP.of(3);
+	assert.ok(IP.of(2) === recent, 'Recently used address is still shared');
+	for (var i = 4; i < 100; i++) {
+		IP.of(i);
+	}
+	assert.ok(IP.of(1) !== first, 'Least recently used addresses are dropped');
+	assert.ok(IP.of(99) === IP.of(99), 'Shared after dropping others');
+	IP.INTERN_LIMIT = limit;
+	IP.clearInterned();
+	first = IP.of(1);
+	IP.clearInterned();
+	assert.ok(IP.of(1) !== first, 'IP.clearInterned() drops shared objects');
+});
+
+QUnit.test('IP.prototype.toJSON() and conversion to primitives', function (assert) {
+	var ip = new IP('10.0.0.1');
+	assert.equal(JSON.stringify({ host: ip }), '{"host":"10.0.0.1"}', 'Serializes as dotted decimal');
+	assert.equal(JSON.stringify([new IP('1.2.3.4.5')]), '[null]', 'Invalid IP serializes as null');
+	assert.equal(JSON.stringify(new IP.Subnet('10.0.0.0/8')), '{"ip":"10.0.0.0","mask":8}', 'Subnet serializes cleanly');
+	assert.equal(String(ip), '10.0.0.1', 'String conversion');
+	assert.equal(ip + 1, 0x0a000002, 'Numeric conversion');
+	assert.ok(ip < new IP('10.0.0.2'), 'Relational comparison');
+	if (typeof Symbol === 'function' && Symbol.toPrimitive) {
+		assert.equal(ip[Symbol.toPrimitive]('string'), '10.0.0.1', 'String hint');
+		assert.equal(ip[Symbol.toPrimitive]('number'), 0x0a000001, 'Number hint');
+		assert.equal(ip[Symbol.toPrimitive]('default'), 0x0a000001, 'Default hint');
+	}
+});
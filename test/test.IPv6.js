@@ -0,0 +1,193 @@
+QUnit.module('IPv6');
+
+var IPv6 = IP.IPv6;
+
+QUnit.test('IPv6()', function (assert) {
+	var a = new IPv6('::1');
+	assert.ok(a instanceof IPv6, 'Can be constructed');
+	var b = IPv6('::1');
+	assert.ok(b instanceof IPv6, 'Can be constructed without "new" keyword');
+	var c = new IPv6();
+	assert.deepEqual(c.value, [0, 0, 0, 0, 0, 0, 0, 0], 'Default value is zero');
+	var d = new IPv6('fe80::1%eth0');
+	assert.equal(d.zone, 'eth0', 'Keeps zone ID');
+	assert.equal(new IPv6('::1').zone, null, 'No zone ID by default');
+	var e = new IPv6(1);
+	assert.ok(e.equals(a), 'Can be initialized with a number');
+});
+
+QUnit.test('IPv6.parse()', function (assert) {
+	var DOC = [0x2001, 0xdb8, 0, 0, 0, 0, 0, 1];
+	assert.deepEqual(IPv6.parse('2001:0db8:0000:0000:0000:0000:0000:0001'), DOC, 'Full form');
+	assert.deepEqual(IPv6.parse('2001:db8:0:0:0:0:0:1'), DOC, 'No leading zeros');
+	assert.deepEqual(IPv6.parse('2001:db8::1'), DOC, 'Compressed');
+	assert.deepEqual(IPv6.parse('2001:DB8::1'), DOC, 'Uppercase');
+	assert.deepEqual(IPv6.parse('2001:db8::1%eth0'), DOC, 'Zone ID');
+	assert.deepEqual(IPv6.parse(DOC), DOC, 'Array of words');
+	assert.deepEqual(IPv6.parse('::'), [0, 0, 0, 0, 0, 0, 0, 0], 'Unspecified');
+	assert.deepEqual(IPv6.parse('1::'), [1, 0, 0, 0, 0, 0, 0, 0], 'Trailing compression');
+	assert.deepEqual(IPv6.parse('::ffff:1.2.3.4'), [0, 0, 0, 0, 0, 0xffff, 0x0102, 0x0304], 'IPv4-mapped');
+	assert.deepEqual(IPv6.parse('64:ff9b::192.0.2.33'), [0x64, 0xff9b, 0, 0, 0, 0, 0xc000, 0x0221], 'IPv4-embedded');
+	assert.equal(IPv6.parse('1:2:3:4:5:6:7'), null, 'Too few words');
+	assert.equal(IPv6.parse('1:2:3:4:5:6:7:8:9'), null, 'Too many words');
+	assert.equal(IPv6.parse('1:2:3:4:5:6:7:8::'), null, 'Compression with eight words');
+	assert.equal(IPv6.parse('1::2::3'), null, 'Compressed twice');
+	assert.equal(IPv6.parse(':1::'), null, 'Single leading colon');
+	assert.equal(IPv6.parse('12345::'), null, 'Word too long');
+	assert.equal(IPv6.parse('g::'), null, 'Invalid digit');
+	assert.equal(IPv6.parse('::1.2.3'), null, 'Short embedded IPv4');
+	assert.equal(IPv6.parse('::256.0.0.1'), null, 'Embedded IPv4 out of range');
+	assert.equal(IPv6.parse('1.2.3.4'), null, 'Plain IPv4');
+	assert.equal(IPv6.parse([0, 0, 0, 0, 0, 0, 0, 0x10000]), null, 'Word out of range');
+});
+
+QUnit.test('IPv6.format()', function (assert) {
+	assert.equal(IPv6.format('2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1', 'Lowercase and compressed');
+	assert.equal(IPv6.format('2001:db8:0:0:1:0:0:1'), '2001:db8::1:0:0:1', 'First of equal runs');
+	assert.equal(IPv6.format('2001:db8:0:1:0:0:0:1'), '2001:db8:0:1::1', 'Longest run');
+	assert.equal(IPv6.format('2001:db8:0:1:1:1:1:1'), '2001:db8:0:1:1:1:1:1', 'Single zero word');
+	assert.equal(IPv6.format('0:0:0:0:0:0:0:0'), '::', 'Unspecified');
+	assert.equal(IPv6.format('0:0:0:0:0:0:0:1'), '::1', 'Loopback');
+	assert.equal(IPv6.format('1:0:0:0:0:0:0:0'), '1::', 'Trailing zeros');
+	assert.equal(IPv6.format('::ffff:7f00:1'), '::ffff:127.0.0.1', 'IPv4-mapped');
+	assert.equal(IPv6.format('fe80::0001%eth0'), 'fe80::1%eth0', 'Zone ID');
+	assert.equal(String(new IPv6('fe80::1%2')), 'fe80::1%2', 'Can be converted to string');
+});
+
+QUnit.test('IPv6.compare()', function (assert) {
+	assert.equal(IPv6.compare('::1', '::2'), -1, 'Less than');
+	assert.equal(IPv6.compare('1::', '::2'), 1, 'Greater than');
+	assert.equal(IPv6.compare('::1', '0::0:1'), 0, 'Equal');
+	assert.ok(IPv6.equal('fe80::1%eth0', 'fe80::1'), 'Zone ID is not compared');
+	assert.ok(IPv6.lt('::ffff', '::1:0'), 'lt()');
+	assert.ok(IPv6.lte('::1', '::1'), 'lte()');
+	assert.ok(IPv6.gt('ffff::', '::ffff'), 'gt()');
+	assert.ok(IPv6.gte('::1', '::1'), 'gte()');
+	assert.ok(new IPv6('::1').lt('::2'), 'Prototype lt()');
+	assert.ok(!new IPv6('::1').gt('::2'), 'Prototype gt()');
+});
+
+QUnit.test('IPv6.next() and IPv6.prev()', function (assert) {
+	assert.ok(IPv6.next('::') instanceof IPv6, 'Returns IPv6 instance');
+	assert.equal(IPv6.next('::').toString(), '::1', 'Increments the IP value');
+	assert.equal(IPv6.next('::ffff:ffff').toString(), '::1:0:0', 'Rollover IP value');
+	assert.equal(IPv6.next(IPv6.MAX_VALUE), null, 'Does not go beyond max value');
+	assert.equal(IPv6.prev('::1').toString(), '::', 'Decrements the IP value');
+	assert.equal(IPv6.prev('::1:0:0').toString(), '::ffff:ffff', 'Rollback IP value');
+	assert.equal(IPv6.prev(IPv6.MIN_VALUE), null, 'Does not go below min value');
+});
+
+QUnit.test('IPv6.not()', function (assert) {
+	assert.equal(IPv6.not('::').toString(), 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff', 'All bits');
+	assert.equal(IPv6.not('ffff:ffff:ffff:ffff::').toString(), '::ffff:ffff:ffff:ffff', 'Half of the bits');
+	assert.equal(IPv6.not('5555::').toString(), 'aaaa:ffff:ffff:ffff:ffff:ffff:ffff:ffff', 'Alternating bits');
+});
+
+QUnit.test('IPv6.toBytes() and IPv6.fromBytes()', function (assert) {
+	var bytes = Array.prototype.slice.call(IPv6.toBytes('2001:db8::ff01'));
+	assert.deepEqual(bytes, [0x20, 0x01, 0x0d, 0xb8, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0x01], 'Bytes in network order');
+	assert.equal(IPv6.fromBytes(bytes).toString(), '2001:db8::ff01', 'Round trip');
+	assert.equal(IPv6.fromBytes([1, 2, 3, 4]), null, 'Wrong number of bytes');
+	assert.equal(IPv6.toBytes('garbage'), null, 'Invalid address');
+});
+
+QUnit.test('IPv6 NAT64 addresses', function (assert) {
+	// RFC 6052 section 2.4
+	var examples = {
+		32: '2001:db8:c000:221::',
+		40: '2001:db8:1c0:2:21::',
+		48: '2001:db8:122:c000:2:2100::',
+		56: '2001:db8:122:3c0:0:221::',
+		64: '2001:db8:122:344:c0:2:2100:0',
+		96: '2001:db8:122:344::c000:221'
+	};
+	IPv6.NAT64_PREFIX_LENGTHS.forEach(function (length) {
+		var prefix = '2001:db8:122:344::/' + length;
+		assert.equal(IPv6.embedNAT64('192.0.2.33', prefix).toString(), examples[length], 'Embed with /' + length);
+		var ip = IPv6.extractNAT64(examples[length], prefix);
+		assert.ok(ip instanceof IP, 'Extracts an IP object with /' + length);
+		assert.equal(ip.toString(), '192.0.2.33', 'Extract with /' + length);
+	});
+	assert.equal(IPv6.embedNAT64('8.8.8.8').toString(), '64:ff9b::808:808', 'Well-Known Prefix by default');
+	assert.equal(IPv6.embedNAT64('10.0.0.1'), null, 'Well-Known Prefix is only for global addresses');
+	assert.equal(IPv6.embedNAT64('10.0.0.1', '2001:db8::/96').toString(), '2001:db8::a00:1', 'Network-specific prefix for private addresses');
+	assert.equal(IPv6.embedNAT64('192.0.2.33', '2001:db8::/33'), null, 'Invalid prefix length');
+	assert.equal(IPv6.embedNAT64('192.0.2.33', '2001:db8::'), null, 'Prefix length is required');
+	assert.equal(IPv6.embedNAT64('garbage'), null, 'Invalid IPv4 address');
+	assert.equal(IPv6.extractNAT64('64:ff9b::808:808').toString(), '8.8.8.8', 'Extract with Well-Known Prefix');
+	assert.equal(IPv6.extractNAT64('2001:db8::1'), null, 'Address without the prefix');
+	assert.equal(IPv6.extractNAT64('2001:db8:1c0:2:21::', '2001:db9::/40'), null, 'Address with a different prefix');
+	assert.equal(IPv6.extractNAT64('2001:db8:c000:221:100::', '2001:db8::/32'), null, 'Bits 64 to 71 must be zero');
+	assert.equal(new IPv6(examples[48]).extractNAT64('2001:db8:122::/48').toString(), '192.0.2.33', 'Prototype extractNAT64()');
+});
+
+QUnit.test('IPv6 6to4 addresses', function (assert) {
+	assert.equal(IPv6.embed6to4('192.0.2.4').toString(), '2002:c000:204::', 'Embed');
+	assert.equal(IPv6.embed6to4('garbage'), null, 'Invalid IPv4 address');
+	assert.equal(IPv6.extract6to4('2002:c000:204:1::1').toString(), '192.0.2.4', 'Extract');
+	assert.equal(IPv6.extract6to4('2001:db8::1'), null, 'Not a 6to4 address');
+	assert.equal(new IPv6('2002:808:808::').extract6to4().toString(), '8.8.8.8', 'Prototype extract6to4()');
+});
+
+QUnit.test('IPv6 Teredo addresses', function (assert) {
+	// RFC 4380 section 4
+	var address = '2001:0:4136:e378:8000:63bf:3fff:fdd2';
+	var teredo = {
+		server: '65.54.227.120',
+		client: '192.0.2.45',
+		port: 40000,
+		flags: 0x8000
+	};
+	assert.equal(IPv6.embedTeredo(teredo).toString(), address, 'Embed');
+	assert.equal(IPv6.embedTeredo({ server: '65.54.227.120', client: '192.0.2.45', port: 40000 }).toString(), '2001:0:4136:e378:0:63bf:3fff:fdd2', 'Flags default to zero');
+	assert.equal(IPv6.embedTeredo({ server: '65.54.227.120', client: '192.0.2.45', port: 65536 }), null, 'Invalid port');
+	assert.equal(IPv6.embedTeredo({ server: 'garbage', client: '192.0.2.45', port: 1 }), null, 'Invalid server');
+	assert.equal(IPv6.embedTeredo(), null, 'Missing parameters');
+	var result = IPv6.extractTeredo(address);
+	assert.ok(result.server instanceof IP && result.client instanceof IP, 'Addresses are IP objects');
+	assert.equal(result.server.toString(), '65.54.227.120', 'Server address');
+	assert.equal(result.client.toString(), '192.0.2.45', 'Deobfuscated client address');
+	assert.equal(result.port, 40000, 'Deobfuscated client port');
+	assert.equal(result.flags, 0x8000, 'Flags');
+	assert.equal(IPv6.extractTeredo('2001:db8::1'), null, 'Not a Teredo address');
+	assert.equal(new IPv6(address).extractTeredo().port, 40000, 'Prototype extractTeredo()');
+});
+
+QUnit.test('IPv6 ISATAP addresses', function (assert) {
+	assert.equal(IPv6.embedISATAP('192.168.1.2').toString(), 'fe80::5efe:c0a8:102', 'Link-local prefix by default');
+	assert.equal(IPv6.embedISATAP('8.8.4.4', '2001:db8::/64').toString(), '2001:db8::200:5efe:808:404', 'Universal bit for global addresses');
+	assert.equal(IPv6.embedISATAP('10.0.0.1', '2001:db8:0:1:ffff::').toString(), '2001:db8:0:1:0:5efe:a00:1', 'Only the first 64 bits of the prefix are used');
+	assert.equal(IPv6.embedISATAP('10.0.0.1', '2001:db8::/48'), null, 'Prefix must be /64');
+	assert.equal(IPv6.embedISATAP('garbage'), null, 'Invalid IPv4 address');
+	assert.equal(IPv6.extractISATAP('fe80::5efe:c0a8:102').toString(), '192.168.1.2', 'Extract');
+	assert.equal(IPv6.extractISATAP('2001:db8::200:5efe:808:404').toString(), '8.8.4.4', 'Extract with universal bit');
+	assert.equal(IPv6.extractISATAP('2001:db8::1:5efe:808:404'), null, 'Other interface ID bits must be zero');
+	assert.equal(IPv6.extractISATAP('2001:db8::1'), null, 'Not an ISATAP address');
+	assert.equal(new IPv6('fe80::5efe:a00:1').extractISATAP().toString(), '10.0.0.1', 'Prototype extractISATAP()');
+});
+
+QUnit.test('IPv6 IPv4-mapped and IPv4-compatible addresses', function (assert) {
+	assert.equal(IPv6.embedMapped('192.0.2.1').toString(), '::ffff:192.0.2.1', 'Embed mapped');
+	assert.equal(IPv6.extractMapped('::ffff:c000:201').toString(), '192.0.2.1', 'Extract mapped');
+	assert.equal(IPv6.extractMapped('::c000:201'), null, 'Not a mapped address');
+	assert.equal(IPv6.embedCompatible('192.0.2.1').toString(), '::c000:201', 'Embed compatible');
+	assert.equal(IPv6.embedCompatible('0.0.0.1'), null, 'Would be the loopback address');
+	assert.equal(IPv6.extractCompatible('::192.0.2.1').toString(), '192.0.2.1', 'Extract compatible');
+	assert.equal(IPv6.extractCompatible('::1'), null, 'Loopback address is not compatible');
+	assert.equal(IPv6.extractCompatible('::'), null, 'Unspecified address is not compatible');
+	assert.equal(IPv6.extractCompatible('::ffff:192.0.2.1'), null, 'Mapped address is not compatible');
+	assert.equal(new IPv6('::ffff:10.0.0.1').extractMapped().toString(), '10.0.0.1', 'Prototype extractMapped()');
+	assert.equal(new IPv6('::10.0.0.1').extractCompatible().toString(), '10.0.0.1', 'Prototype extractCompatible()');
+});
+
+QUnit.test('IPv6.toIPv4()', function (assert) {
+	assert.equal(IPv6.toIPv4('::ffff:10.0.0.1').toString(), '10.0.0.1', 'IPv4-mapped');
+	assert.equal(IPv6.toIPv4('::10.0.0.1').toString(), '10.0.0.1', 'IPv4-compatible');
+	assert.equal(IPv6.toIPv4('64:ff9b::808:808').toString(), '8.8.8.8', 'NAT64 Well-Known Prefix');
+	assert.equal(IPv6.toIPv4('2002:c000:204::1').toString(), '192.0.2.4', '6to4');
+	assert.equal(IPv6.toIPv4('2001:0:4136:e378:8000:63bf:3fff:fdd2').toString(), '192.0.2.45', 'Teredo client');
+	assert.equal(IPv6.toIPv4('fe80::5efe:c0a8:102').toString(), '192.168.1.2', 'ISATAP');
+	assert.equal(IPv6.toIPv4('2001:db8::1'), null, 'No embedded address');
+	assert.equal(IPv6.toIPv4('garbage'), null, 'Invalid address');
+	assert.ok(new IPv6('::ffff:10.0.0.1').toIPv4() instanceof IP, 'Prototype toIPv4() gives an IP object');
+});
@@ -7,4 +7,220 @@ QUnit.test('Mask.parse()', function (assert) {
 	assert.equal(Mask.parse('8'), 8, 'Can parse numeric string');
 	assert.equal(Mask.parse('127.0.0.1/8'), 8, 'Can parse "127.0.0.1/8"');
 	assert.equal(Mask.parse('255.0.0.0'), 8, 'Can parse "255.0.0.0"');
+	assert.equal(Mask.parse('128.0.0.0'), 1, 'Can parse "128.0.0.0"');
+	assert.equal(Mask.parse('224.0.0.0'), 3, 'Can parse "224.0.0.0"');
+	var roundTrip = true;
+	for (var prefix = 0; prefix <= 32; prefix++) {
+		roundTrip = roundTrip && Mask.parse(Mask.format(prefix)) === prefix;
+	}
+	assert.ok(roundTrip, 'Every prefix length from 0 to 32 parses back from its netmask');
+});
+
+QUnit.test('Mask.parse() IPv6', function (assert) {
+	var v6 = { version: 6 };
+	assert.equal(Mask.parse(64, v6), 64, 'Can parse IPv6 prefix length');
+	assert.equal(Mask.parse(128, v6), 128, 'Can parse max IPv6 prefix length');
+	assert.equal(Mask.parse('2001:db8::/48', v6), 48, 'Can parse "2001:db8::/48"');
+	assert.equal(Mask.parse('ffff:ffff:ffff:ffff::', v6), 64, 'Can parse "ffff:ffff:ffff:ffff::"');
+	assert.equal(Mask.parse('ffff:fe00::', v6), 23, 'Can parse "ffff:fe00::"');
+	assert.equal(Mask.parse(64), null, 'IPv6 prefix length needs version 6');
+	assert.equal(Mask.parse('ffff:fe00::'), null, 'IPv6 netmask needs version 6');
+	assert.equal(new Mask(64).value, null, 'Constructor is for IPv4 by default');
+	var mask = new Mask(64, v6);
+	assert.equal(mask.valueOf(), 64, 'Constructor accepts IPv6 prefix length with version 6');
+	assert.equal(Mask.parse(mask), 64, 'Mask object longer than 32 bits is taken to be IPv6');
+	assert.equal(Mask.parse(mask, { version: 4 }), null, 'Mask object for IPv6 is not valid for IPv4');
+	assert.equal(Mask.format(mask), null, 'Cannot format IPv6 prefix as dotted decimal');
+});
+
+QUnit.test('Mask.validate()', function (assert) {
+	assert.equal(Mask.validate(24), null, 'Valid prefix length');
+	assert.equal(Mask.validate('255.255.0.0'), null, 'Valid netmask');
+	assert.equal(Mask.validate('').code, 'EMPTY', 'Empty string');
+	assert.equal(Mask.validate(-1).code, 'NEGATIVE', 'Negative prefix length');
+	assert.equal(Mask.validate('255.255.0.0.0').code, 'TOO_MANY_PARTS', 'Invalid netmask');
+	assert.equal(Mask.validate('10.0.0.0/').code, 'EMPTY', 'Missing prefix length');
+	assert.equal(Mask.validate('10.0.0.0/255.x').position, 13, 'Position after slash');
+	assert.equal(Mask.validate('ffff::ffff::').code, 'INVALID_FORMAT', 'Invalid IPv6 netmask');
+	assert.equal(Mask.parse('garbage'), null, 'Invalid input parses as null');
+	assert.throws(function () {
+		Mask.parse('garbage', { throws: true });
+	}, IP.ParseError, 'Invalid input throws');
+	assert.throws(function () {
+		new Mask('garbage', { throws: true });
+	}, IP.ParseError, 'Constructor throws');
+});
+
+QUnit.test('Mask.isValid()', function (assert) {
+	assert.ok(Mask.isValid('255.255.255.0'), 'Contiguous netmask');
+	assert.ok(Mask.isValid('0.0.0.0'), 'Empty netmask');
+	assert.ok(Mask.isValid('255.255.255.255'), 'Full netmask');
+	assert.ok(Mask.isValid(0xfffffe00), 'Raw netmask value');
+	assert.ok(Mask.isValid(new IP('255.255.0.0')), 'IP object');
+	assert.ok(!Mask.isValid('255.0.255.0'), 'Non-contiguous netmask');
+	assert.ok(!Mask.isValid('1.2.3.4'), 'Address as netmask');
+	assert.ok(!Mask.isValid('0.0.0.255'), 'Wildcard mask');
+	assert.ok(!Mask.isValid(0xff00ff00), 'Non-contiguous raw netmask value');
+	assert.ok(!Mask.isValid('ffff:0:ffff::'), 'Non-contiguous IPv6 netmask');
+	assert.ok(!Mask.isValid(129, { version: 6 }), 'Prefix length out of range');
+	assert.ok(!Mask.isValid('200'), 'Prefix length string out of range');
+	assert.ok(!Mask.isValid(8.5), 'Fractional prefix length');
+	assert.ok(Mask.isValid(33, { version: 6 }), 'IPv6 prefix length');
+	assert.ok(!Mask.isValid(33), 'IPv6 prefix length for IPv4');
+	assert.ok(!Mask.isValid(33, { version: 4 }), 'IPv6 prefix length for explicit IPv4');
+	assert.ok(!Mask.isValid('ffff::', { version: 4 }), 'IPv6 netmask for IPv4');
+	assert.ok(!Mask.isValid(0xffffff00, { version: 6 }), 'Raw IPv4 netmask for IPv6');
+	assert.ok(new Mask(24).isValid(), 'Prototype isValid()');
+	assert.ok(!new Mask('1.2.3.4').isValid(), 'Prototype isValid() with invalid mask');
+});
+
+QUnit.test('Mask.validate() codes', function (assert) {
+	assert.equal(Mask.validate('255.0.255.0').code, 'NON_CONTIGUOUS', 'Non-contiguous netmask');
+	assert.equal(Mask.validate('10.0.0.0/255.0.255.0').code, 'NON_CONTIGUOUS', 'Non-contiguous netmask after slash');
+	assert.equal(Mask.validate(129, { version: 6 }).code, 'OUT_OF_RANGE', 'Prefix length out of range');
+	assert.equal(Mask.validate(33).code, 'OUT_OF_RANGE', 'Prefix length over 32 without version 6');
+	assert.equal(Mask.validate(33, { version: 4 }).code, 'OUT_OF_RANGE', 'IPv4 prefix length out of range');
+	assert.equal(Mask.validate(8.5).code, 'NOT_AN_INTEGER', 'Fractional prefix length');
+	assert.equal(Mask.parse('255.0.255.0'), null, 'Non-contiguous netmask parses as null');
+	assert.equal(Mask.parse(33), null, 'Out of range prefix length parses as null');
+	assert.equal(Mask.parse(33, { version: 4 }), null, 'Out of range IPv4 prefix length parses as null');
+	assert.equal(Mask.parse(0xffffff00), 24, 'Raw netmask value parses as prefix length');
+	assert.equal(Mask.parse('255.255.254.0'), 23, 'Contiguous netmask parses as prefix length');
+	assert.equal(IP.Subnet.parse('10.0.0.0/33'), null, 'Subnet rejects IPv6 prefix length');
+});
+
+QUnit.test('Mask wildcard', function (assert) {
+	var wildcard = { wildcard: true };
+	assert.equal(Mask.parse('0.0.0.255', wildcard), 24, 'Can parse "0.0.0.255"');
+	assert.equal(Mask.parse('0.0.1.255', wildcard), 23, 'Can parse "0.0.1.255"');
+	assert.equal(Mask.parse('0.0.0.0', wildcard), 32, 'Can parse "0.0.0.0"');
+	assert.equal(Mask.parse('255.255.255.255', wildcard), 0, 'Can parse "255.255.255.255"');
+	assert.equal(Mask.parse('127.255.255.255', wildcard), 1, 'Can parse "127.255.255.255"');
+	assert.equal(Mask.parse('31.255.255.255', wildcard), 3, 'Can parse "31.255.255.255"');
+	var roundTrip = true;
+	for (var prefix = 0; prefix <= 32; prefix++) {
+		roundTrip = roundTrip && Mask.parse(Mask.format(prefix, wildcard), wildcard) === prefix;
+	}
+	assert.ok(roundTrip, 'Every prefix length from 0 to 32 parses back from its wildcard mask');
+	assert.equal(Mask.parse('10.0.0.0/0.255.255.255', wildcard), 8, 'Can parse "10.0.0.0/0.255.255.255"');
+	assert.equal(Mask.parse(24, wildcard), 24, 'Prefix length is not affected');
+	assert.equal(Mask.parseWildcard('0.0.255.255'), 16, 'Mask.parseWildcard()');
+	assert.equal(Mask.parse('255.255.255.0', wildcard), null, 'Netmask is not a wildcard mask');
+	assert.equal(Mask.parse('0.255.0.255', wildcard), null, 'Non-contiguous wildcard mask');
+	assert.ok(!Mask.isValid('::ff', wildcard), 'IPv6 wildcard mask');
+	assert.equal(Mask.format(24, wildcard), '0.0.0.255', 'Can format wildcard mask');
+	assert.equal(Mask.format(0, wildcard), '255.255.255.255', 'Can format empty wildcard mask');
+	assert.equal(Mask.format(32, wildcard), '0.0.0.0', 'Can format full wildcard mask');
+	assert.equal(new Mask(20).toWildcard(), '0.0.15.255', 'Mask.prototype.toWildcard()');
+	assert.equal(new Mask('0.0.0.63', wildcard).toString(), '255.255.255.192', 'Constructor accepts wildcard mask');
+});
+
+QUnit.test('Mask.widen() and Mask.narrow()', function (assert) {
+	assert.equal(Mask.widen(24).valueOf(), 23, 'Widen by one bit');
+	assert.equal(Mask.widen(24, 8).format(), '255.255.0.0', 'Widen by eight bits');
+	assert.equal(Mask.widen(4, 4).valueOf(), 0, 'Widen to zero bits');
+	assert.equal(Mask.widen(4, 8), null, 'Cannot widen past zero bits');
+	assert.equal(Mask.narrow(24).valueOf(), 25, 'Narrow by one bit');
+	assert.equal(Mask.narrow('255.255.0.0', 8).format(), '255.255.255.0', 'Narrow a netmask');
+	assert.equal(Mask.narrow(30, 2, { version: 4 }).valueOf(), 32, 'Narrow to 32 bits');
+	assert.equal(Mask.narrow(30, 4, { version: 4 }), null, 'Cannot narrow IPv4 mask past 32 bits');
+	assert.equal(Mask.narrow(32), null, 'Masks are for IPv4 by default');
+	assert.equal(Mask.narrow(64, 64, { version: 6 }).valueOf(), 128, 'Narrow IPv6 mask');
+	assert.equal(Mask.narrow(128, 1, { version: 6 }), null, 'Cannot narrow past 128 bits');
+	assert.equal(new Mask(64, { version: 6 }).narrow(8).valueOf(), 72, 'Narrow IPv6 Mask object');
+	assert.equal(Mask.widen(64, 8, { version: 6 }).valueOf(), 56, 'Widen IPv6 mask');
+	assert.equal(Mask.narrow(24, 1.5), null, 'Invalid number of bits');
+	assert.equal(Mask.narrow('255.0.255.0'), null, 'Invalid mask');
+	assert.equal(new Mask(16).widen(4).valueOf(), 12, 'Prototype widen()');
+	assert.equal(new Mask(16).narrow(4).valueOf(), 20, 'Prototype narrow()');
+});
+
+QUnit.test('Mask immutability, interning and conversion', function (assert) {
+	var mask = new Mask(24);
+	assert.ok(Object.isFrozen(mask), 'Instances are frozen');
+	assert.throws(function () {
+		'use strict';
+		mask.value = 8;
+	}, TypeError, 'Value cannot be changed');
+	assert.equal(new Mask('').value, null, 'Empty input is not coerced to zero');
+	assert.ok(isNaN(new Mask('garbage').valueOf()), 'Invalid mask is not a number');
+	assert.ok(Mask.of(24) === Mask.of('255.255.255.0'), 'Equal masks share an instance');
+	assert.ok(Mask.of(24) !== Mask.of(25), 'Different masks do not share an instance');
+	assert.equal(Mask.of(64, { version: 6 }).valueOf(), 64, 'IPv6 prefix length');
+	assert.equal(Mask.of(64), null, 'IPv6 prefix length needs version 6');
+	assert.equal(Mask.of('255.0.255.0'), null, 'Invalid mask');
+	assert.equal(JSON.stringify({ mask: new Mask('255.255.255.0') }), '{"mask":24}', 'Serializes as prefix length');
+	assert.equal(String(mask), '255.255.255.0', 'String conversion');
+	assert.equal(mask + 1, 25, 'Numeric conversion');
+	if (typeof Symbol === 'function' && Symbol.toPrimitive) {
+		assert.equal(mask[Symbol.toPrimitive]('string'), '255.255.255.0', 'String hint');
+		assert.equal(mask[Symbol.toPrimitive]('default'), 24, 'Default hint');
+	}
+});
+
+QUnit.test('Mask comparison', function (assert) {
+	assert.equal(Mask.compare(16, '255.255.255.0'), -1, 'Shorter mask is less');
+	assert.equal(Mask.compare('255.255.255.0', 16), 1, 'Longer mask is greater');
+	assert.equal(Mask.compare(24, '255.255.255.0'), 0, 'Equal masks');
+	assert.deepEqual([24, 8, 16].sort(Mask.compare), [8, 16, 24], 'Sort prefix lengths');
+	assert.ok(Mask.lt(8, 16) && !Mask.lt(16, 16), 'Mask.lt()');
+	assert.ok(Mask.lte(8, 16) && Mask.lte(16, 16) && !Mask.lte(24, 16), 'Mask.lte()');
+	assert.ok(Mask.gt(24, 16) && !Mask.gt(16, 16), 'Mask.gt()');
+	assert.ok(Mask.gte(24, 16) && Mask.gte(16, 16) && !Mask.gte(8, 16), 'Mask.gte()');
+	assert.equal(Mask.compare(64, 48), null, 'IPv6 prefix lengths need version 6');
+	assert.equal(Mask.compare(64, 48, { version: 6 }), 1, 'Compare IPv6 prefix lengths');
+	assert.equal(Mask.compare('garbage', 24), null, 'Invalid mask');
+	assert.ok(!Mask.lt('garbage', 24) && !Mask.lte('garbage', 24), 'Invalid mask is not less');
+	assert.ok(!Mask.gt(24, 'garbage') && !Mask.gte(24, 'garbage'), 'Invalid mask is not greater');
+	assert.ok(Mask.lt(48, 64, { version: 6 }), 'Mask.lt() with version 6');
+	var mask = new Mask(24);
+	assert.equal(mask.compare(32), -1, 'Prototype compare()');
+	assert.ok(mask.lt(25) && mask.lte(24) && mask.gt(23) && mask.gte(24), 'Prototype comparisons');
+	assert.equal(new Mask(64, { version: 6 }).compare(48, { version: 6 }), 1, 'Prototype compare() with version 6');
+	assert.equal(Mask.next(24).valueOf(), 25, 'Next prefix length');
+	assert.equal(Mask.next(32, { version: 6 }).valueOf(), 33, 'Next IPv6 prefix length');
+	assert.equal(Mask.next(32), null, 'No next IPv4 prefix length after 32');
+	assert.equal(Mask.next(128, { version: 6 }), null, 'No next prefix length after 128');
+	assert.equal(Mask.prev('255.255.255.0').valueOf(), 23, 'Previous prefix length');
+	assert.equal(Mask.prev(0), null, 'No previous prefix length before 0');
+	assert.equal(mask.next().valueOf(), 25, 'Prototype next()');
+	assert.equal(mask.prev().valueOf(), 23, 'Prototype prev()');
+});
+
+QUnit.test('Mask size and host count', function (assert) {
+	assert.equal(Mask.getSize(24), 256, '/24 size');
+	assert.equal(Mask.getSize(0), 0x100000000, '/0 size');
+	assert.equal(Mask.getSize(32), 1, '/32 size');
+	assert.equal(Mask.getSize(64), null, 'IPv6 prefix has no IPv4 size');
+	assert.equal(Mask.getSize('255.0.255.0'), null, 'Invalid mask');
+	assert.equal(Mask.getHostCount(24), 254, 'Network and broadcast are excluded');
+	assert.equal(Mask.getHostCount(30), 2, '/30 has two hosts');
+	assert.equal(Mask.getHostCount(31), 2, '/31 point-to-point link has two hosts (RFC 3021)');
+	assert.equal(Mask.getHostCount(32), 1, '/32 has a single host');
+	assert.equal(Mask.getHostCount(0), 0xfffffffe, '/0 host count');
+	assert.equal(Mask.getHostCount(96), null, 'IPv6 prefix has no IPv4 host count');
+	var mask = new Mask('255.255.255.248');
+	assert.equal(mask.size(), 8, 'Prototype size()');
+	assert.equal(mask.hostCount(), 6, 'Prototype hostCount()');
+});
+
+QUnit.test('Mask host mask, application and binary form', function (assert) {
+	assert.equal(Mask.getHostmask(24).toString(), '0.0.0.255', '/24 host mask');
+	assert.equal(Mask.getHostmask(32).toString(), '0.0.0.0', '/32 host mask');
+	assert.equal(Mask.getHostmask(0).toString(), '255.255.255.255', '/0 host mask');
+	assert.equal(Mask.getHostmask(48), null, 'IPv6 prefix');
+	assert.equal(Mask.getNetwork(24, '192.168.1.77').toString(), '192.168.1.0', 'Apply /24');
+	assert.equal(Mask.getNetwork(31, '10.0.0.3').toString(), '10.0.0.2', 'Apply /31');
+	assert.equal(Mask.getNetwork(32, '10.0.0.3').toString(), '10.0.0.3', 'Apply /32');
+	assert.equal(Mask.getNetwork(0, '10.0.0.3').toString(), '0.0.0.0', 'Apply /0');
+	assert.equal(Mask.getNetwork(24, 'garbage'), null, 'Invalid address');
+	assert.equal(Mask.getNetwork(40, '10.0.0.3'), null, 'IPv6 prefix');
+	assert.equal(Mask.toBinary(20), '11111111.11111111.11110000.00000000', '/20 in binary');
+	assert.equal(Mask.toBinary(0), '00000000.00000000.00000000.00000000', '/0 in binary');
+	assert.equal(Mask.toBinary(32), '11111111.11111111.11111111.11111111', '/32 in binary');
+	assert.equal(Mask.toBinary(33), null, 'IPv6 prefix');
+	var mask = new Mask(16);
+	assert.equal(mask.hostmask().toString(), '0.0.255.255', 'Prototype hostmask()');
+	assert.equal(mask.apply('172.16.5.4').toString(), '172.16.0.0', 'Prototype apply()');
+	assert.equal(mask.toBinary(), '11111111.11111111.00000000.00000000', 'Prototype toBinary()');
 });
@@ -0,0 +1,134 @@
+QUnit.module('Pool');
+
+var Pool = IP.Pool;
+
+QUnit.test('Pool()', function (assert) {
+	var a = new Pool('192.168.0.0/24');
+	assert.ok(a instanceof Pool, 'Can be constructed');
+	var b = Pool('192.168.0.0/24');
+	assert.ok(b instanceof Pool, 'Can be constructed without "new" keyword');
+	assert.ok(a.range instanceof IP.Range, 'Has a range');
+	assert.equal(a.getSize(), 254, 'Network and broadcast addresses are reserved');
+	assert.equal(new Pool('10.0.0.10-10.0.0.19').getSize(), 10, 'Nothing reserved in a range');
+	assert.equal(new Pool('10.0.0.0/31').getSize(), 2, 'Nothing reserved in a /31');
+	assert.equal(new Pool('10.0.0.0/24', { reserveNetwork: false, reserveBroadcast: false }).getSize(), 256, 'Reservations can be turned off');
+	assert.equal(new Pool('10.0.0.0/24', { gateway: '10.0.0.1' }).getSize(), 253, 'Gateway is reserved');
+	assert.equal(new Pool('10.0.0.0/24', { exclude: ['10.0.0.2-10.0.0.9', '10.0.0.200'] }).getSize(), 245, 'Custom exclusions');
+	assert.ok(!new Pool('10.0.0.0/24', { gateway: '10.0.1.1' }).isValid(), 'Gateway outside the pool');
+	assert.ok(!new Pool('10.0.0.0/33').isValid(), 'Invalid subnet');
+	assert.ok(!new Pool('10.0.0.0/24', { exclude: 'nonsense' }).isValid(), 'Invalid exclusion');
+});
+
+QUnit.test('Pool.prototype.allocate() and Pool.prototype.release()', function (assert) {
+	var pool = new Pool('192.168.0.0/29', { gateway: '192.168.0.1' });
+	var lease = pool.allocate();
+	assert.equal(lease.ip.toString(), '192.168.0.2', 'Lowest free address');
+	assert.equal(lease.expires, null, 'Does not expire by default');
+	assert.equal(lease.data, null, 'No metadata by default');
+	assert.equal(pool.allocate().ip.toString(), '192.168.0.3', 'Next free address');
+	assert.equal(pool.allocate({ ip: '192.168.0.6' }).ip.toString(), '192.168.0.6', 'Specific address');
+	assert.equal(pool.allocate({ ip: '192.168.0.6' }), null, 'Specific address cannot be leased twice');
+	assert.equal(pool.allocate({ ip: '192.168.0.1' }), null, 'Gateway cannot be leased');
+	assert.equal(pool.allocate({ ip: '192.168.0.7' }), null, 'Broadcast address cannot be leased');
+	assert.equal(pool.allocate({ ip: '10.0.0.1' }), null, 'Address outside the pool cannot be leased');
+	assert.equal(pool.allocate({ ip: 'nonsense' }), null, 'Invalid address');
+	assert.equal(pool.allocate().ip.toString(), '192.168.0.4', 'Skips leased addresses');
+	assert.equal(pool.allocate().ip.toString(), '192.168.0.5', 'Last free address');
+	assert.equal(pool.allocate(), null, 'Pool exhausted');
+	assert.equal(pool.getFreeCount(), 0, 'No free addresses');
+	assert.ok(pool.release('192.168.0.3'), 'Release a lease');
+	assert.ok(!pool.release('192.168.0.3'), 'Cannot release twice');
+	assert.ok(!pool.release('192.168.0.1'), 'Cannot release a reserved address');
+	assert.ok(pool.isAvailable('192.168.0.3'), 'Released address is available');
+	assert.equal(pool.allocate().ip.toString(), '192.168.0.3', 'Released address is leased again');
+	assert.equal(pool.getLeases().map(function (l) { return l.ip.toString(); }).join(', '), '192.168.0.2, 192.168.0.3, 192.168.0.4, 192.168.0.5, 192.168.0.6', 'Leases in address order');
+});
+
+QUnit.test('Pool.prototype.allocate() until the pool is exhausted', function (assert) {
+	var pool = new Pool('10.0.0.0/16', { gateway: '10.0.0.1', exclude: '10.0.128.0/24' });
+	var size = pool.getSize();
+	var count = 0;
+	var ordered = true;
+	var previous = -1;
+	for (var lease = pool.allocate(); lease !== null; lease = pool.allocate()) {
+		ordered = ordered && lease.ip.value > previous;
+		previous = lease.ip.value;
+		count++;
+	}
+	assert.equal(size, 65277, 'Size of the pool');
+	assert.equal(count, size, 'Every address is leased');
+	assert.ok(ordered, 'Addresses are leased in order');
+	assert.equal(pool.allocate(), null, 'Pool exhausted');
+	assert.equal(pool.getFreeCount(), 0, 'No free addresses');
+	assert.ok(pool.release('10.0.200.1') && pool.release('10.0.5.5'), 'Release two leases');
+	assert.equal(pool.allocate().ip.toString(), '10.0.5.5', 'Lowest released address is leased first');
+	assert.equal(pool.allocate().ip.toString(), '10.0.200.1', 'Then the next one');
+	assert.equal(pool.allocate(), null, 'Pool exhausted again');
+});
+
+QUnit.test('Pool.prototype.allocate() after leases expire', function (assert) {
+	var pool = new Pool('10.0.0.0/29');
+	pool.allocate({ now: 0 });
+	pool.allocate({ ttl: 1000, now: 0 });
+	pool.allocate({ now: 0 });
+	assert.equal(pool.allocate({ now: 500 }).ip.toString(), '10.0.0.4', 'Active leases are skipped');
+	assert.equal(pool.allocate({ now: 1000 }).ip.toString(), '10.0.0.2', 'Expired lease is leased again');
+	assert.equal(pool.allocate({ now: 1000 }).ip.toString(), '10.0.0.5', 'Search resumes after the leased addresses');
+	pool.renew('10.0.0.1', { expires: 2000, now: 1000 });
+	assert.equal(pool.allocate({ now: 2000 }).ip.toString(), '10.0.0.1', 'Renewed lease that expires earlier is leased again');
+	pool.allocate({ ip: '10.0.0.3', now: 3000 });
+	assert.equal(pool.allocate({ now: 3000 }).ip.toString(), '10.0.0.6', 'Last free address');
+	assert.equal(pool.allocate({ now: 3000 }), null, 'Pool exhausted');
+});
+
+QUnit.test('Pool leases with expiry and metadata', function (assert) {
+	var pool = new Pool('10.0.0.0/30');
+	var lease = pool.allocate({ ttl: 1000, now: 5000, data: { host: 'printer' } });
+	assert.equal(lease.ip.toString(), '10.0.0.1', 'Leased');
+	assert.equal(lease.expires, 6000, 'Expiry from time to live');
+	assert.deepEqual(lease.data, { host: 'printer' }, 'Metadata');
+	assert.equal(pool.getLease('10.0.0.1', { now: 5999 }).data.host, 'printer', 'Lease is active before it expires');
+	assert.equal(pool.getLease('10.0.0.1', { now: 6000 }), null, 'Lease is gone once expired');
+	assert.ok(!pool.isAvailable('10.0.0.1', { now: 5500 }), 'Active lease is not available');
+	assert.ok(pool.isAvailable('10.0.0.1', { now: 6000 }), 'Expired lease is available');
+	assert.equal(pool.allocate({ now: 5500 }).ip.toString(), '10.0.0.2', 'Active lease is skipped');
+	assert.equal(pool.renew('10.0.0.1', { ttl: 1000, now: 5900 }).expires, 6900, 'Renew a lease');
+	assert.equal(pool.renew('10.0.0.1', { expires: 10000, now: 6000, data: 'x' }).data, 'x', 'Renew with new metadata');
+	assert.equal(pool.renew('10.0.0.1', { now: 10000 }), null, 'Cannot renew an expired lease');
+	assert.equal(pool.allocate({ ip: '10.0.0.1', now: 10000, expires: 20000 }).expires, 20000, 'Expired address can be leased again');
+	pool.release('10.0.0.2');
+	pool.allocate({ ip: '10.0.0.2', expires: 15000, now: 0 });
+	var released = pool.expire({ now: 15000 });
+	assert.equal(released.join(', '), '10.0.0.2', 'Expire old leases');
+	assert.ok(pool.getLease('10.0.0.1', { now: 15000 }) !== null, 'Active leases are kept');
+});
+
+QUnit.test('Pool.prototype.toJSON() and Pool.fromJSON()', function (assert) {
+	var pool = new Pool('192.168.0.0/24', { gateway: '192.168.0.1', exclude: '192.168.0.10-192.168.0.19' });
+	pool.allocate({ data: { host: 'a' } });
+	pool.allocate({ ip: '192.168.0.50', expires: 9000000000000 });
+	pool.allocate({ ip: '192.168.0.60', expires: 1 });
+	var json = JSON.stringify(pool);
+	var snapshot = JSON.parse(json);
+	assert.equal(snapshot.range, '192.168.0.0-192.168.0.255', 'Range is saved');
+	assert.deepEqual(snapshot.reserved, ['192.168.0.0-192.168.0.1', '192.168.0.10-192.168.0.19', '192.168.0.255-192.168.0.255'], 'Reserved addresses are saved');
+	assert.deepEqual(snapshot.leases, [
+		{ ip: '192.168.0.2', expires: null, data: { host: 'a' } },
+		{ ip: '192.168.0.50', expires: 9000000000000, data: null }
+	], 'Active leases are saved');
+	var restored = Pool.fromJSON(json);
+	assert.ok(restored instanceof Pool, 'Restored from JSON string');
+	assert.equal(restored.getSize(), pool.getSize(), 'Same size');
+	assert.deepEqual(JSON.parse(JSON.stringify(restored)), snapshot, 'Same state');
+	assert.equal(restored.allocate().ip.toString(), '192.168.0.3', 'Allocation continues');
+	assert.equal(restored.allocate({ ip: '192.168.0.12' }), null, 'Exclusions are kept');
+	assert.ok(Pool.fromJSON(snapshot) instanceof Pool, 'Restored from object');
+	snapshot.leases.push({ ip: '192.168.0.2' });
+	assert.equal(Pool.fromJSON(snapshot), null, 'Duplicate leases are rejected');
+	assert.equal(Pool.fromJSON('{'), null, 'Invalid JSON');
+	assert.equal(Pool.fromJSON({ range: '10.0.0.0/33', leases: [] }), null, 'Invalid range');
+	assert.equal(Pool.fromJSON({ range: '10.0.0.0/24' }), null, 'Missing leases');
+	assert.equal(Pool.fromJSON({ range: '10.0.0.0/24', leases: [{ expires: null }] }), null, 'Lease without an address');
+	assert.equal(Pool.fromJSON({ range: '10.0.0.0/24', leases: [null] }), null, 'Empty lease');
+	assert.equal(Pool.fromJSON({ range: '10.0.0.0/24', leases: [{ ip: '10.0.0.256' }] }), null, 'Lease with an invalid address');
+});
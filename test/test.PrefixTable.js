@@ -0,0 +1,160 @@
+QUnit.module('PrefixTable');
+
+var PrefixTable = IP.PrefixTable;
+
+QUnit.test('PrefixTable()', function (assert) {
+	var a = new PrefixTable();
+	assert.ok(a instanceof PrefixTable, 'Can be constructed');
+	var b = PrefixTable();
+	assert.ok(b instanceof PrefixTable, 'Can be constructed without "new" keyword');
+	assert.equal(a.size, 0, 'Empty by default');
+	var c = new PrefixTable([['10.0.0.0/8', 'a'], ['10.1.0.0/16', 'b']]);
+	assert.equal(c.size, 2, 'Can be initialized with entries');
+});
+
+QUnit.test('PrefixTable.prototype.insert()', function (assert) {
+	var table = new PrefixTable();
+	table.insert('10.0.0.0/8', 'a').insert('10.1.2.3/16', 'b').insert('10.1.0.0/16', 'c');
+	assert.equal(table.size, 2, 'Host bits are ignored and values replaced');
+	assert.equal(table.get('10.1.0.0/16'), 'c', 'Value was replaced');
+	assert.ok(table.has('10.0.0.0/8'), 'Has inserted prefix');
+	assert.ok(!table.has('10.0.0.0/9'), 'Does not have other prefix');
+	table.insert('192.168.1.1', 'host');
+	assert.equal(table.get('192.168.1.1/32'), 'host', 'Single address is a /32');
+	assert.equal(table.insert('1.2.3.4.5/8', 'x'), null, 'Invalid prefix is not inserted');
+	assert.equal(table.size, 3, 'Size is unchanged by invalid prefix');
+	assert.throws(function () {
+		table.insert('1.2.3.4.5/8', 'x', { throws: true });
+	}, function (error) {
+		return error instanceof IP.ParseError && error.code === 'TOO_MANY_PARTS' && error.position === 8;
+	}, 'Invalid address throws its validation error');
+	assert.throws(function () {
+		table.insert('10.0.0.0/33', 'x', { throws: true });
+	}, function (error) {
+		return error.code === 'OUT_OF_RANGE' && error.position === 9;
+	}, 'Invalid mask throws its validation error');
+	assert.equal(new PrefixTable([['10.0.0.0/8', 'a'], ['garbage', 'b']]).size, 1, 'Constructor skips invalid prefixes');
+	assert.throws(function () {
+		new PrefixTable([['garbage', 'b']], { throws: true });
+	}, IP.ParseError, 'Constructor throws with the throws option');
+});
+
+QUnit.test('PrefixTable.prototype.lookup()', function (assert) {
+	var table = new PrefixTable([
+		['0.0.0.0/0', 'default'],
+		['10.0.0.0/8', 'internal'],
+		['10.20.0.0/16', 'lab'],
+		['10.20.30.0/24', 'rack'],
+		['10.20.30.40/32', 'host']
+	]);
+	assert.equal(table.lookup('10.20.30.40').value, 'host', 'Host route');
+	assert.equal(table.lookup('10.20.30.41').value, 'rack', '/24');
+	assert.equal(table.lookup('10.20.31.1').value, 'lab', '/16');
+	assert.equal(table.lookup('10.21.0.1').value, 'internal', '/8');
+	assert.equal(table.lookup('8.8.8.8').value, 'default', 'Default route');
+	assert.equal(String(table.lookup('10.20.31.1').subnet), '10.20.0.0/16', 'Returns matching subnet');
+	assert.deepEqual(table.lookupAll('10.20.30.41').map(function (match) {
+		return match.value;
+	}), ['default', 'internal', 'lab', 'rack'], 'lookupAll() returns every covering prefix');
+	assert.equal(new PrefixTable([['10.0.0.0/8', 1]]).lookup('11.0.0.0'), null, 'No match');
+	assert.equal(table.lookup('1.2.3.4.5'), null, 'Invalid address');
+});
+
+QUnit.test('PrefixTable.prototype.remove()', function (assert) {
+	var table = new PrefixTable([
+		['10.0.0.0/8', 'a'],
+		['10.0.0.0/16', 'b'],
+		['10.128.0.0/16', 'c']
+	]);
+	assert.ok(table.remove('10.0.0.0/8'), 'Removes present prefix');
+	assert.ok(!table.remove('10.0.0.0/8'), 'Does not remove missing prefix');
+	assert.ok(!table.remove('10.0.0.0/12'), 'Does not remove uninserted glue prefix');
+	assert.equal(table.size, 2, 'Size is updated');
+	assert.equal(table.lookup('10.64.0.0'), null, 'Removed prefix is not matched');
+	assert.equal(table.lookup('10.128.0.1').value, 'c', 'Other prefixes still match');
+	table.remove('10.0.0.0/16');
+	table.remove('10.128.0.0/16');
+	assert.equal(table.root, null, 'Empty trie after removing everything');
+});
+
+QUnit.test('PrefixTable.prototype.iterator()', function (assert) {
+	var table = new PrefixTable([
+		['192.168.0.0/16', 3],
+		['10.0.0.0/8', 1],
+		['10.0.0.0/16', 2],
+		['192.168.0.0/24', 4]
+	]);
+	var subnets = [];
+	var iterator = table.iterator();
+	for (var step = iterator.next(); !step.done; step = iterator.next()) {
+		subnets.push(String(step.value.subnet));
+	}
+	assert.deepEqual(subnets, ['10.0.0.0/8', '10.0.0.0/16', '192.168.0.0/16', '192.168.0.0/24'], 'Iterates in address order');
+	var values = [];
+	table.forEach(function (value) {
+		values.push(value);
+	});
+	assert.deepEqual(values, [1, 2, 3, 4], 'forEach() in address order');
+});
+
+QUnit.test('PrefixTable randomized', function (assert) {
+	var generator = new IP.Random({ seed: 42 });
+	var randomPrefix = function () {
+		var mask = Math.floor(generator.random() * 33);
+		return IP.Subnet(Math.floor(generator.random() * 0x100000000), mask);
+	};
+	var oracle = function (prefixes, ip) {
+		var best = null;
+		prefixes.forEach(function (prefix) {
+			if (prefix.contains(ip) && (best === null || prefix.mask > best.mask)) {
+				best = prefix;
+			}
+		});
+		return best && String(best.getNetwork()) + '/' + best.mask;
+	};
+	var table = new PrefixTable();
+	var prefixes = [];
+	var seen = {};
+	for (var i = 0; i < 2000; i++) {
+		var prefix = randomPrefix();
+		var key = String(prefix.getNetwork()) + '/' + prefix.mask;
+		table.insert(prefix, key);
+		if (!seen[key]) {
+			seen[key] = true;
+			prefixes.push(prefix);
+		}
+	}
+	assert.equal(table.size, prefixes.length, 'Size matches unique prefixes');
+	var check = function (message) {
+		var mismatches = 0;
+		for (var j = 0; j < 1000; j++) {
+			// look up addresses near stored prefixes as well as random ones
+			var ip = j % 2 ?
+				Math.floor(generator.random() * 0x100000000) :
+				Number(prefixes[Math.floor(generator.random() * prefixes.length)].getNetwork());
+			var match = table.lookup(ip);
+			if ((match && match.value) !== oracle(prefixes, ip)) {
+				mismatches++;
+			}
+		}
+		assert.equal(mismatches, 0, message);
+	};
+	check('Lookups match brute force');
+	prefixes = prefixes.filter(function (prefix, index) {
+		if (index % 2) {
+			return true;
+		}
+		table.remove(prefix);
+		return false;
+	});
+	assert.equal(table.size, prefixes.length, 'Size after removals');
+	check('Lookups match brute force after removals');
+	var order = [];
+	table.forEach(function (value, subnet) {
+		order.push([Number(subnet.ip), Number(subnet.mask)]);
+	});
+	var sorted = order.slice().sort(function (left, right) {
+		return left[0] - right[0] || left[1] - right[1];
+	});
+	assert.deepEqual(order, sorted, 'Iterates in address order');
+});
@@ -0,0 +1,102 @@
+QUnit.module('Random');
+
+var Random = IP.Random;
+
+QUnit.test('Random()', function (assert) {
+	var a = new Random({ seed: 42 });
+	assert.ok(a instanceof Random, 'Can be constructed');
+	var b = Random({ seed: 42 });
+	assert.ok(b instanceof Random, 'Can be constructed without "new" keyword');
+	assert.equal(a.seed, 42, 'Has the given seed');
+	assert.equal(typeof new Random().seed, 'number', 'Has a random seed if none given');
+	assert.equal(new Random().getSize(), 0x100000000, 'Draws from every address by default');
+	assert.equal(new Random({ seed: 'abc' }).next(), null, 'Invalid seed');
+	assert.equal(new Random({ within: '10.0.0.0/33' }).next(), null, 'Invalid pool');
+});
+
+QUnit.test('Random.prototype.next()', function (assert) {
+	var a = new Random({ seed: 42 });
+	var b = new Random({ seed: 42 });
+	var c = new Random({ seed: 43 });
+	var same = true;
+	var different = false;
+	for (var i = 0; i < 20; i++) {
+		var ip = a.next();
+		assert.ok(ip instanceof IP && ip.isValid(), 'Returns a valid IP');
+		same = same && IP.equal(ip, b.next());
+		different = different || !IP.equal(ip, c.next());
+	}
+	assert.ok(same, 'Same seed gives the same addresses');
+	assert.ok(different, 'Different seed gives different addresses');
+	var lan = new Random({ seed: 7, within: '192.168.0.0/24' });
+	var inside = true;
+	for (i = 0; i < 50; i++) {
+		inside = inside && IP.Subnet.contains('192.168.0.0/24', lan.next());
+	}
+	assert.ok(inside, 'Constrained to a subnet');
+	var pool = new Random({ seed: 7, within: ['10.0.0.1-10.0.0.2', '10.0.0.9'], exclude: '10.0.0.2' });
+	var seen = {};
+	for (i = 0; i < 50; i++) {
+		seen[pool.next().toString()] = true;
+	}
+	assert.deepEqual(Object.keys(seen).sort(), ['10.0.0.1', '10.0.0.9'], 'Constrained to ranges with exclusions');
+	assert.equal(new Random({ within: '10.0.0.0/30', exclude: '10.0.0.0/30' }).next(), null, 'Nothing to draw');
+});
+
+QUnit.test('Random small seeds', function (assert) {
+	var quarters = {};
+	for (var seed = 1; seed <= 10; seed++) {
+		var ip = new Random({ seed: seed, within: '10.0.0.0/8' }).next();
+		quarters[IP.Subnet(ip, 10).getNetwork().toString()] = true;
+	}
+	assert.deepEqual(Object.keys(quarters).sort(), [
+		'10.0.0.0', '10.128.0.0', '10.192.0.0', '10.64.0.0'
+	], 'First draws of consecutive seeds spread across the pool');
+});
+
+QUnit.test('Random excludeSpecial', function (assert) {
+	var random = new Random({ seed: 1, excludeSpecial: true });
+	var special = false;
+	for (var i = 0; i < 200; i++) {
+		var ip = random.next();
+		special = special || IP.getSpecialPurpose(ip) !== null || IP.isMulticast(ip);
+	}
+	assert.ok(!special, 'Never draws special-purpose or multicast addresses');
+	random = new Random({ seed: 1, within: '192.0.2.0/23', excludeSpecial: true });
+	assert.equal(random.getSize(), 256, 'Documentation range excluded');
+	assert.ok(IP.Subnet.contains('192.0.3.0/24', random.next()), 'Draws what is left');
+});
+
+QUnit.test('Random.prototype.sample()', function (assert) {
+	var random = new Random({ seed: 3, within: '10.0.0.0/28' });
+	var sample = random.sample(16);
+	var seen = {};
+	sample.forEach(function (ip) {
+		seen[ip.toString()] = true;
+	});
+	assert.equal(Object.keys(seen).length, 16, 'Every address drawn once');
+	assert.equal(random.sample(17), null, 'Cannot draw more than the pool');
+	assert.deepEqual(random.sample(0), [], 'Draw nothing');
+	assert.equal(random.sample(-1), null, 'Negative count');
+	var a = new Random({ seed: 9, within: '172.16.0.0/12' }).sample(5).join(', ');
+	var b = new Random({ seed: 9, within: '172.16.0.0/12' }).sample(5).join(', ');
+	assert.equal(a, b, 'Same seed gives the same sample');
+	var large = new Random({ seed: 9 }).sample(1000);
+	seen = {};
+	large.forEach(function (ip) {
+		seen[ip.value] = true;
+	});
+	assert.equal(Object.keys(seen).length, 1000, 'Unique when drawing from every address');
+});
+
+QUnit.test('Random.prototype.random()', function (assert) {
+	var random = new Random({ seed: 5 });
+	var inRange = true;
+	for (var i = 0; i < 100; i++) {
+		var value = random.random();
+		inRange = inRange && value >= 0 && value < 1;
+	}
+	assert.ok(inRange, 'Numbers from 0 to 1');
+	assert.equal(new Random({ seed: 5 }).random(), new Random({ seed: 5 }).random(), 'Reproducible');
+	assert.equal(new Random({ seed: 0 }).random(), new Random({ seed: 0 }).random(), 'Seed zero is valid');
+});
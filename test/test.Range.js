@@ -0,0 +1,85 @@
+QUnit.module('Range');
+
+var Range = IP.Range;
+
+QUnit.test('Range()', function (assert) {
+	var a = new Range('10.0.0.5-10.0.0.77');
+	assert.ok(a instanceof Range, 'Can be constructed');
+	var b = Range('10.0.0.5-10.0.0.77');
+	assert.ok(b instanceof Range, 'Can be constructed without "new" keyword');
+	assert.ok(a.first instanceof IP, 'Has a first IP');
+	assert.ok(a.last instanceof IP, 'Has a last IP');
+	assert.ok(a.equals(new Range('10.0.0.5', '10.0.0.77')), 'Can be initialized with first and last IP');
+	assert.ok(a.equals(new Range(a)), 'Can be initialized with another range');
+	var c = new Range('192.168.0.0/24');
+	assert.equal(c.toString(), '192.168.0.0-192.168.0.255', 'Can be initialized with a CIDR string');
+	var d = new Range(new IP.Subnet('10.0.0.0/30'));
+	assert.equal(d.toString(), '10.0.0.0-10.0.0.3', 'Can be initialized with a subnet');
+	var e = new Range('1.2.3.4');
+	assert.equal(e.toString(), '1.2.3.4-1.2.3.4', 'Can be initialized with a single IP');
+});
+
+QUnit.test('Range.parse()', function (assert) {
+	assert.deepEqual(Range.parse('10.0.0.5-10.0.0.77'), { first: 0x0a000005, last: 0x0a00004d }, 'Range string');
+	assert.deepEqual(Range.parse('10.0.0.5 - 10.0.0.77'), { first: 0x0a000005, last: 0x0a00004d }, 'Range string with spaces');
+	assert.equal(Range.parse('10.0.0.77-10.0.0.5'), null, 'First address after last');
+	assert.equal(Range.parse('10.0.0.5-'), null, 'Missing last address');
+	assert.equal(Range.parse('10.0.0.5-1.2.3.4.5'), null, 'Invalid last address');
+});
+
+QUnit.test('Range.getSize()', function (assert) {
+	assert.equal(Range.getSize('10.0.0.5-10.0.0.77'), 73, 'Size of range');
+	assert.equal(Range.getSize('10.0.0.5-10.0.0.5'), 1, 'Size of single address');
+	assert.equal(Range.getSize('0.0.0.0-255.255.255.255'), 0x100000000, 'Size of all addresses');
+});
+
+QUnit.test('Range.contains()', function (assert) {
+	var range = new Range('10.0.0.5-10.0.0.77');
+	assert.ok(range.contains('10.0.0.5'), 'Contains first address');
+	assert.ok(range.contains('10.0.0.77'), 'Contains last address');
+	assert.ok(!range.contains('10.0.0.4'), 'Does not contain address before');
+	assert.ok(!range.contains('10.0.0.78'), 'Does not contain address after');
+});
+
+QUnit.test('Range.iterator()', function (assert) {
+	var iterator = new Range('192.168.0.254-192.168.1.1').iterator();
+	var result = [];
+	for (var step = iterator.next(); !step.done; step = iterator.next()) {
+		assert.ok(step.value instanceof IP, 'Yields IP instances');
+		result.push(String(step.value));
+	}
+	assert.deepEqual(result, ['192.168.0.254', '192.168.0.255', '192.168.1.0', '192.168.1.1'], 'Iterates in order');
+	assert.ok(iterator.next().done, 'Stays done');
+	var last = Range.iterator('255.255.255.255-255.255.255.255');
+	assert.equal(String(last.next().value), '255.255.255.255', 'Iterates max address');
+	assert.ok(last.next().done, 'Stops after max address');
+	if (typeof Symbol === 'function' && Symbol.iterator) {
+		var range = new Range('10.0.0.1-10.0.0.3');
+		assert.equal(typeof range[Symbol.iterator], 'function', 'Is iterable');
+		assert.equal(String(range[Symbol.iterator]().next().value), '10.0.0.1', 'Iterable yields addresses');
+	}
+});
+
+QUnit.test('Range.toSubnets()', function (assert) {
+	var format = function (input) {
+		return Range.toSubnets(input).map(String);
+	};
+	assert.deepEqual(format('10.0.0.5-10.0.0.12'), ['10.0.0.5/32', '10.0.0.6/31', '10.0.0.8/30', '10.0.0.12/32'], 'Unaligned range');
+	assert.deepEqual(format('10.0.0.0-10.0.0.255'), ['10.0.0.0/24'], 'Aligned range');
+	assert.deepEqual(format('0.0.0.0-255.255.255.255'), ['0.0.0.0/0'], 'All addresses');
+	assert.deepEqual(format('1.2.3.4-1.2.3.4'), ['1.2.3.4/32'], 'Single address');
+	assert.deepEqual(format('10.0.0.1-10.0.1.0'), [
+		'10.0.0.1/32', '10.0.0.2/31', '10.0.0.4/30', '10.0.0.8/29', '10.0.0.16/28',
+		'10.0.0.32/27', '10.0.0.64/26', '10.0.0.128/25', '10.0.1.0/32'
+	], 'Range across boundary');
+	assert.equal(Range.toSubnets('1.2.3.4.5-1.2.3.6'), null, 'Invalid range');
+});
+
+QUnit.test('Range.fromSubnets()', function (assert) {
+	assert.equal(Range.fromSubnets(['10.0.0.8/30', '10.0.0.5/32', '10.0.0.12/32', '10.0.0.6/31']).toString(), '10.0.0.5-10.0.0.12', 'Contiguous subnets in any order');
+	assert.equal(Range.fromSubnets(['10.0.0.0/24', '10.0.0.128/25']).toString(), '10.0.0.0-10.0.0.255', 'Overlapping subnets');
+	assert.equal(Range.fromSubnets(['10.0.0.0/25', '10.0.1.0/25']), null, 'Gap between subnets');
+	assert.equal(Range.fromSubnets([]), null, 'No subnets');
+	var range = new Range('10.0.0.3-10.0.3.250');
+	assert.ok(Range.fromSubnets(range.toSubnets()).equals(range), 'Round trip');
+});
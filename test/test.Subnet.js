@@ -0,0 +1,174 @@
+QUnit.module('Subnet');
+
+var Subnet = IP.Subnet;
+
+QUnit.test('Subnet()', function (assert) {
+	var a = new Subnet('10.0.0.0/8');
+	assert.ok(a instanceof Subnet, 'Can be constructed');
+	var b = Subnet('10.0.0.0/8');
+	assert.ok(b instanceof Subnet, 'Can be constructed without "new" keyword');
+	assert.ok(a.ip instanceof IP, 'Has an IP');
+	assert.ok(a.mask instanceof IP.Mask, 'Has a mask');
+	var c = new Subnet('10.0.0.0', '255.0.0.0');
+	assert.ok(a.equals(c), 'Can be initialized with dotted netmask');
+	var d = new Subnet(IP('10.0.0.0'), IP.Mask(8));
+	assert.ok(a.equals(d), 'Can be initialized with IP and Mask objects');
+	var e = new Subnet(a);
+	assert.ok(a.equals(e), 'Can be initialized with another subnet');
+	var f = new Subnet('1.2.3.4');
+	assert.equal(f.mask.valueOf(), 32, 'Default mask is a single address');
+});
+
+QUnit.test('Subnet.parse()', function (assert) {
+	assert.deepEqual(Subnet.parse('10.0.0.0/8'), { ip: 0x0a000000, mask: 8 }, 'CIDR string');
+	assert.deepEqual(Subnet.parse('10.0.0.0/255.0.0.0'), { ip: 0x0a000000, mask: 8 }, 'Address and netmask string');
+	assert.deepEqual(Subnet.parse('10.0.0.0', 8), { ip: 0x0a000000, mask: 8 }, 'Address and prefix length');
+	assert.equal(Subnet.parse('10.0.0.0/'), null, 'Missing mask');
+	assert.equal(Subnet.parse('1.2.3.4.5/8'), null, 'Invalid address');
+	assert.equal(Subnet.parse(null), null, 'Null');
+});
+
+QUnit.test('Subnet.validate()', function (assert) {
+	assert.equal(Subnet.validate('10.0.0.0/8'), null, 'Valid subnet');
+	assert.equal(Subnet.validate('10.0.0.1', 8), null, 'Valid address and mask');
+	var error = Subnet.validate('10.0.0.256/8');
+	assert.ok(error instanceof IP.ParseError, 'Gives an IPParseError');
+	assert.equal(error.code, 'PART_OUT_OF_RANGE', 'Invalid address code');
+	assert.equal(error.position, 7, 'Invalid address position');
+	assert.equal(error.input, '10.0.0.256/8', 'Error has the whole input');
+	assert.equal(Subnet.validate('10.0.0.0/33').code, 'OUT_OF_RANGE', 'Invalid prefix length');
+	assert.equal(Subnet.validate('10.0.0.0/33').position, 9, 'Mask position is after the slash');
+	assert.equal(Subnet.validate('10.0.0.0/255.0.255.0').code, 'NON_CONTIGUOUS', 'Non-contiguous netmask');
+	assert.equal(Subnet.validate('10.0.0.0/').code, 'EMPTY', 'Empty mask');
+	assert.equal(Subnet.validate('10.0.0.1', '255.0.255.0').code, 'NON_CONTIGUOUS', 'Invalid separate mask');
+	assert.equal(Subnet.validate('').code, 'EMPTY', 'Empty input');
+});
+
+QUnit.test('Subnet.getNetwork()', function (assert) {
+	assert.equal(Subnet.getNetwork('10.1.2.3/8').toString(), '10.0.0.0', '/8');
+	assert.equal(Subnet.getNetwork('192.168.1.130/25').toString(), '192.168.1.128', '/25');
+	assert.equal(Subnet.getNetwork('255.255.255.255/0').toString(), '0.0.0.0', '/0');
+	assert.equal(Subnet.getNetwork('1.2.3.4/32').toString(), '1.2.3.4', '/32');
+});
+
+QUnit.test('Subnet.getBroadcast()', function (assert) {
+	assert.equal(Subnet.getBroadcast('10.1.2.3/8').toString(), '10.255.255.255', '/8');
+	assert.equal(Subnet.getBroadcast('192.168.1.1/25').toString(), '192.168.1.127', '/25');
+	assert.equal(Subnet.getBroadcast('0.0.0.0/0').toString(), '255.255.255.255', '/0');
+	assert.equal(Subnet.getBroadcast('1.2.3.4/32').toString(), '1.2.3.4', '/32');
+});
+
+QUnit.test('Subnet.getFirst() and Subnet.getLast()', function (assert) {
+	assert.equal(Subnet.getFirst('192.168.1.0/24').toString(), '192.168.1.1', 'First host of /24');
+	assert.equal(Subnet.getLast('192.168.1.0/24').toString(), '192.168.1.254', 'Last host of /24');
+	assert.equal(Subnet.getFirst('10.0.0.0/31').toString(), '10.0.0.0', 'First host of /31');
+	assert.equal(Subnet.getLast('10.0.0.0/31').toString(), '10.0.0.1', 'Last host of /31');
+	assert.equal(Subnet.getFirst('10.0.0.7/32').toString(), '10.0.0.7', 'First host of /32');
+	assert.equal(Subnet.getLast('10.0.0.7/32').toString(), '10.0.0.7', 'Last host of /32');
+});
+
+QUnit.test('Subnet.getHostCount()', function (assert) {
+	assert.equal(Subnet.getSize('10.0.0.0/8'), 16777216, 'Size of /8');
+	assert.equal(Subnet.getHostCount('10.0.0.0/8'), 16777214, 'Hosts in /8');
+	assert.equal(Subnet.getHostCount('0.0.0.0/0'), 4294967294, 'Hosts in /0');
+	assert.equal(Subnet.getHostCount('10.0.0.0/30'), 2, 'Hosts in /30');
+	assert.equal(Subnet.getHostCount('10.0.0.0/31'), 2, 'Hosts in /31');
+	assert.equal(Subnet.getHostCount('10.0.0.0/32'), 1, 'Hosts in /32');
+});
+
+QUnit.test('Subnet.getNetmask() and Subnet.getWildcard()', function (assert) {
+	assert.equal(Subnet.getNetmask('10.0.0.0/8').toString(), '255.0.0.0', 'Netmask of /8');
+	assert.equal(Subnet.getNetmask('10.0.0.0/0').toString(), '0.0.0.0', 'Netmask of /0');
+	assert.equal(Subnet.getWildcard('10.0.0.0/8').toString(), '0.255.255.255', 'Wildcard of /8');
+	assert.equal(Subnet.getWildcard('10.0.0.0/27').toString(), '0.0.0.31', 'Wildcard of /27');
+});
+
+QUnit.test('Subnet.contains()', function (assert) {
+	var lan = new Subnet('192.168.0.0/16');
+	assert.ok(lan.contains('192.168.0.0'), 'Contains network address');
+	assert.ok(lan.contains('192.168.255.255'), 'Contains broadcast address');
+	assert.ok(lan.contains('192.168.12.34'), 'Contains host address');
+	assert.ok(!lan.contains('192.169.0.0'), 'Does not contain address after');
+	assert.ok(!lan.contains('192.167.255.255'), 'Does not contain address before');
+	assert.ok(!lan.contains('1.2.3.4.5'), 'Does not contain invalid address');
+});
+
+QUnit.test('Subnet.format()', function (assert) {
+	assert.equal(Subnet.format('10.0.0.0/255.0.0.0'), '10.0.0.0/8', 'Formats netmask as prefix length');
+	assert.equal(Subnet.format('012.0.0.1/8'), '10.0.0.1/8', 'Keeps host bits of address');
+	assert.equal(String(new Subnet('0x7f.1', 8)), '127.0.0.1/8', 'Can be converted to string');
+});
+
+QUnit.test('Subnet.getInfo()', function (assert) {
+	var info = Subnet.getInfo('10.20.30.40/24');
+	assert.equal(info.subnet.toString(), '10.20.30.0/24', 'Subnet at network address');
+	assert.equal(info.network.toString(), '10.20.30.0', 'Network address');
+	assert.equal(info.broadcast.toString(), '10.20.30.255', 'Broadcast address');
+	assert.equal(info.first.toString(), '10.20.30.1', 'First usable address');
+	assert.equal(info.last.toString(), '10.20.30.254', 'Last usable address');
+	assert.equal(info.netmask.toString(), '255.255.255.0', 'Netmask');
+	assert.equal(info.size, 256, 'Size');
+	assert.equal(info.hostCount, 254, 'Host count');
+	assert.equal(new Subnet('10.0.0.0/31').getInfo().first.toString(), '10.0.0.0', 'Prototype getInfo()');
+	assert.equal(Subnet.getInfo('10.0.0.0/33'), null, 'Invalid subnet');
+});
+
+QUnit.test('Subnet.getPrefixForHosts()', function (assert) {
+	assert.equal(Subnet.getPrefixForHosts(1), 32, 'Single host');
+	assert.equal(Subnet.getPrefixForHosts(2), 31, 'Point-to-point link');
+	assert.equal(Subnet.getPrefixForHosts(3), 29, 'Three hosts');
+	assert.equal(Subnet.getPrefixForHosts(6), 29, 'Six hosts');
+	assert.equal(Subnet.getPrefixForHosts(7), 28, 'Seven hosts');
+	assert.equal(Subnet.getPrefixForHosts(254), 24, 'Class C');
+	assert.equal(Subnet.getPrefixForHosts(0xfffffffe), 0, 'Every address');
+	assert.equal(Subnet.getPrefixForHosts(0xffffffff), null, 'Too many hosts');
+	assert.equal(Subnet.getPrefixForHosts(0), null, 'No hosts');
+	assert.equal(Subnet.getPrefixForHosts(1.5), null, 'Fractional hosts');
+});
+
+QUnit.test('Subnet.split()', function (assert) {
+	assert.equal(Subnet.split('10.20.0.0/16', { count: 4 }).join(', '), '10.20.0.0/18, 10.20.64.0/18, 10.20.128.0/18, 10.20.192.0/18', 'Split into four');
+	assert.equal(Subnet.split('10.20.0.0/16', { count: 3 }).join(', '), '10.20.0.0/18, 10.20.64.0/18, 10.20.128.0/18', 'Count rounded up to a power of two');
+	assert.equal(Subnet.split('10.20.0.0/16', { count: 1 }).join(', '), '10.20.0.0/16', 'Split into one');
+	assert.equal(Subnet.split('10.20.0.0/23', { prefix: 24 }).join(', '), '10.20.0.0/24, 10.20.1.0/24', 'Split by prefix');
+	assert.equal(Subnet.split('10.20.0.0/23', { prefix: '255.255.255.0' }).length, 2, 'Split by netmask');
+	assert.equal(Subnet.split('10.20.1.7/30', { prefix: 31 }).join(', '), '10.20.1.4/31, 10.20.1.6/31', 'Split from network address');
+	assert.equal(Subnet.split('10.0.0.0/30', { count: 8 }), null, 'Too many subnets');
+	assert.equal(Subnet.split('10.0.0.0/24', { prefix: 16 }), null, 'Prefix shorter than subnet');
+	assert.equal(Subnet.split('10.0.0.0/24', { count: 0 }), null, 'No subnets');
+	assert.equal(Subnet.split('10.0.0.0/24', {}), null, 'No count or prefix');
+	assert.equal(Subnet.split('10.0.0.0/33', { count: 2 }), null, 'Invalid subnet');
+	assert.throws(function () {
+		Subnet.split('10.0.0.0/30', { count: 8, throws: true });
+	}, RangeError, 'Throws RangeError when asked');
+	assert.equal(Subnet.split('0.0.0.0/0', { prefix: 32 }), null, 'Too many subnets to create');
+	assert.equal(Subnet.split('10.0.0.0/8', { count: Subnet.MAX_SPLIT + 1 }), null, 'Count over the maximum');
+	assert.equal(Subnet.split('10.0.0.0/8', { prefix: 24 }).length, Subnet.MAX_SPLIT, 'Up to the maximum');
+	assert.throws(function () {
+		Subnet.split('0.0.0.0/0', { prefix: 32, throws: true });
+	}, RangeError, 'Throws RangeError over the maximum when asked');
+	assert.equal(new Subnet('10.0.0.0/24').split({ prefix: 26 }).length, 4, 'Prototype split()');
+});
+
+QUnit.test('Subnet.allocate()', function (assert) {
+	var result = Subnet.allocate('192.168.0.0/24', [50, 100, 2]);
+	assert.equal(result.length, 3, 'One allocation per requirement');
+	assert.equal(result[0].subnet.toString(), '192.168.0.128/26', 'Second largest allocated second');
+	assert.equal(result[1].subnet.toString(), '192.168.0.0/25', 'Largest allocated first');
+	assert.equal(result[2].subnet.toString(), '192.168.0.192/31', 'Point-to-point link');
+	assert.equal(result[0].hosts, 50, 'Requested host count');
+	assert.equal(result[0].hostCount, 62, 'Usable host count');
+	assert.equal(result[0].first.toString(), '192.168.0.129', 'First usable address');
+	assert.equal(result[0].last.toString(), '192.168.0.190', 'Last usable address');
+	assert.equal(result[0].broadcast.toString(), '192.168.0.191', 'Broadcast address');
+	result = Subnet.allocate('10.20.0.0/16', [1000, 1000, 500]);
+	assert.equal(result.map(function (a) { return a.subnet.toString(); }).join(', '), '10.20.0.0/22, 10.20.4.0/22, 10.20.8.0/23', 'Equal sizes keep their order');
+	assert.deepEqual(Subnet.allocate('10.0.0.0/24', []), [], 'No requirements');
+	assert.equal(Subnet.allocate('192.168.0.0/24', [126, 62, 30, 30]).length, 4, 'Exact fit');
+	assert.equal(Subnet.allocate('192.168.0.0/24', [200, 100]), null, 'Does not fit');
+	assert.equal(Subnet.allocate('192.168.0.0/24', [0]), null, 'Invalid host count');
+	assert.throws(function () {
+		Subnet.allocate('192.168.0.0/24', [200, 100], { throws: true });
+	}, /need 384 addresses but 192\.168\.0\.0\/24 has 256/, 'Reports how much space is needed');
+	assert.equal(new Subnet('10.0.0.0/29').allocate([2, 2, 1]).length, 3, 'Prototype allocate()');
+});
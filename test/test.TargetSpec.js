@@ -0,0 +1,148 @@
+QUnit.module('TargetSpec');
+
+var TargetSpec = IP.TargetSpec;
+
+var list = function (spec) {
+	var result = [];
+	spec.forEach(function (ip) {
+		result.push(ip.toString());
+	});
+	return result;
+};
+
+QUnit.test('TargetSpec()', function (assert) {
+	var a = new TargetSpec('192.168.1-3.10-20');
+	assert.ok(a instanceof TargetSpec, 'Can be constructed');
+	var b = TargetSpec('192.168.1-3.10-20');
+	assert.ok(b instanceof TargetSpec, 'Can be constructed without "new" keyword');
+	assert.ok(a.isValid(), 'Valid specification');
+	assert.equal(new TargetSpec(a).getSize(), 33, 'Can be initialized with another specification');
+	assert.equal(new TargetSpec(a, { exclude: '192.168.2.*' }).getSize(), 22, 'Exclusions are added to another specification');
+	assert.equal(new TargetSpec(['10.0.0.1', '10.0.0.2']).getSize(), 2, 'Can be initialized with a list');
+	assert.equal(new TargetSpec().getSize(), 0, 'Empty by default');
+	assert.ok(!new TargetSpec('10.0.0.256').isValid(), 'Invalid specification');
+});
+
+QUnit.test('TargetSpec.parseOctet()', function (assert) {
+	assert.deepEqual(TargetSpec.parseOctet('7'), [{ first: 7, last: 7 }], 'Number');
+	assert.deepEqual(TargetSpec.parseOctet('10-20'), [{ first: 10, last: 20 }], 'Range');
+	assert.deepEqual(TargetSpec.parseOctet('-3'), [{ first: 0, last: 3 }], 'Range from zero');
+	assert.deepEqual(TargetSpec.parseOctet('250-'), [{ first: 250, last: 255 }], 'Range to 255');
+	assert.deepEqual(TargetSpec.parseOctet('*'), [{ first: 0, last: 255 }], 'Wildcard');
+	assert.deepEqual(TargetSpec.parseOctet('1-3,2-5,250-'), [{ first: 1, last: 5 }, { first: 250, last: 255 }], 'List is sorted and merged');
+	assert.equal(TargetSpec.parseOctet('256'), null, 'Out of range');
+	assert.equal(TargetSpec.parseOctet('5-1'), null, 'Backwards range');
+	assert.equal(TargetSpec.parseOctet('1-2-3'), null, 'Too many dashes');
+	assert.equal(TargetSpec.parseOctet('1,,2'), null, 'Empty list item');
+	assert.equal(TargetSpec.parseOctet('0x10'), null, 'Not decimal');
+	assert.equal(TargetSpec.parseOctet(''), null, 'Empty');
+});
+
+QUnit.test('TargetSpec.parse()', function (assert) {
+	assert.equal(TargetSpec.parse('10.0.0.1 10.0.0.2').include.length, 2, 'Targets separated by whitespace');
+	assert.equal(TargetSpec.parse('10.0.0.1,10.0.0.2').include.length, 2, 'Targets separated by commas');
+	assert.equal(TargetSpec.parse('10.0.0.1,2').include.length, 1, 'Comma list within an octet');
+	assert.equal(TargetSpec.parse('10.0.*.1, 172.16.0.0/30').include.length, 2, 'Targets separated by comma and space');
+	assert.equal(TargetSpec.parse('10.0.0.0/30,10.0.1.1').include.length, 2, 'CIDR followed by comma');
+	assert.equal(TargetSpec.parse('10.0.0.1', { exclude: '10.0.0.1' }).exclude.length, 1, 'Exclusions');
+	assert.equal(TargetSpec.parse('10.0.0'), null, 'Too few octets');
+	assert.equal(TargetSpec.parse('10.0.0.0/33'), null, 'Invalid prefix');
+	assert.equal(TargetSpec.parse('010.0.0.0/8'), null, 'CIDR address must be dotted decimal');
+	assert.equal(TargetSpec.parse('10.0.0.1', { exclude: 'nonsense' }), null, 'Invalid exclusion');
+	assert.throws(function () {
+		TargetSpec.parse('10.0.0.1 10.0.0.300', { throws: true });
+	}, function (error) {
+		return error instanceof IP.ParseError && error.code === 'INVALID_FORMAT' && error.position === 9;
+	}, 'Throws with the position of the invalid target');
+});
+
+QUnit.test('TargetSpec.prototype.getSize()', function (assert) {
+	assert.equal(new TargetSpec('192.168.1-3.10-20').getSize(), 33, 'Octet ranges');
+	assert.equal(new TargetSpec('10.0.*.1').getSize(), 256, 'Wildcard');
+	assert.equal(new TargetSpec('172.16.0.0/30').getSize(), 4, 'CIDR');
+	assert.equal(new TargetSpec('10.0.0.0/20').getSize(), 4096, 'CIDR not on an octet boundary');
+	assert.equal(new TargetSpec('*.*.*.*').getSize(), 0x100000000, 'Every address');
+	assert.equal(new TargetSpec('10.0.0.0/24 10.0.0.128/25 10.0.0.1-5').getSize(), 256, 'Overlaps are counted once');
+	assert.equal(new TargetSpec('10.0.0.*', { exclude: '10.0.0.1,254' }).getSize(), 254, 'Exclusions');
+	assert.equal(new TargetSpec('10.0.0.1-10', { exclude: '10.0.0.0/8' }).getSize(), 0, 'Everything excluded');
+	assert.equal(new TargetSpec('*.*.*.*', { exclude: '*.*.*.0,255' }).getSize(), 0x100000000 - 2 * 0x1000000, 'Large exclusions');
+	assert.equal(new TargetSpec('10.0.0.256').getSize(), null, 'Invalid specification');
+});
+
+QUnit.test('TargetSpec.prototype.iterator()', function (assert) {
+	assert.deepEqual(list(new TargetSpec('10.0.0.5,1-2')), ['10.0.0.1', '10.0.0.2', '10.0.0.5'], 'In order');
+	assert.deepEqual(list(new TargetSpec('10.0.0.3 10.0.0.1-3')), ['10.0.0.1', '10.0.0.2', '10.0.0.3'], 'Without duplicates');
+	assert.deepEqual(list(new TargetSpec('10.0.1-2.255,0')), ['10.0.1.0', '10.0.1.255', '10.0.2.0', '10.0.2.255'], 'Across octets');
+	assert.deepEqual(list(new TargetSpec('172.16.0.0/30', { exclude: '172.16.0.1' })), ['172.16.0.0', '172.16.0.2', '172.16.0.3'], 'With exclusions');
+	assert.deepEqual(list(new TargetSpec('255.255.255.254-')), ['255.255.255.254', '255.255.255.255'], 'Up to the last address');
+	var iterator = new TargetSpec('*.*.*.*', { exclude: '0.0.0.0/8' }).iterator();
+	assert.equal(iterator.next().value.toString(), '1.0.0.0', 'Skips large exclusions lazily');
+	assert.equal(iterator.next().value.toString(), '1.0.0.1', 'Continues after exclusions');
+	iterator = new TargetSpec('').iterator();
+	assert.ok(iterator.next().done, 'Empty specification');
+	if (typeof Symbol === 'function' && Symbol.iterator) {
+		var spec = new TargetSpec('10.0.0.1-2');
+		var values = [];
+		var it = spec[Symbol.iterator]();
+		for (var step = it.next(); !step.done; step = it.next()) {
+			values.push(step.value.toString());
+		}
+		assert.deepEqual(values, ['10.0.0.1', '10.0.0.2'], 'Iterable');
+	}
+});
+
+QUnit.test('TargetSpec.prototype.contains()', function (assert) {
+	var spec = new TargetSpec('192.168.1-3.10-20', { exclude: '192.168.2.15' });
+	assert.ok(spec.contains('192.168.2.10'), 'Included address');
+	assert.ok(!spec.contains('192.168.2.15'), 'Excluded address');
+	assert.ok(!spec.contains('192.168.4.10'), 'Address outside the specification');
+	assert.ok(!spec.contains('nonsense'), 'Invalid address');
+});
+
+QUnit.test('TargetSpec randomized', function (assert) {
+	var generator = new IP.Random({ seed: 7 });
+	var random = function (max) {
+		return Math.floor(generator.random() * max);
+	};
+	var octet = function () {
+		var items = [];
+		for (var n = random(2) + 1; n > 0; n--) {
+			var first = random(4);
+			items.push(random(2) ? String(first) : first + '-' + (first + random(3)));
+		}
+		return items.join(',');
+	};
+	var target = function () {
+		return '10.' + random(2) + '.' + octet() + '.' + octet();
+	};
+	var parse = function (input) {
+		return new TargetSpec(input);
+	};
+	var containedIn = function (specs, value) {
+		return specs.some(function (s) {
+			return s.contains(value);
+		});
+	};
+	var ok = true;
+	for (var i = 0; i < 30 && ok; i++) {
+		var include = [target(), target(), target()].join(' ');
+		var exclude = target();
+		var spec = new TargetSpec(include, { exclude: exclude });
+		var includeSpecs = include.split(' ').map(parse);
+		var excludeSpec = new TargetSpec(exclude);
+		var expected = [];
+		for (var value = 0x0a000000; value < 0x0a020000; value++) {
+			if (containedIn(includeSpecs, value) && !excludeSpec.contains(value)) {
+				expected.push(IP.format(value));
+			}
+			if (value % 0x100 === 8) {
+				value += 0xf7;
+			}
+		}
+		ok = spec.getSize() === expected.length && list(spec).join() === expected.join();
+		if (!ok) {
+			assert.ok(false, 'Mismatch for "' + include + '" excluding "' + exclude + '"');
+		}
+	}
+	assert.ok(ok, 'Size and addresses match a brute force search');
+});
@@ -0,0 +1,117 @@
+/* jshint node:true */
+/* global QUnit */
+// The command-line tool needs Node, so this file is not loaded by index.html.
+// Run it with the QUnit command-line runner: qunit test/test.cli.js
+QUnit.module('bin/ip');
+
+var main = require('../bin/ip').main;
+
+/**
+ * Run the tool and capture what it writes.
+ * @param {String[]} argv Arguments after the script name
+ * @param {String} [stdin=''] Text of standard input
+ * @return {Object} Object with the exit 'code', 'stdout' and 'stderr'
+ */
+var run = function (argv, stdin) {
+	var result = { stdout: '', stderr: '' };
+	var stream = function (name) {
+		return {
+			write: function (text) {
+				result[name] += text;
+			}
+		};
+	};
+	result.code = main(argv, stream('stdout'), stream('stderr'), function () {
+		return stdin || '';
+	});
+	return result;
+};
+
+QUnit.test('Exit codes', function (assert) {
+	var ok = run(['validate', '10.0.0.1']);
+	assert.equal(ok.code, 0, 'Valid address exits with 0');
+	assert.equal(ok.stderr, '', 'Nothing written to stderr');
+	var invalid = run(['validate', '10.0.0.1', '10.0.0.256']);
+	assert.equal(invalid.code, 1, 'Invalid address exits with 1');
+	assert.ok(/out of range/.test(invalid.stderr), 'Invalid address is described on stderr');
+	var unknown = run(['frobnicate']);
+	assert.equal(unknown.code, 2, 'Unknown command exits with 2');
+	assert.equal(unknown.stderr, 'ip: Unknown command "frobnicate"\nRun "ip help" for usage.\n', 'Usage error message');
+	assert.equal(run(['format', '--bogus', '10.0.0.1']).code, 2, 'Unknown option exits with 2');
+	assert.equal(run([]).code, 2, 'No command exits with 2');
+	assert.equal(run(['compare', '10.0.0.1']).code, 2, 'Wrong operand count exits with 2');
+	var help = run(['help']);
+	assert.equal(help.code, 0, 'Help exits with 0');
+	assert.ok(/^Usage: ip <command>/.test(help.stdout), 'Help prints usage');
+});
+
+QUnit.test('--radix', function (assert) {
+	assert.equal(run(['format', '-r', 'hex', '192.168.0.1']).stdout, '0xc0.0xa8.0x0.0x1\n', 'Format in radix');
+	assert.equal(run(['format', '--radix=2', '--flat', '1']).stdout, '00000000000000000000000000000001\n', 'Flat binary');
+	var invalid = run(['format', '--radix', '7', '192.168.0.1']);
+	assert.equal(invalid.code, 2, 'Invalid radix exits with 2');
+	assert.equal(invalid.stdout, '', 'Nothing written to stdout');
+	assert.equal(invalid.stderr, 'ip: Invalid radix "7"\nRun "ip help" for usage.\n', 'Invalid radix message');
+	var missing = run(['format', '--radix']);
+	assert.equal(missing.code, 2, 'Missing radix exits with 2');
+	assert.equal(missing.stderr, 'ip: Option --radix needs a value\nRun "ip help" for usage.\n', 'Missing radix message');
+});
+
+QUnit.test('--json', function (assert) {
+	var result = run(['validate', '--json', '10.1', '1.2.3.4.5']);
+	assert.equal(result.code, 1, 'Exit code still reports invalid input');
+	assert.deepEqual(JSON.parse(result.stdout), [
+		{ input: '10.1', valid: true, address: '10.0.0.1' },
+		{
+			input: '1.2.3.4.5',
+			error: {
+				code: 'TOO_MANY_PARTS',
+				message: 'Too many parts at position 8 of "1.2.3.4.5"'
+			}
+		}
+	], 'Results and errors as JSON');
+	assert.equal(result.stderr, '', 'Errors are not repeated on stderr');
+	var compare = JSON.parse(run(['compare', '-j', '10.0.0.2', '10.0.0.1']).stdout);
+	assert.deepEqual(compare, [{
+		input: '10.0.0.2 10.0.0.1',
+		left: '10.0.0.2',
+		right: '10.0.0.1',
+		result: 1
+	}], 'Compare as JSON');
+});
+
+QUnit.test('sort from stdin', function (assert) {
+	var stdin = '10.0.0.10\n\n10.0.0.2\r\n  10.0.0.10  \n10.0.0.1\n';
+	var result = run(['sort', '-u'], stdin);
+	assert.equal(result.code, 0, 'Exits with 0');
+	assert.equal(result.stdout, '10.0.0.1\n10.0.0.2\n10.0.0.10\n', 'Sorted unique lines of stdin');
+	assert.equal(run(['sort', '--reverse'], stdin).stdout, '10.0.0.10\n10.0.0.10\n10.0.0.2\n10.0.0.1\n', 'Reverse sort keeps duplicates');
+	var invalid = run(['sort', '-u'], '10.0.0.2\nnope\n10.0.0.1\n');
+	assert.equal(invalid.code, 1, 'Invalid line exits with 1');
+	assert.equal(invalid.stdout, '10.0.0.1\n10.0.0.2\n', 'Valid lines are still sorted');
+	assert.equal(run(['sort', '10.0.0.2', '10.0.0.1'], '1.1.1.1\n').stdout, '10.0.0.1\n10.0.0.2\n', 'Operands are used instead of stdin');
+});
+
+QUnit.test('info', function (assert) {
+	var result = run(['info', '--json', '192.168.1.77/255.255.255.0']);
+	assert.equal(result.code, 0, 'Exits with 0');
+	var info = JSON.parse(result.stdout)[0];
+	assert.equal(info.subnet, '192.168.1.0/24', 'Subnet');
+	assert.equal(info.hostCount, 254, 'Host count');
+	assert.equal(run(['info', '10.1/8']).code, 0, 'Shorthand address without --strict');
+	var strict = run(['info', '--strict', '--json', '10.1/8', '10.0.0.0/255.255.00.0']);
+	assert.equal(strict.code, 1, 'Strict mode rejects shorthand');
+	assert.deepEqual(JSON.parse(strict.stdout).map(function (entry) {
+		return entry.error.code + ' ' + entry.error.message;
+	}), [
+		'PART_COUNT Expected exactly four parts at position 0 of "10.1/8"',
+		'LEADING_ZERO Part has a leading zero at position 17 of "10.0.0.0/255.255.00.0"'
+	], 'Strict mode errors for the address and netmask');
+	var invalid = run(['info', '10.0.0.256/8', '10.0.0.0/33']);
+	assert.equal(invalid.code, 1, 'Invalid subnet exits with 1');
+	assert.equal(invalid.stderr, [
+		'ip: Part is out of range at position 7 of "10.0.0.256/8"',
+		'ip: Value is out of range at position 9 of "10.0.0.0/33"',
+		''
+	].join('\n'), 'Real validation errors are reported');
+});